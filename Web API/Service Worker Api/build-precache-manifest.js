@@ -0,0 +1,80 @@
+// ===========================================================================
+// Precache Manifest Generator
+// ===========================================================================
+// Lists the demo's files with a hash of their content and writes them to
+// precache-manifest.js, which sw.js loads with importScripts():
+//
+//   node build-precache-manifest.js
+//
+// Run it after changing any of the files. The Service Worker compares the
+// revisions with what it has cached and downloads only the files that
+// changed; changing the manifest is also what makes the browser install
+// the new Service Worker.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const OUTPUT = 'precache-manifest.js';
+
+const INCLUDE = /\.(html|css|js|json|svg|png|ico|woff2)$/;
+const EXCLUDE = [
+    'sw.js',                        // the browser keeps the Service Worker itself up to date
+    OUTPUT,
+    path.basename(__filename),
+    'test-resource.json'            // fetched at runtime to compare the caching strategies
+];
+
+// The folder URL serves index.html
+const DIRECTORY_INDEX = 'index.html';
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name.startsWith('.') || entry.name === 'node_modules' ? [] : listFiles(fullPath);
+        }
+        return [fullPath];
+    });
+}
+
+function revisionOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+function buildManifest() {
+    const files = listFiles(ROOT)
+        .map(file => path.relative(ROOT, file).split(path.sep).join('/'))
+        .filter(file => INCLUDE.test(file) && !EXCLUDE.includes(file))
+        .sort();
+
+    const manifest = files.map(file => {
+        const content = fs.readFileSync(path.join(ROOT, file));
+        return { url: `./${file}`, revision: revisionOf(content), size: content.length };
+    });
+
+    const index = manifest.find(entry => entry.url === `./${DIRECTORY_INDEX}`);
+    if (index) {
+        manifest.unshift({ ...index, url: './' });
+    }
+    return manifest;
+}
+
+function writeManifest(manifest) {
+    const lines = manifest.map(entry => `  ${JSON.stringify(entry)}`).join(',\n');
+    const source = `// Generated by build-precache-manifest.js - do not edit by hand.
+// { url, revision, size }: revision is a hash of the file's content.
+
+const PRECACHE_MANIFEST = [
+${lines}
+];
+`;
+    fs.writeFileSync(path.join(ROOT, OUTPUT), source);
+}
+
+const manifest = buildManifest();
+writeManifest(manifest);
+
+const totalSize = manifest.reduce((sum, entry) => sum + entry.size, 0);
+console.log(`Wrote ${OUTPUT}: ${manifest.length} entries, ${(totalSize / 1024).toFixed(1)} KB`);
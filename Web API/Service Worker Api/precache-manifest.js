@@ -0,0 +1,11 @@
+// Generated by build-precache-manifest.js - do not edit by hand.
+// { url, revision, size }: revision is a hash of the file's content.
+
+const PRECACHE_MANIFEST = [
+  {"url":"./","revision":"7b6e48ffffd546a2","size":40088},
+  {"url":"./index.html","revision":"7b6e48ffffd546a2","size":40088},
+  {"url":"./manifest.json","revision":"7dcfa9fa293fad77","size":736},
+  {"url":"./offline.html","revision":"b4d47bd5b9748e8c","size":4485},
+  {"url":"./script.js","revision":"22c40f1f131347f8","size":82993},
+  {"url":"./style.css","revision":"0ee397f0e7711d5d","size":26532}
+];
@@ -5,6 +5,8 @@
 // Global variables
 let registration = null;
 let currentStrategy = 'cache-first';
+let routeDraft = null;      // route table being edited: { routes, defaultRoute, strategies }
+let routesDirty = false;    // the draft has changes the Service Worker has not seen
 
 // ===========================================================================
 // Initialization
@@ -17,6 +19,7 @@ document.addEventListener('DOMContentLoaded', () => {
     monitorNetworkStatus();
     checkServiceWorkerSupport();
     displayPerformanceMetrics();
+    recordNavigationTiming();
 });
 
 // ===========================================================================
@@ -39,7 +42,16 @@ function initializeApp() {
     // Listen for controller change (new SW activated)
     navigator.serviceWorker.addEventListener('controllerchange', () => {
         showToast('🔄 New Service Worker activated!', 'success');
+        loadRoutes();
+        loadSWConfig();
     });
+
+    // The route table lives in the Service Worker; show it once one controls the page
+    if (navigator.serviceWorker.controller) {
+        loadRoutes();
+        loadSWConfig();
+        loadReplayQueue();
+    }
 }
 
 // ===========================================================================
@@ -116,12 +128,90 @@ async function checkServiceWorkerStatus() {
 
         statusHTML += '</ul>';
         updateRegistrationOutput(statusHTML, 'info');
+
+        // Added once the worker answers, so a busy worker does not hold up the status
+        if (registration && navigator.serviceWorker.controller) {
+            const list = document.querySelector('#registrationOutput .status-list');
+            let configHTML;
+            try {
+                configHTML = describeConfig(await sendToSW({ type: 'GET_CONFIG' }));
+            } catch (error) {
+                configHTML = `<li><strong>Configuration:</strong> ${escapeHTML(error.message)}</li>`;
+            }
+            if (list) {
+                list.insertAdjacentHTML('beforeend', configHTML);
+            }
+        }
     } catch (error) {
         console.error('Error checking status:', error);
         showToast('Failed to check status', 'error');
     }
 }
 
+// ===========================================================================
+// Precache Status
+// ===========================================================================
+async function checkPrecacheStatus() {
+    try {
+        const reply = await sendToSW({ type: 'GET_PRECACHE_STATUS' });
+        if (reply.type === 'PRECACHE_ERROR') {
+            throw new Error(reply.error);
+        }
+        renderPrecacheStatus(reply.status);
+    } catch (error) {
+        updatePrecacheOutput(`<p class="error">${escapeHTML(error.message)}</p>`);
+    }
+}
+
+function renderPrecacheStatus({ cacheName, entries, lastUpdate }) {
+    const counts = { current: 0, outdated: 0, missing: 0 };
+    entries.forEach(entry => counts[entry.state]++);
+
+    let html = `<p><strong>${entries.length}</strong> files in <code>${escapeHTML(cacheName)}</code>: ${counts.current} current, ${counts.outdated} outdated, ${counts.missing} missing</p>`;
+    html += lastUpdate
+        ? `<p>${describePrecacheUpdate(lastUpdate)}</p>`
+        : '<p class="muted">The Service Worker has restarted since its last update, so no update report is available.</p>';
+
+    html += '<table><thead><tr><th>URL</th><th>Revision</th><th>Cached</th><th>Size</th><th>State</th></tr></thead><tbody>';
+    entries.forEach(entry => {
+        html += `<tr>
+            <td>${escapeHTML(entry.url)}</td>
+            <td><code>${entry.revision}</code></td>
+            <td><code>${entry.cachedRevision || '—'}</code></td>
+            <td>${formatBytes(entry.size)}</td>
+            <td><span class="precache-state state-${entry.state}">${entry.state}</span></td>
+        </tr>`;
+    });
+    html += '</tbody></table>';
+
+    updatePrecacheOutput(html);
+}
+
+function describePrecacheUpdate(report) {
+    let text = `Last update: downloaded ${report.downloaded.length} (${formatBytes(report.bytes)}), kept ${report.unchanged.length}, removed ${report.removed.length}`;
+    if (report.failed.length > 0) {
+        text += `, <span class="error">failed ${report.failed.map(failure => `${escapeHTML(failure.url)} (${escapeHTML(failure.error)})`).join(', ')}</span>`;
+    }
+    if (report.mismatched.length > 0) {
+        text += `, <span class="warning">content differs from the manifest for ${report.mismatched.map(escapeHTML).join(', ')}; rebuild it</span>`;
+    }
+    const at = report.activatedAt || report.installedAt;
+    return `${text} (${new Date(at).toLocaleTimeString()})`;
+}
+
+function updatePrecacheOutput(html) {
+    const output = document.getElementById('precacheOutput');
+    if (output) {
+        output.innerHTML = html;
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // ===========================================================================
 // Status Updates
 // ===========================================================================
@@ -218,12 +308,16 @@ async function applyStrategy() {
     }
 
     currentStrategy = selected.value;
+    // The worker ignores the change when the timeout is not a positive number
+    const timeoutInput = Number(document.getElementById('networkTimeout').value);
+    const networkTimeoutSeconds = timeoutInput > 0 ? timeoutInput : 3;
 
     // Send message to Service Worker to change strategy
     if (navigator.serviceWorker.controller) {
         navigator.serviceWorker.controller.postMessage({
             type: 'CHANGE_STRATEGY',
-            strategy: currentStrategy
+            strategy: currentStrategy,
+            options: { networkTimeoutSeconds }
         });
 
         updateStrategyOutput(`Strategy changed to: <strong>${currentStrategy}</strong>`, 'success');
@@ -279,6 +373,391 @@ function updateStrategyOutput(message, type) {
     }
 }
 
+// ===========================================================================
+// Update Notifications
+// ===========================================================================
+// Resources rendered on this page, by absolute URL, with the function that
+// renders them again when the Service Worker reports a newer version
+const watchedResources = new Map();
+const pendingUpdates = new Set();
+
+const LIVE_RESOURCE_URL = './test-resource.json?live';
+
+function watchResource(url, render) {
+    watchedResources.set(new URL(url, location.href).href, render);
+}
+
+async function loadLiveResource() {
+    try {
+        const response = await fetch(LIVE_RESOURCE_URL);
+        const data = await response.json();
+        renderLiveResource(data);
+        watchResource(LIVE_RESOURCE_URL, loadLiveResource);
+    } catch (error) {
+        updateLiveResourceOutput(`<p class="error">Failed to load: ${escapeHTML(error.message)}</p>`);
+    }
+}
+
+function renderLiveResource(data) {
+    const version = data.data && data.data.version;
+    updateLiveResourceOutput(`
+        <p><strong>Version ${escapeHTML(String(version))}</strong> - loaded at ${new Date().toLocaleTimeString()}</p>
+        <p>${escapeHTML(data.message || '')}</p>
+    `);
+}
+
+function updateLiveResourceOutput(html) {
+    const output = document.getElementById('liveResourceOutput');
+    if (output) {
+        output.innerHTML = html;
+    }
+}
+
+function handleCacheUpdate({ url, comparedBy }) {
+    logMessage(`SW: Newer version cached (${comparedBy}): ${url}`, 'received');
+
+    const render = watchedResources.get(url);
+    if (!render) {
+        return;
+    }
+
+    const autoRender = document.getElementById('autoRenderUpdates');
+    if (autoRender && autoRender.checked) {
+        render();
+        showToast('Updated to the latest version', 'success');
+    } else {
+        pendingUpdates.add(url);
+        toggleUpdatePrompt(true);
+    }
+}
+
+function showPendingUpdates() {
+    pendingUpdates.forEach(url => {
+        const render = watchedResources.get(url);
+        if (render) render();
+    });
+    pendingUpdates.clear();
+    toggleUpdatePrompt(false);
+}
+
+function toggleUpdatePrompt(visible) {
+    const prompt = document.getElementById('updatePrompt');
+    if (prompt) {
+        prompt.hidden = !visible;
+    }
+}
+
+// ===========================================================================
+// Route Table
+// ===========================================================================
+// Select label -> request.destination; null matches any destination
+const ROUTE_DESTINATIONS = {
+    'any': null,
+    'fetch()': '',
+    'document': 'document',
+    'image': 'image',
+    'script': 'script',
+    'style': 'style',
+    'font': 'font',
+    'video': 'video',
+    'audio': 'audio'
+};
+
+const ROUTE_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', '*'];
+
+// How long to wait for the worker's reply; fetching or copying whole
+// caches gets longer
+const SW_REPLY_TIMEOUT = 10000;
+const SLOW_SW_REPLY_TIMEOUT = 60000;
+
+// Send a message to the Service Worker and resolve with its reply. Rejects
+// when none comes in time, e.g. when the worker was replaced meanwhile
+function sendToSW(message, timeout = SW_REPLY_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const controller = navigator.serviceWorker.controller;
+        if (!controller) {
+            reject(new Error('Service Worker not active yet'));
+            return;
+        }
+
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => {
+            channel.port1.close();
+            reject(new Error(`Service Worker did not answer ${message.type}`));
+        }, timeout);
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        controller.postMessage(message, [channel.port2]);
+    });
+}
+
+async function loadRoutes() {
+    try {
+        const table = await sendToSW({ type: 'GET_ROUTES' });
+        renderRoutes(table);
+    } catch (error) {
+        updateRouteOutput(error.message, 'error');
+    }
+}
+
+// Show a route table reported by the Service Worker, dropping unsaved edits
+function renderRoutes(table) {
+    routeDraft = {
+        routes: table.routes.map(route => ({ ...route, options: { ...route.options } })),
+        defaultRoute: { ...table.defaultRoute },
+        strategies: table.strategies
+    };
+    routesDirty = false;
+    renderRouteRows();
+    syncStrategyPicker(table.defaultRoute);
+}
+
+// The picker shows the default route's strategy, which may have been set in another tab
+function syncStrategyPicker({ strategy, options }) {
+    const radio = document.querySelector(`input[name="strategy"][value="${strategy}"]`);
+    if (radio) {
+        radio.checked = true;
+        currentStrategy = strategy;
+    }
+
+    const timeoutInput = document.getElementById('networkTimeout');
+    if (timeoutInput && options && options.networkTimeoutSeconds) {
+        timeoutInput.value = options.networkTimeoutSeconds;
+    }
+}
+
+function renderRouteRows(matchedId = null) {
+    const tbody = document.getElementById('routeRows');
+    if (!tbody || !routeDraft) return;
+
+    tbody.innerHTML = '';
+    routeDraft.routes.forEach((route, index) => {
+        tbody.appendChild(createRouteRow(route, index, matchedId));
+    });
+    tbody.appendChild(createRouteRow(routeDraft.defaultRoute, -1, matchedId));
+}
+
+function createRouteRow(route, index, matchedId) {
+    const isDefault = index === -1;
+    const row = document.createElement('tr');
+    if (isDefault) row.classList.add('route-default');
+    if (route.id === matchedId) row.classList.add('route-matched');
+
+    const cell = (content) => {
+        const td = document.createElement('td');
+        if (typeof content === 'string') {
+            td.textContent = content;
+        } else {
+            td.appendChild(content);
+        }
+        row.appendChild(td);
+        return td;
+    };
+
+    const textInput = (value, placeholder, onChange) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'input-field';
+        input.value = value || '';
+        input.placeholder = placeholder;
+        input.addEventListener('input', () => {
+            onChange(input.value.trim());
+            routesDirty = true;
+        });
+        return input;
+    };
+
+    const select = (options, value, onChange) => {
+        const element = document.createElement('select');
+        element.className = 'input-field';
+        options.forEach(option => {
+            element.appendChild(new Option(option, option, false, option === value));
+        });
+        element.addEventListener('change', () => {
+            onChange(element.value);
+            routesDirty = true;
+        });
+        return element;
+    };
+
+    cell(isDefault ? '—' : String(index + 1));
+
+    if (isDefault) {
+        cell('default');
+        cell('everything else');
+        cell('any');
+        cell('GET');
+    } else {
+        cell(textInput(route.id, 'route id', value => { route.id = value; }));
+        cell(textInput(route.url, 'any URL', value => { route.url = value || null; }));
+        const destinationLabel = Object.keys(ROUTE_DESTINATIONS).find(label => ROUTE_DESTINATIONS[label] === route.destination) || 'any';
+        cell(select(Object.keys(ROUTE_DESTINATIONS), destinationLabel, label => { route.destination = ROUTE_DESTINATIONS[label]; }));
+        cell(select(ROUTE_METHODS, route.method, value => { route.method = value; }));
+    }
+
+    cell(select(routeDraft.strategies, route.strategy, value => { route.strategy = value; }));
+    cell(textInput(route.cacheName, 'strategy default', value => { route.cacheName = value || null; }));
+    cell(textInput(JSON.stringify(route.options || {}), '{}', value => { route.optionsText = value; }));
+
+    const actions = document.createElement('div');
+    actions.className = 'route-actions';
+    if (!isDefault) {
+        actions.appendChild(createRouteButton('↑', 'Move up', () => moveRoute(index, -1), index === 0));
+        actions.appendChild(createRouteButton('↓', 'Move down', () => moveRoute(index, 1), index === routeDraft.routes.length - 1));
+        actions.appendChild(createRouteButton('✕', 'Remove', () => removeRoute(index)));
+    }
+    cell(actions);
+
+    return row;
+}
+
+function createRouteButton(label, title, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function moveRoute(index, offset) {
+    const [route] = routeDraft.routes.splice(index, 1);
+    routeDraft.routes.splice(index + offset, 0, route);
+    routesDirty = true;
+    renderRouteRows();
+}
+
+function removeRoute(index) {
+    routeDraft.routes.splice(index, 1);
+    routesDirty = true;
+    renderRouteRows();
+}
+
+function addRoute() {
+    if (!routeDraft) {
+        showToast('Service Worker not active yet', 'error');
+        return;
+    }
+
+    let number = routeDraft.routes.length + 1;
+    while (routeDraft.routes.some(route => route.id === `route-${number}`)) {
+        number++;
+    }
+
+    routeDraft.routes.push({
+        id: `route-${number}`,
+        url: null,
+        destination: null,
+        method: 'GET',
+        strategy: 'network-first',
+        cacheName: null,
+        options: {}
+    });
+    routesDirty = true;
+    renderRouteRows();
+}
+
+// Route without the page-only fields, with the options text parsed
+function routeForSW(route) {
+    const { optionsText, ...rest } = route;
+    if (optionsText === undefined) {
+        return rest;
+    }
+
+    try {
+        rest.options = optionsText ? JSON.parse(optionsText) : {};
+    } catch (error) {
+        throw new Error(`Route "${route.id}": options are not valid JSON`);
+    }
+    if (!rest.options || typeof rest.options !== 'object' || Array.isArray(rest.options)) {
+        throw new Error(`Route "${route.id}": options must be a JSON object`);
+    }
+    return rest;
+}
+
+async function saveRoutes() {
+    if (!routeDraft) {
+        showToast('Service Worker not active yet', 'error');
+        return;
+    }
+
+    try {
+        const reply = await sendToSW({
+            type: 'SET_ROUTES',
+            routes: routeDraft.routes.map(routeForSW),
+            defaultRoute: routeForSW(routeDraft.defaultRoute)
+        });
+
+        if (reply.type === 'ROUTES_ERROR') {
+            updateRouteOutput(`Route table rejected: ${reply.error}`, 'error');
+            showToast('❌ Route table rejected', 'error');
+            return;
+        }
+
+        renderRoutes(reply);
+        updateRouteOutput(`Route table saved: ${reply.routes.length} route(s) + default`, 'success');
+        showToast('✅ Routes saved', 'success');
+    } catch (error) {
+        updateRouteOutput(error.message, 'error');
+    }
+}
+
+async function resetRoutes() {
+    try {
+        const reply = await sendToSW({ type: 'RESET_ROUTES' });
+        renderRoutes(reply);
+        updateRouteOutput('Route table reset to the defaults', 'success');
+    } catch (error) {
+        updateRouteOutput(error.message, 'error');
+    }
+}
+
+async function testRoute() {
+    const url = document.getElementById('routeTestUrl').value.trim();
+    const destination = document.getElementById('routeTestDestination').value;
+    const method = document.getElementById('routeTestMethod').value;
+
+    if (!url) {
+        showToast('Please enter a URL', 'warning');
+        return;
+    }
+
+    try {
+        const { route, queued } = await sendToSW({ type: 'MATCH_ROUTE', url, destination, method });
+        const note = routesDirty ? ' (as saved; your unsaved edits are not included)' : '';
+
+        if (route) {
+            updateRouteOutput(`<strong>${method} ${escapeHTML(url)}</strong> is handled by route <strong>${escapeHTML(route.id)}</strong>: ${route.strategy}, cache ${escapeHTML(route.cacheName || 'strategy default')}${note}`, 'success');
+        } else if (queued) {
+            updateRouteOutput(`<strong>${method} ${escapeHTML(url)}</strong> matches no route; it goes to the network, and is queued for Background Sync when offline${note}`, 'info');
+        } else {
+            updateRouteOutput(`<strong>${method} ${escapeHTML(url)}</strong> matches no route and goes to the network without the Service Worker${note}`, 'info');
+        }
+        if (!routesDirty) {
+            renderRouteRows(route ? route.id : null);
+        }
+    } catch (error) {
+        updateRouteOutput(error.message, 'error');
+    }
+}
+
+function updateRouteOutput(message, type) {
+    const output = document.getElementById('routeOutput');
+    if (output) {
+        const className = type === 'error' ? 'error' : type === 'success' ? 'success' : type === 'warning' ? 'warning' : '';
+        output.innerHTML = `<p class="${className}">${message}</p>`;
+    }
+}
+
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // ===========================================================================
 // Cache Management
 // ===========================================================================
@@ -307,24 +786,33 @@ async function cacheCurrentPage() {
 
 async function viewCacheInfo() {
     try {
-        const cacheNames = await caches.keys();
-        let html = `<p><strong>Total Caches:</strong> ${cacheNames.length}</p>`;
+        const info = await getCacheInfo();
+        let html = `<p><strong>Total Caches:</strong> ${info.count}</p>`;
 
-        if (cacheNames.length === 0) {
+        if (info.count === 0) {
             html += '<p class="muted">No caches found</p>';
         } else {
             html += '<ul class="cache-list">';
 
-            for (const cacheName of cacheNames) {
-                const cache = await caches.open(cacheName);
-                const keys = await cache.keys();
-                html += `<li><strong>${cacheName}</strong> (${keys.length} items)</li>`;
+            for (const cacheName of info.names) {
+                const policy = info.policies[cacheName];
+                html += `<li><strong>${escapeHTML(cacheName)}</strong> (${info.entries[cacheName]} items)`;
+                if (policy) {
+                    const maxEntries = policy.maxEntries ? `max ${policy.maxEntries} entries` : 'no entry limit';
+                    html += `<span class="cache-policy">Expires: ${maxEntries}, ${formatMaxAge(policy.maxAgeSeconds)}${policy.purgeOnQuotaError ? ', purged on quota errors' : ''}</span>`;
+                } else if (policy === null) {
+                    html += '<span class="cache-policy">Never expires</span>';
+                }
+                html += '</li>';
             }
 
             html += '</ul>';
         }
 
         document.getElementById('cacheStats').innerHTML = html;
+        if (info.evictions) {
+            renderEvictions(info.evictions);
+        }
         showToast('Cache info loaded', 'success');
     } catch (error) {
         console.error('Error getting cache info:', error);
@@ -332,17 +820,139 @@ async function viewCacheInfo() {
     }
 }
 
+// Cache statistics from the Service Worker, which knows the expiration
+// policies; read directly from the Cache API when no worker controls the page
+async function getCacheInfo() {
+    if (navigator.serviceWorker.controller) {
+        const reply = await sendToSW({ type: 'GET_CACHE_INFO' });
+        if (reply.type === 'CACHE_ERROR') {
+            throw new Error(reply.error);
+        }
+        return reply.info;
+    }
+
+    const names = await caches.keys();
+    const entries = {};
+    for (const cacheName of names) {
+        const cache = await caches.open(cacheName);
+        entries[cacheName] = (await cache.keys()).length;
+    }
+    return { count: names.length, names, entries, policies: {}, evictions: null };
+}
+
+function formatMaxAge(seconds) {
+    if (!seconds) return 'no max age';
+    if (seconds % 86400 === 0) return `${seconds / 86400} day(s)`;
+    if (seconds % 3600 === 0) return `${seconds / 3600} hour(s)`;
+    if (seconds % 60 === 0) return `${seconds / 60} minute(s)`;
+    return `${seconds} second(s)`;
+}
+
+const EVICTION_REASONS = {
+    'max-entries': 'Too many entries (least recently used)',
+    'max-age': 'Older than the max age',
+    'quota': 'Purged after a quota error'
+};
+
+// Newest first, as reported by the Service Worker
+function renderEvictions(evictions) {
+    const log = document.getElementById('evictionLog');
+    if (!log) return;
+
+    if (evictions.length === 0) {
+        log.innerHTML = '<p class="muted">Nothing evicted yet...</p>';
+        return;
+    }
+
+    log.innerHTML = '<ul class="eviction-list"></ul>';
+    const list = log.querySelector('ul');
+    evictions.forEach(eviction => list.appendChild(createEvictionItem(eviction)));
+}
+
+function createEvictionItem({ cacheName, url, reason, at }) {
+    const item = document.createElement('li');
+    const badge = document.createElement('span');
+    badge.className = `eviction-reason reason-${reason}`;
+    badge.textContent = reason;
+    badge.title = EVICTION_REASONS[reason] || reason;
+    item.appendChild(badge);
+    item.appendChild(document.createTextNode(`[${new Date(at).toLocaleTimeString()}] ${cacheName}: ${url}`));
+    return item;
+}
+
+// Live evictions; the list keeps its newest 20
+function logEvictions(evictions) {
+    const log = document.getElementById('evictionLog');
+    if (!log) return;
+
+    let list = log.querySelector('ul');
+    if (!list) {
+        log.innerHTML = '<ul class="eviction-list"></ul>';
+        list = log.querySelector('ul');
+    }
+    evictions.forEach(eviction => list.prepend(createEvictionItem(eviction)));
+    while (list.children.length > 20) {
+        list.lastElementChild.remove();
+    }
+}
+
+// Cache more URLs than the dynamic cache keeps, to watch the LRU eviction
+async function fillDynamicCache() {
+    if (!navigator.serviceWorker.controller) {
+        showToast('Service Worker not active', 'error');
+        return;
+    }
+
+    const stamp = Date.now();
+    for (let i = 1; i <= 25; i++) {
+        const reply = await sendToSW({ type: 'CACHE_URL', url: `./test-resource.json?fill=${stamp}-${i}` });
+        if (!reply.success) {
+            showToast(`❌ Failed to cache URL: ${reply.error}`, 'error');
+            return;
+        }
+    }
+
+    showToast('✅ Cached 25 URLs in the dynamic cache', 'success');
+    viewCacheInfo();
+}
+
+async function runExpiration() {
+    try {
+        const reply = await sendToSW({ type: 'EXPIRE_CACHES' });
+        if (reply.type === 'CACHE_ERROR') {
+            throw new Error(reply.error);
+        }
+        showToast('Expiration policies applied', 'success');
+        viewCacheInfo();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// The worker's own copy of the app, kept when the caches are cleared (see PRECACHE_NAME in sw.js)
+const PRECACHE_CACHE_NAMES = ['precache', 'precache-staging'];
+
 async function clearAllCaches() {
     if (!confirm('Are you sure you want to clear all caches?')) {
         return;
     }
 
     try {
-        const cacheNames = await caches.keys();
-        await Promise.all(cacheNames.map(name => caches.delete(name)));
+        if (navigator.serviceWorker.controller) {
+            // The worker also drops the expiration records of what it deletes
+            const reply = await sendToSW({ type: 'CLEAR_CACHE' });
+            if (reply.type === 'CACHE_ERROR') {
+                throw new Error(reply.error);
+            }
+        } else {
+            const cacheNames = await caches.keys();
+            await Promise.all(cacheNames
+                .filter(name => !PRECACHE_CACHE_NAMES.includes(name))
+                .map(name => caches.delete(name)));
+        }
 
         showToast('✅ All caches cleared!', 'success');
-        document.getElementById('cacheStats').innerHTML = '<p class="muted">All caches have been cleared</p>';
+        document.getElementById('cacheStats').innerHTML = '<p class="muted">All caches have been cleared; the precached app files were kept</p>';
         logOfflineEvent('All caches cleared');
     } catch (error) {
         console.error('Error clearing caches:', error);
@@ -350,9 +960,369 @@ async function clearAllCaches() {
     }
 }
 
+// ===========================================================================
+// Cache Inspector
+// ===========================================================================
+// The first match wins, so text/json counts as JSON
+const CONTENT_TYPE_GROUPS = {
+    json: /[/+]json\b/,
+    text: /^text\/|javascript|[/+]xml\b/,
+    image: /^image\//,
+    media: /^(video|audio)\//
+};
+const MAX_PREVIEW_CHARS = 20000;
+
+let inspectedEntries = [];
+let selectedEntry = null;
+// Object URL of the image being previewed, revoked when the preview changes
+let previewObjectUrl = null;
+
+async function loadCacheEntries() {
+    try {
+        const reply = await sendToSW({ type: 'LIST_CACHE_ENTRIES' });
+        if (reply.type === 'CACHE_INSPECTOR_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        inspectedEntries = reply.entries;
+        renderCacheNameOptions();
+        renderCacheEntries();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function contentTypeGroup(contentType) {
+    const type = (contentType || '').toLowerCase();
+    return Object.keys(CONTENT_TYPE_GROUPS).find(group => CONTENT_TYPE_GROUPS[group].test(type)) || 'other';
+}
+
+function isSameEntry(a, b) {
+    return Boolean(a && b) && a.cacheName === b.cacheName && a.url === b.url;
+}
+
+// Keeps the selected cache when it still exists
+function renderCacheNameOptions() {
+    const select = document.getElementById('inspectorCache');
+    if (!select) return;
+
+    const selected = select.value;
+    const cacheNames = [...new Set(inspectedEntries.map(entry => entry.cacheName))];
+    select.innerHTML = '';
+    select.appendChild(new Option('All caches', ''));
+    cacheNames.forEach(cacheName => {
+        select.appendChild(new Option(cacheName, cacheName, false, cacheName === selected));
+    });
+}
+
+function filterCacheEntries() {
+    const cacheName = document.getElementById('inspectorCache').value;
+    const group = document.getElementById('inspectorType').value;
+    const search = document.getElementById('inspectorSearch').value.trim().toLowerCase();
+
+    return inspectedEntries.filter(entry => {
+        if (cacheName && entry.cacheName !== cacheName) return false;
+        if (group && contentTypeGroup(entry.contentType) !== group) return false;
+        if (!search) return true;
+        return entry.url.toLowerCase().includes(search) ||
+            entry.headers.some(([name, value]) => `${name}: ${value}`.toLowerCase().includes(search));
+    });
+}
+
+function renderCacheEntries() {
+    const tbody = document.getElementById('cacheEntryRows');
+    if (!tbody) return;
+
+    const entries = filterCacheEntries();
+    tbody.innerHTML = '';
+
+    if (entries.length === 0) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'muted';
+        cell.textContent = inspectedEntries.length === 0 ? 'The caches are empty' : 'No entries match the filters';
+    }
+    entries.forEach(entry => tbody.appendChild(createCacheEntryRow(entry)));
+
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    document.getElementById('cacheEntrySummary').textContent =
+        `${entries.length} of ${inspectedEntries.length} entries, ${formatBytes(totalSize)}`;
+}
+
+function createCacheEntryRow(entry) {
+    const row = document.createElement('tr');
+    if (isSameEntry(entry, selectedEntry)) row.classList.add('entry-selected');
+
+    const cell = (content, title = '') => {
+        const td = document.createElement('td');
+        td.textContent = content;
+        td.title = title;
+        row.appendChild(td);
+        return td;
+    };
+
+    const url = new URL(entry.url);
+    const urlCell = cell(url.origin === location.origin ? url.pathname + url.search : entry.url, entry.url);
+    const cacheName = document.createElement('div');
+    cacheName.className = 'muted';
+    cacheName.textContent = entry.cacheName;
+    urlCell.appendChild(cacheName);
+
+    cell(entry.type === 'opaque' ? 'opaque' : String(entry.status), entry.statusText);
+    cell(entry.contentType || '—');
+    cell(entry.size === null ? 'unknown' : formatBytes(entry.size));
+    cell(entry.cachedAt ? new Date(entry.cachedAt).toLocaleString() : 'unknown',
+        entry.accessedAt ? `Last used ${new Date(entry.accessedAt).toLocaleString()}` : '');
+
+    const actions = document.createElement('td');
+    actions.className = 'route-actions';
+    actions.appendChild(createRouteButton('🔍', 'Inspect', () => inspectCacheEntry(entry)));
+    actions.appendChild(createRouteButton('↻', 'Fetch again', () => refreshInspectedEntry(entry)));
+    actions.appendChild(createRouteButton('✕', 'Delete', () => deleteInspectedEntry(entry)));
+    row.appendChild(actions);
+
+    return row;
+}
+
+// Read from the Cache API directly: the Service Worker would count it as a use
+async function inspectCacheEntry(entry) {
+    selectedEntry = entry;
+    renderCacheEntries();
+
+    const headers = entry.headers.map(([name, value]) => `
+        <tr><td><code>${escapeHTML(name)}</code></td><td>${escapeHTML(value)}</td></tr>
+    `).join('');
+
+    updateCacheEntryDetails(`
+        <p><strong>${escapeHTML(entry.url)}</strong></p>
+        <p>${escapeHTML(entry.cacheName)}, ${entry.status} ${escapeHTML(entry.statusText)}</p>
+        ${headers ? `<table>${headers}</table>` : '<p class="muted">No headers</p>'}
+        <h4 class="mt-20">Body</h4>
+        ${await previewCacheEntry(entry)}
+    `);
+}
+
+async function previewCacheEntry(entry) {
+    if (previewObjectUrl) {
+        URL.revokeObjectURL(previewObjectUrl);
+        previewObjectUrl = null;
+    }
+
+    const response = await caches.match(entry.url, { cacheName: entry.cacheName });
+    if (!response) {
+        return '<p class="error">No longer in the cache</p>';
+    }
+    if (response.type === 'opaque') {
+        return '<p class="muted">Opaque response: its body cannot be read</p>';
+    }
+
+    const group = contentTypeGroup(entry.contentType);
+    if (group === 'image') {
+        previewObjectUrl = URL.createObjectURL(await response.blob());
+        return `<img class="entry-preview" src="${previewObjectUrl}" alt="Cached image">`;
+    }
+    if (group !== 'json' && group !== 'text') {
+        return `<p class="muted">No preview for ${escapeHTML(entry.contentType || 'this content type')}</p>`;
+    }
+
+    let text = await response.text();
+    if (group === 'json') {
+        try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Not valid JSON after all: show it as it is
+        }
+    }
+    const truncated = text.length > MAX_PREVIEW_CHARS;
+    return `
+        <pre class="entry-preview">${escapeHTML(truncated ? text.slice(0, MAX_PREVIEW_CHARS) : text)}</pre>
+        ${truncated ? `<p class="muted">Showing the first ${MAX_PREVIEW_CHARS} of ${text.length} characters</p>` : ''}
+    `;
+}
+
+async function refreshInspectedEntry(entry) {
+    try {
+        const reply = await sendToSW({ type: 'REFRESH_CACHE_ENTRY', cacheName: entry.cacheName, url: entry.url });
+        if (reply.type === 'CACHE_INSPECTOR_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        inspectedEntries = inspectedEntries.map(item => isSameEntry(item, entry) ? reply.entry : item);
+        showToast('Entry fetched again', 'success');
+        if (isSameEntry(entry, selectedEntry)) {
+            inspectCacheEntry(reply.entry);
+        } else {
+            renderCacheEntries();
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function deleteInspectedEntry(entry) {
+    try {
+        const reply = await sendToSW({ type: 'DELETE_CACHE_ENTRY', cacheName: entry.cacheName, url: entry.url });
+        if (reply.type === 'CACHE_INSPECTOR_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        inspectedEntries = inspectedEntries.filter(item => !isSameEntry(item, entry));
+        if (isSameEntry(entry, selectedEntry)) {
+            selectedEntry = null;
+            updateCacheEntryDetails('<p class="muted">Inspect an entry to see its headers and body...</p>');
+        }
+        renderCacheEntries();
+        showToast('Entry deleted', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Exports the cache picked in the filter, or all of them
+async function exportCaches() {
+    const cacheName = document.getElementById('inspectorCache').value;
+
+    try {
+        const reply = await sendToSW({ type: 'EXPORT_CACHES', cacheNames: cacheName ? [cacheName] : null }, SLOW_SW_REPLY_TIMEOUT);
+        if (reply.type === 'CACHE_INSPECTOR_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(reply.archive);
+        link.download = `${cacheName || 'sw-caches'}-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href));
+
+        showToast(`Exported ${reply.entryCount} entries`, 'success');
+        if (reply.skipped.length > 0) {
+            showSkippedEntries('Left out of the archive:', reply.skipped);
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function importCaches() {
+    const file = document.getElementById('cacheArchiveFile').files[0];
+    if (!file) {
+        showToast('Pick an archive to import', 'warning');
+        return;
+    }
+
+    try {
+        const reply = await sendToSW({ type: 'IMPORT_CACHES', archive: file }, SLOW_SW_REPLY_TIMEOUT);
+        if (reply.type === 'CACHE_INSPECTOR_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        showToast(`Imported ${reply.imported} entries`, 'success');
+        if (reply.skipped.length > 0) {
+            showSkippedEntries('Not imported:', reply.skipped);
+        }
+        loadCacheEntries();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function showSkippedEntries(title, skipped) {
+    updateCacheEntryDetails(`
+        <p class="warning">${escapeHTML(title)}</p>
+        <ul class="status-list">${skipped.map(({ cacheName, url, reason }) => `
+            <li>${escapeHTML(cacheName)}: ${escapeHTML(url)}<br><span class="muted">${escapeHTML(reason)}</span></li>
+        `).join('')}</ul>
+    `);
+}
+
+function updateCacheEntryDetails(html) {
+    const output = document.getElementById('cacheEntryDetails');
+    if (output) {
+        output.innerHTML = html;
+    }
+}
+
+// ===========================================================================
+// Offline Media (Range Requests)
+// ===========================================================================
+let cachedMediaUrl = null;
+
+async function cacheMedia() {
+    const file = document.getElementById('mediaFile').files[0] || null;
+    // A picked file gets a URL under ./media/, which the media route serves
+    const url = file ? `./media/${encodeURIComponent(file.name)}` : document.getElementById('mediaUrl').value.trim();
+    if (!url) {
+        showToast('Pick a file or enter a URL', 'warning');
+        return;
+    }
+
+    updateMediaOutput('<p>Caching media... Please wait</p>');
+
+    try {
+        const reply = await sendToSW({ type: 'CACHE_MEDIA', url, file }, SLOW_SW_REPLY_TIMEOUT);
+        if (reply.type === 'MEDIA_ERROR') {
+            throw new Error(reply.error);
+        }
+
+        cachedMediaUrl = url;
+        document.getElementById('offlineVideo').src = url;
+        updateMediaOutput(`
+            <p class="success">Cached ${escapeHTML(url)} (${formatBytes(reply.size)}, ${escapeHTML(reply.contentType || 'unknown type')})</p>
+            <p>Go offline and seek in the video: every jump is a Range request answered from the cache.</p>
+        `);
+        showToast('Media cached for offline playback', 'success');
+    } catch (error) {
+        updateMediaOutput(`<p class="error">Failed to cache media: ${escapeHTML(error.message)}</p>`);
+    }
+}
+
+async function testRange() {
+    const range = document.getElementById('rangeHeader').value.trim();
+    if (!cachedMediaUrl) {
+        showToast('Cache a file first', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch(cachedMediaUrl, { headers: { Range: range } });
+        const body = await response.arrayBuffer();
+        const className = response.status === 206 ? 'success' : 'warning';
+
+        updateMediaOutput(`
+            <p class="${className}">${response.status} ${escapeHTML(response.statusText)}</p>
+            <ul class="status-list">
+                <li>Range: ${escapeHTML(range)}</li>
+                <li>Content-Range: ${escapeHTML(response.headers.get('content-range') || '-')}</li>
+                <li>Content-Length: ${escapeHTML(response.headers.get('content-length') || '-')}</li>
+                <li>Bytes received: ${body.byteLength}</li>
+            </ul>
+        `);
+    } catch (error) {
+        updateMediaOutput(`<p class="error">Range request failed: ${escapeHTML(error.message)}</p>`);
+    }
+}
+
+function updateMediaOutput(html) {
+    const output = document.getElementById('mediaOutput');
+    if (output) {
+        output.innerHTML = html;
+    }
+}
+
 // ===========================================================================
 // Background Sync
 // ===========================================================================
+const MESSAGES_ENDPOINT = './api/messages';
+
+const REPLAY_STATUS_TEXT = {
+    queued: 'queued, will be sent when online',
+    replayed: 'sent',
+    rejected: 'rejected by the server',
+    retrying: 'not sent yet, will retry',
+    failed: 'given up after too many attempts'
+};
+
 async function queueSync() {
     const messageInput = document.getElementById('syncMessage');
     const message = messageInput.value.trim();
@@ -362,19 +1332,83 @@ async function queueSync() {
         return;
     }
 
-    if ('serviceWorker' in navigator && 'sync' in registration) {
-        try {
-            await registration.sync.register('sync-data');
-            updateSyncOutput(`Queued: "${message}" - Will sync when online`, 'success');
+    try {
+        const response = await fetch(MESSAGES_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, sentAt: new Date().toISOString() })
+        });
+        messageInput.value = '';
+
+        // Set on the Service Worker's 202 when it queued the request
+        const queuedId = response.headers.get('X-Replay-Queued');
+        if (queuedId) {
             showToast('✅ Queued for sync!', 'success');
-            messageInput.value = '';
-        } catch (error) {
-            console.error('Sync registration failed:', error);
-            showToast('❌ Sync registration failed', 'error');
+            loadReplayQueue();
+        } else {
+            updateSyncOutput(`Sent "${escapeHTML(message)}": ${response.status} ${escapeHTML(response.statusText)}`, response.ok ? 'success' : 'error');
         }
+    } catch (error) {
+        console.error('Sending failed:', error);
+        updateSyncOutput(`Could not send "${escapeHTML(message)}": ${escapeHTML(error.message)}`, 'error');
+    }
+}
+
+function logReplayStatus({ id, method, url, status, attempts, httpStatus, error }) {
+    const path = new URL(url).pathname;
+    let details = REPLAY_STATUS_TEXT[status] || status;
+    if (httpStatus) details += ` (HTTP ${httpStatus})`;
+    if (status === 'retrying' || status === 'failed') details += `, attempt ${attempts}: ${error}`;
+
+    const type = status === 'replayed' || status === 'queued' ? 'success' : status === 'retrying' ? '' : 'error';
+    updateSyncOutput(`#${id} ${method} ${escapeHTML(path)} - ${escapeHTML(details)}`, type);
+}
+
+async function loadReplayQueue() {
+    try {
+        renderReplayQueue(await sendToSW({ type: 'GET_REPLAY_QUEUE' }));
+    } catch (error) {
+        console.log('Replay queue unavailable:', error.message);
+    }
+}
+
+function renderReplayQueue({ entries, error }) {
+    const output = document.getElementById('replayQueue');
+    if (!output) return;
+
+    if (error) {
+        output.innerHTML = `<p class="error">${escapeHTML(error)}</p>`;
+    } else if (entries.length === 0) {
+        output.innerHTML = '<p class="muted">No requests waiting...</p>';
     } else {
-        updateSyncOutput('Background Sync not supported in this browser', 'error');
-        showToast('Background Sync not supported', 'error');
+        output.innerHTML = `<ul class="status-list">${entries.map(entry => `
+            <li>
+                <strong>#${entry.id} ${entry.method}</strong> ${escapeHTML(new URL(entry.url).pathname)}
+                (${formatBytes(entry.bodySize)}, queued ${new Date(entry.queuedAt).toLocaleTimeString()})
+                ${entry.attempts > 0 ? `<br><span class="muted">${entry.attempts} attempt(s), last error: ${escapeHTML(entry.lastError || '')}</span>` : ''}
+            </li>
+        `).join('')}</ul>`;
+    }
+}
+
+async function replayNow() {
+    try {
+        renderReplayQueue(await sendToSW({ type: 'REPLAY_NOW' }, SLOW_SW_REPLY_TIMEOUT));
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function clearReplayQueue() {
+    if (!confirm('Drop all requests waiting to be sent?')) {
+        return;
+    }
+
+    try {
+        renderReplayQueue(await sendToSW({ type: 'CLEAR_REPLAY_QUEUE' }));
+        showToast('Queue cleared', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
     }
 }
 
@@ -519,10 +1553,39 @@ function handleSWMessage(event) {
 
     if (event.data.type === 'STRATEGY_CHANGED') {
         logMessage(`SW: Strategy changed to ${event.data.strategy}`, 'received');
+        if (!routesDirty) {
+            loadRoutes();
+        }
+    } else if (event.data.type === 'ROUTES_CHANGED') {
+        // Saved here or in another tab
+        if (routesDirty) {
+            updateRouteOutput('The route table was changed elsewhere; saving will overwrite that change', 'warning');
+        } else {
+            renderRoutes(event.data);
+        }
     } else if (event.data.type === 'CACHE_CLEARED') {
         logMessage('SW: Caches cleared', 'received');
     } else if (event.data.type === 'CACHE_INFO') {
         console.log('Cache info:', event.data.info);
+    } else if (event.data.type === 'PRECACHE_UPDATED') {
+        if (event.data.report) {
+            const { downloaded, unchanged } = event.data.report;
+            logMessage(`SW: App files updated, ${downloaded.length} downloaded, ${unchanged.length} unchanged`, 'received');
+            updatePrecacheOutput(`<p>${describePrecacheUpdate(event.data.report)}</p>`);
+        }
+    } else if (event.data.type === 'CACHE_EVICTED') {
+        logEvictions(event.data.evictions);
+    } else if (event.data.type === 'CACHE_UPDATED') {
+        handleCacheUpdate(event.data);
+    } else if (event.data.type === 'REPLAY_STATUS') {
+        logReplayStatus(event.data);
+        loadReplayQueue();
+    } else if (event.data.type === 'CONFIG_CHANGED') {
+        logMessage(`SW: Configuration saved (revision ${event.data.revision})`, 'received');
+        loadSWConfig();
+    } else if (event.data.type === 'NAVIGATION_MODE_CHANGED') {
+        logMessage(`SW: Navigation mode changed to ${event.data.mode}`, 'received');
+        renderNavigationMode(event.data);
     } else {
         logMessage(`SW: ${JSON.stringify(event.data)}`, 'received');
     }
@@ -617,6 +1680,286 @@ function displayPerformanceMetrics() {
     });
 }
 
+// ===========================================================================
+// Service Worker Configuration
+// ===========================================================================
+async function loadSWConfig() {
+    try {
+        renderConfig(await sendToSW({ type: 'GET_CONFIG' }));
+    } catch (error) {
+        updateConfigOutput(`<p class="error">${escapeHTML(error.message)}</p>`);
+    }
+}
+
+function renderConfig({ config, override }) {
+    document.getElementById('debugLogRoutes').checked = config.debug.logRoutes;
+    document.getElementById('debugBypassCache').checked = config.debug.bypassCache;
+
+    const policies = document.getElementById('configPolicies');
+    policies.innerHTML = '';
+    Object.entries(config.expiration).forEach(([cacheName, policy]) => {
+        const row = document.createElement('tr');
+        row.dataset.cacheName = cacheName;
+        row.innerHTML = `
+            <td>${escapeHTML(cacheName)}</td>
+            <td><input type="number" class="input-field" name="maxEntries" min="1" placeholder="no limit" value="${policy.maxEntries || ''}"></td>
+            <td><input type="number" class="input-field" name="maxAgeSeconds" min="1" placeholder="no max age" value="${policy.maxAgeSeconds || ''}"></td>
+            <td><input type="checkbox" name="purgeOnQuotaError"${policy.purgeOnQuotaError ? ' checked' : ''}></td>
+        `;
+        policies.appendChild(row);
+    });
+
+    const tabStrategy = document.getElementById('tabStrategy');
+    tabStrategy.innerHTML = '<option value="">Same as all tabs</option>' + config.strategies
+        .map(strategy => `<option value="${strategy}">${strategy}</option>`)
+        .join('');
+    tabStrategy.value = (override && override.strategy) || '';
+    document.getElementById('tabBypassCache').checked = Boolean(override && override.debug && override.debug.bypassCache);
+
+    updateConfigOutput(`<ul class="status-list">${describeConfig({ config, override })}</ul>`);
+}
+
+// Status list items for a CONFIG reply
+function describeConfig({ config, override, loadedAt }) {
+    const saved = config.updatedAt ? new Date(config.updatedAt).toLocaleString() : 'never, using the defaults';
+    const flags = Object.entries(config.debug).filter(([, on]) => on).map(([flag]) => flag);
+    let html = `
+        <li><strong>Configuration:</strong> revision ${config.revision}, saved ${saved}</li>
+        <li><strong>Default Strategy:</strong> ${escapeHTML(config.defaultRoute.strategy)}, ${config.routes.length} routes</li>
+        <li><strong>Debug Flags:</strong> ${flags.length > 0 ? flags.join(', ') : 'none'}</li>
+    `;
+    if (loadedAt) {
+        html += `<li><strong>Loaded by the Worker:</strong> ${new Date(loadedAt).toLocaleTimeString()}</li>`;
+    }
+    if (override) {
+        const parts = [];
+        if (override.strategy) parts.push(`strategy ${override.strategy}`);
+        if (override.debug && override.debug.bypassCache) parts.push('bypassing the Service Worker');
+        html += `<li><strong>This Tab:</strong> ${escapeHTML(parts.join(', '))}</li>`;
+    }
+    return html;
+}
+
+async function saveSWConfig() {
+    const expiration = {};
+    document.querySelectorAll('#configPolicies tr[data-cache-name]').forEach(row => {
+        const numberOrNull = name => Number(row.querySelector(`[name="${name}"]`).value) || null;
+        expiration[row.dataset.cacheName] = {
+            maxEntries: numberOrNull('maxEntries'),
+            maxAgeSeconds: numberOrNull('maxAgeSeconds'),
+            purgeOnQuotaError: row.querySelector('[name="purgeOnQuotaError"]').checked
+        };
+    });
+
+    await sendConfigMessage({
+        type: 'UPDATE_CONFIG',
+        expiration,
+        debug: {
+            logRoutes: document.getElementById('debugLogRoutes').checked,
+            bypassCache: document.getElementById('debugBypassCache').checked
+        }
+    }, 'Configuration saved for all tabs');
+}
+
+async function resetSWConfig() {
+    if (!confirm('Reset the routes, strategy, expiration policies and debug flags to their defaults?')) {
+        return;
+    }
+    await sendConfigMessage({ type: 'RESET_CONFIG' }, 'Configuration reset');
+}
+
+async function applyTabOverride() {
+    const strategy = document.getElementById('tabStrategy').value || null;
+    const bypassCache = document.getElementById('tabBypassCache').checked;
+    await sendConfigMessage({
+        type: 'SET_CLIENT_OVERRIDE',
+        strategy,
+        debug: bypassCache ? { bypassCache } : null
+    }, strategy || bypassCache ? 'Applied to this tab' : 'This tab follows the shared configuration');
+}
+
+async function clearTabOverride() {
+    await sendConfigMessage({ type: 'SET_CLIENT_OVERRIDE', strategy: null, debug: null }, 'This tab follows the shared configuration');
+}
+
+async function sendConfigMessage(message, successText) {
+    try {
+        const reply = await sendToSW(message);
+        if (reply.type === 'CONFIG_ERROR') {
+            throw new Error(reply.error);
+        }
+        renderConfig(reply);
+        showToast(successText, 'success');
+    } catch (error) {
+        updateConfigOutput(`<p class="error">${escapeHTML(error.message)}</p>`);
+        showToast(error.message, 'error');
+    }
+}
+
+function updateConfigOutput(html) {
+    const output = document.getElementById('configOutput');
+    if (output) {
+        output.innerHTML = html;
+    }
+}
+
+// ===========================================================================
+// Navigation Preload & App Shell
+// ===========================================================================
+const NAVIGATION_TIMINGS_KEY = 'sw-navigation-timings';
+const MAX_NAVIGATION_TIMINGS = 20;  // kept per mode
+
+const NAVIGATION_MODE_LABELS = {
+    'network-first': 'Network First + Preload',
+    'app-shell': 'App Shell'
+};
+
+async function loadNavigationMode() {
+    try {
+        const state = await sendToSW({ type: 'GET_NAVIGATION_MODE' });
+        if (state.type === 'NAVIGATION_ERROR') {
+            throw new Error(state.error);
+        }
+        renderNavigationMode(state);
+        return state;
+    } catch (error) {
+        console.log('Navigation mode unavailable:', error.message);
+        return null;
+    }
+}
+
+function renderNavigationMode({ mode, preload }) {
+    const radio = document.querySelector(`input[name="navigationMode"][value="${mode}"]`);
+    if (radio) {
+        radio.checked = true;
+    }
+
+    const status = document.getElementById('navigationModeStatus');
+    if (status) {
+        status.textContent = `Serving page loads with: ${NAVIGATION_MODE_LABELS[mode] || mode} (navigation preload ${preload ? 'on' : 'off'})`;
+    }
+}
+
+async function applyNavigationMode() {
+    const selected = document.querySelector('input[name="navigationMode"]:checked');
+    if (!selected) {
+        return;
+    }
+
+    try {
+        const reply = await sendToSW({ type: 'SET_NAVIGATION_MODE', mode: selected.value });
+        if (reply.type === 'NAVIGATION_ERROR') {
+            throw new Error(reply.error);
+        }
+        // The next page load is the first one in the new mode
+        window.location.reload();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Store this page load's timing under the mode that served it
+function recordNavigationTiming() {
+    window.addEventListener('load', () => {
+        // loadEventEnd is only set once the load handlers have run
+        setTimeout(async () => {
+            const [entry] = performance.getEntriesByType('navigation');
+            const state = navigator.serviceWorker && navigator.serviceWorker.controller
+                ? await loadNavigationMode()
+                : null;
+
+            if (entry && state) {
+                const timings = readNavigationTimings();
+                timings.push({
+                    mode: state.mode,
+                    responseStart: entry.responseStart,
+                    domContentLoaded: entry.domContentLoadedEventEnd,
+                    load: entry.loadEventEnd,
+                    at: Date.now()
+                });
+                const kept = Object.keys(NAVIGATION_MODE_LABELS).flatMap(mode => {
+                    return timings.filter(timing => timing.mode === mode).slice(-MAX_NAVIGATION_TIMINGS);
+                });
+                localStorage.setItem(NAVIGATION_TIMINGS_KEY, JSON.stringify(kept));
+            }
+
+            renderNavigationTimings(state && state.mode);
+            hydrateFromCache();
+        }, 0);
+    });
+}
+
+function readNavigationTimings() {
+    try {
+        return JSON.parse(localStorage.getItem(NAVIGATION_TIMINGS_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function renderNavigationTimings(currentMode = null) {
+    const output = document.getElementById('navigationTimings');
+    if (!output) return;
+
+    const timings = readNavigationTimings();
+    if (timings.length === 0) {
+        output.innerHTML = '<p class="muted">Reload the page a few times in each mode to compare them...</p>';
+        return;
+    }
+
+    const average = (list, key) => `${(list.reduce((sum, timing) => sum + timing[key], 0) / list.length).toFixed(1)}ms`;
+    const rows = Object.entries(NAVIGATION_MODE_LABELS).map(([mode, label]) => {
+        const list = timings.filter(timing => timing.mode === mode);
+        if (list.length === 0) {
+            return `<tr><td>${label}</td><td>0</td><td colspan="3" class="muted">No page loads yet</td></tr>`;
+        }
+        return `
+            <tr${mode === currentMode ? ' class="navigation-current"' : ''}>
+                <td>${label}</td>
+                <td>${list.length}</td>
+                <td>${average(list, 'responseStart')}</td>
+                <td>${average(list, 'domContentLoaded')}</td>
+                <td>${average(list, 'load')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    output.innerHTML = `
+        <table>
+            <thead>
+                <tr><th>Mode</th><th>Loads</th><th>First byte</th><th>DOMContentLoaded</th><th>Load</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="muted">Averages from the Navigation Timing API, in milliseconds since the navigation started.</p>
+    `;
+}
+
+function clearNavigationTimings() {
+    localStorage.removeItem(NAVIGATION_TIMINGS_KEY);
+    renderNavigationTimings();
+    showToast('Navigation timings cleared', 'success');
+}
+
+// The app shell carries no data of its own: fill it in from the cached API response
+async function hydrateFromCache() {
+    const output = document.getElementById('hydratedContent');
+    if (!output) return;
+
+    const start = performance.now();
+    try {
+        const response = await fetch(LIVE_RESOURCE_URL);
+        const data = await response.json();
+        const version = data.data && data.data.version;
+        output.innerHTML = `
+            <p><strong>Version ${escapeHTML(String(version))}</strong> - ${escapeHTML(data.message || '')}</p>
+            <p class="muted">Hydrated in ${(performance.now() - start).toFixed(1)}ms from ${escapeHTML(LIVE_RESOURCE_URL)}</p>
+        `;
+    } catch (error) {
+        output.innerHTML = `<p class="error">Could not hydrate: ${escapeHTML(error.message)}</p>`;
+    }
+}
+
 // ===========================================================================
 // Navigation
 // ===========================================================================
@@ -657,6 +2000,9 @@ function setupEventListeners() {
     if (unregisterBtn) unregisterBtn.addEventListener('click', unregisterServiceWorker);
     if (checkStatusBtn) checkStatusBtn.addEventListener('click', checkServiceWorkerStatus);
 
+    const checkPrecacheBtn = document.getElementById('checkPrecache');
+    if (checkPrecacheBtn) checkPrecacheBtn.addEventListener('click', checkPrecacheStatus);
+
     // Demo 2: Caching Strategies
     const applyStrategyBtn = document.getElementById('applyStrategy');
     const testStrategyBtn = document.getElementById('testStrategy');
@@ -664,6 +2010,25 @@ function setupEventListeners() {
     if (applyStrategyBtn) applyStrategyBtn.addEventListener('click', applyStrategy);
     if (testStrategyBtn) testStrategyBtn.addEventListener('click', testStrategy);
 
+    const loadLiveResourceBtn = document.getElementById('loadLiveResource');
+    const showUpdateBtn = document.getElementById('showUpdate');
+
+    if (loadLiveResourceBtn) loadLiveResourceBtn.addEventListener('click', loadLiveResource);
+    if (showUpdateBtn) showUpdateBtn.addEventListener('click', showPendingUpdates);
+
+    // Demo 2: Route Table
+    const addRouteBtn = document.getElementById('addRoute');
+    const saveRoutesBtn = document.getElementById('saveRoutes');
+    const reloadRoutesBtn = document.getElementById('reloadRoutes');
+    const resetRoutesBtn = document.getElementById('resetRoutes');
+    const testRouteBtn = document.getElementById('testRoute');
+
+    if (addRouteBtn) addRouteBtn.addEventListener('click', addRoute);
+    if (saveRoutesBtn) saveRoutesBtn.addEventListener('click', saveRoutes);
+    if (reloadRoutesBtn) reloadRoutesBtn.addEventListener('click', loadRoutes);
+    if (resetRoutesBtn) resetRoutesBtn.addEventListener('click', resetRoutes);
+    if (testRouteBtn) testRouteBtn.addEventListener('click', testRoute);
+
     // Demo 3: Offline
     const cachePageBtn = document.getElementById('cacheCurrentPage');
     const viewCacheBtn = document.getElementById('viewCacheInfo');
@@ -673,9 +2038,42 @@ function setupEventListeners() {
     if (viewCacheBtn) viewCacheBtn.addEventListener('click', viewCacheInfo);
     if (clearCacheBtn) clearCacheBtn.addEventListener('click', clearAllCaches);
 
+    const fillCacheBtn = document.getElementById('fillDynamicCache');
+    const runExpirationBtn = document.getElementById('runExpiration');
+
+    if (fillCacheBtn) fillCacheBtn.addEventListener('click', fillDynamicCache);
+    if (runExpirationBtn) runExpirationBtn.addEventListener('click', runExpiration);
+
+    const loadEntriesBtn = document.getElementById('loadCacheEntries');
+    const exportCachesBtn = document.getElementById('exportCaches');
+    const importCachesBtn = document.getElementById('importCaches');
+
+    if (loadEntriesBtn) loadEntriesBtn.addEventListener('click', loadCacheEntries);
+    if (exportCachesBtn) exportCachesBtn.addEventListener('click', exportCaches);
+    if (importCachesBtn) importCachesBtn.addEventListener('click', importCaches);
+    ['inspectorCache', 'inspectorType'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', renderCacheEntries);
+    });
+    const searchInput = document.getElementById('inspectorSearch');
+    if (searchInput) searchInput.addEventListener('input', renderCacheEntries);
+
+    const cacheMediaBtn = document.getElementById('cacheMedia');
+    const testRangeBtn = document.getElementById('testRange');
+
+    if (cacheMediaBtn) cacheMediaBtn.addEventListener('click', cacheMedia);
+    if (testRangeBtn) testRangeBtn.addEventListener('click', testRange);
+
     // Demo 4: Background Sync
     const queueSyncBtn = document.getElementById('queueSync');
+    const replayNowBtn = document.getElementById('replayNow');
+    const refreshQueueBtn = document.getElementById('refreshReplayQueue');
+    const clearQueueBtn = document.getElementById('clearReplayQueue');
+
     if (queueSyncBtn) queueSyncBtn.addEventListener('click', queueSync);
+    if (replayNowBtn) replayNowBtn.addEventListener('click', replayNow);
+    if (refreshQueueBtn) refreshQueueBtn.addEventListener('click', loadReplayQueue);
+    if (clearQueueBtn) clearQueueBtn.addEventListener('click', clearReplayQueue);
 
     // Demo 5: Notifications
     const requestPermBtn = document.getElementById('requestPermission');
@@ -702,6 +2100,24 @@ function setupEventListeners() {
     if (cacheUrlBtn) cacheUrlBtn.addEventListener('click', cacheSpecificUrl);
     if (clientInfoBtn) clientInfoBtn.addEventListener('click', getClientInfo);
 
+    const applyNavigationModeBtn = document.getElementById('applyNavigationMode');
+    const reloadPageBtn = document.getElementById('reloadPage');
+    const clearTimingsBtn = document.getElementById('clearNavigationTimings');
+
+    if (applyNavigationModeBtn) applyNavigationModeBtn.addEventListener('click', applyNavigationMode);
+    if (reloadPageBtn) reloadPageBtn.addEventListener('click', () => window.location.reload());
+    if (clearTimingsBtn) clearTimingsBtn.addEventListener('click', clearNavigationTimings);
+
+    const saveConfigBtn = document.getElementById('saveConfig');
+    const resetConfigBtn = document.getElementById('resetConfig');
+    const applyTabOverrideBtn = document.getElementById('applyTabOverride');
+    const clearTabOverrideBtn = document.getElementById('clearTabOverride');
+
+    if (saveConfigBtn) saveConfigBtn.addEventListener('click', saveSWConfig);
+    if (resetConfigBtn) resetConfigBtn.addEventListener('click', resetSWConfig);
+    if (applyTabOverrideBtn) applyTabOverrideBtn.addEventListener('click', applyTabOverride);
+    if (clearTabOverrideBtn) clearTabOverrideBtn.addEventListener('click', clearTabOverride);
+
     // Allow Enter key for inputs
     const messageInput = document.getElementById('messageToSW');
     if (messageInput) {
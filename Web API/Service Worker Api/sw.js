@@ -1,40 +1,31 @@
 // Service Worker - Multiple Caching Strategy Examples
 // This file demonstrates different caching strategies
 
-const CACHE_VERSION = 'v1';
+// Runtime caches. App files are precached by revision (see PRECACHE below),
+// so the version only changes when the layout of these caches does.
+const CACHE_VERSION = 'v2';
 const CACHE_NAMES = {
   static: `static-${CACHE_VERSION}`,
   dynamic: `dynamic-${CACHE_VERSION}`,
   images: `images-${CACHE_VERSION}`,
-  api: `api-${CACHE_VERSION}`
+  api: `api-${CACHE_VERSION}`,
+  media: `media-${CACHE_VERSION}`
 };
 
-// Resources to cache immediately on install
-const STATIC_ASSETS = [
-  './',
-  './index.html',
-  './style.css',
-  './script.js',
-  './offline.html'
-];
-
-// Current active strategy (can be changed via message)
-let currentStrategy = 'cache-first';
+// App files with content hashes: PRECACHE_MANIFEST, generated by
+// build-precache-manifest.js
+importScripts('./precache-manifest.js');
 
 // ============================================================================
-// INSTALL EVENT - Cache static assets
+// INSTALL EVENT - Download changed app files
 // ============================================================================
 self.addEventListener('install', (event) => {
   console.log('[SW] Installing Service Worker...');
 
   event.waitUntil(
-    caches.open(CACHE_NAMES.static)
-      .then(cache => {
-        console.log('[SW] Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        console.log('[SW] Installation complete');
+    installPrecache()
+      .then(report => {
+        console.log(`[SW] Installation complete: ${report.downloaded.length} downloaded, ${report.unchanged.length} unchanged`);
         return self.skipWaiting(); // Activate immediately
       })
       .catch(error => {
@@ -50,26 +41,184 @@ self.addEventListener('activate', (event) => {
   console.log('[SW] Activating Service Worker...');
 
   event.waitUntil(
-    caches.keys()
+    activatePrecache()
+      .then(() => caches.keys())
       .then(cacheNames => {
         return Promise.all(
           cacheNames.map(cacheName => {
             // Delete caches that don't match current version
-            const isCurrentCache = Object.values(CACHE_NAMES).includes(cacheName);
+            const isCurrentCache = Object.values(CACHE_NAMES).includes(cacheName) || cacheName === PRECACHE_NAME;
             if (!isCurrentCache) {
               console.log('[SW] Deleting old cache:', cacheName);
-              return caches.delete(cacheName);
+              return caches.delete(cacheName)
+                .then(() => deleteCacheEntries(cacheName, null))
+                .catch(error => console.warn('[SW] Could not clean up', cacheName, error));
             }
           })
         );
       })
+      .then(() => loadConfig())
+      .then(() => expireAllCaches()) // Drop what went stale while no worker was running
+      .then(() => getNavigationMode().then(setNavigationMode)) // Turns navigation preload on
       .then(() => {
         console.log('[SW] Activation complete');
         return self.clients.claim(); // Take control immediately
       })
+      .then(() => notifyClients({ type: 'PRECACHE_UPDATED', report: precacheReport }))
   );
 });
 
+// ============================================================================
+// PRECACHE - Revisioned app files
+// ============================================================================
+// Each PRECACHE_MANIFEST entry is { url, revision, size }, the revision being
+// a hash of the file's content. Cached copies carry their revision in the
+// X-Precache-Revision header, so an update only touches what changed:
+//   install   downloads the entries whose revision differs from the cached
+//             copy into a staging cache; the active worker keeps serving the
+//             old files meanwhile. A file that fails to download keeps its
+//             old copy and is tried again by the next update.
+//   activate  moves the staged files into the precache and deletes the
+//             entries that are no longer in the manifest.
+//
+// GET_PRECACHE_STATUS -> PRECACHE_STATUS { status }: every entry's state
+// ('current', 'outdated' or 'missing') and what the last install and
+// activation of this worker did. PRECACHE_UPDATED { report } is sent to the
+// pages after activation.
+
+const PRECACHE_NAME = 'precache';
+const PRECACHE_STAGING_NAME = 'precache-staging';
+const REVISION_HEADER = 'X-Precache-Revision';
+
+// { downloaded, unchanged, failed, mismatched, removed, bytes, installedAt, activatedAt }
+let precacheReport = null;
+
+async function installPrecache() {
+  const precache = await caches.open(PRECACHE_NAME);
+  const staging = await caches.open(PRECACHE_STAGING_NAME);
+  const report = {
+    manifestSize: PRECACHE_MANIFEST.length,
+    downloaded: [],
+    unchanged: [],
+    failed: [],
+    mismatched: [],
+    removed: [],
+    bytes: 0,
+    installedAt: null,
+    activatedAt: null
+  };
+
+  await Promise.all(PRECACHE_MANIFEST.map(async (entry) => {
+    const cached = await precache.match(entry.url);
+    if (cached && cached.headers.get(REVISION_HEADER) === entry.revision) {
+      report.unchanged.push(entry.url);
+      return;
+    }
+
+    // Staged by an earlier install that never activated
+    const staged = await staging.match(entry.url);
+    if (staged && staged.headers.get(REVISION_HEADER) === entry.revision) {
+      report.downloaded.push(entry.url);
+      return;
+    }
+
+    try {
+      // Bypass the HTTP cache, which may still hold the previous version
+      const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const body = await response.arrayBuffer();
+      if (await contentRevision(body) !== entry.revision) {
+        // The file changed after the manifest was built
+        console.warn('[SW] Content does not match the manifest, rebuild it:', entry.url);
+        report.mismatched.push(entry.url);
+      }
+
+      const headers = new Headers(response.headers);
+      headers.set(REVISION_HEADER, entry.revision);
+      await staging.put(entry.url, new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+      }));
+
+      report.downloaded.push(entry.url);
+      report.bytes += body.byteLength;
+    } catch (error) {
+      console.error('[SW] Failed to precache:', entry.url, error);
+      report.failed.push({ url: entry.url, error: error.message });
+    }
+  }));
+
+  report.installedAt = Date.now();
+  precacheReport = report;
+  return report;
+}
+
+async function activatePrecache() {
+  const precache = await caches.open(PRECACHE_NAME);
+  const revisions = new Map(PRECACHE_MANIFEST.map(entry => [new URL(entry.url, self.location).href, entry.revision]));
+
+  if (await caches.has(PRECACHE_STAGING_NAME)) {
+    const staging = await caches.open(PRECACHE_STAGING_NAME);
+    for (const request of await staging.keys()) {
+      const response = await staging.match(request);
+      // Staged for a manifest other than this one: leave it out
+      if (revisions.get(request.url) === response.headers.get(REVISION_HEADER)) {
+        await precache.put(request, response);
+      }
+    }
+    await caches.delete(PRECACHE_STAGING_NAME);
+  }
+
+  const removed = [];
+  for (const request of await precache.keys()) {
+    if (!revisions.has(request.url)) {
+      await precache.delete(request);
+      removed.push(request.url);
+    }
+  }
+
+  if (removed.length > 0) {
+    console.log('[SW] Removed stale precache entries:', removed);
+  }
+  if (precacheReport) {
+    precacheReport.removed = removed;
+    precacheReport.activatedAt = Date.now();
+  }
+}
+
+async function getPrecacheStatus() {
+  const precache = await caches.open(PRECACHE_NAME);
+  const entries = await Promise.all(PRECACHE_MANIFEST.map(async (entry) => {
+    const cached = await precache.match(entry.url);
+    const cachedRevision = cached ? cached.headers.get(REVISION_HEADER) : null;
+    let state = 'missing';
+    if (cached) {
+      state = cachedRevision === entry.revision ? 'current' : 'outdated';
+    }
+    return { ...entry, cachedRevision, state };
+  }));
+
+  return {
+    cacheName: PRECACHE_NAME,
+    entries,
+    // null once the browser has restarted this worker since it was installed
+    lastUpdate: precacheReport
+  };
+}
+
+// Same hash as build-precache-manifest.js: first 16 hex digits of SHA-256
+async function contentRevision(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 16);
+}
+
 // ============================================================================
 // FETCH EVENT - Handle requests with different strategies
 // ============================================================================
@@ -77,167 +226,1732 @@ self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Skip non-GET requests
-  if (request.method !== 'GET') {
-    return;
+  // Skip chrome extensions and other origins
+  if (url.origin !== location.origin) {
+    return;
+  }
+
+  replayOnStart(event);
+
+  // The configuration starts loading with the worker, but a request can
+  // arrive before it is ready. respondWith() can't wait to be called, so such
+  // a request is always taken and waits for the load; when no route wants
+  // it, or bypassCache is on, the worker fetches it itself instead of
+  // leaving it to the browser.
+  if (!config) {
+    event.respondWith(loadConfig().then(() => routeRequest(event, url) || fetch(request)));
+    return;
+  }
+
+  const response = routeRequest(event, url);
+  if (response) {
+    event.respondWith(response);
+  }
+});
+
+/** The response for a request, or null to let the browser handle it. */
+function routeRequest(event, url) {
+  const { request } = event;
+  const clientId = event.clientId || event.resultingClientId;
+  const debug = getDebugFlags(clientId);
+
+  if (debug.bypassCache) {
+    if (debug.logRoutes) console.log('[SW] Bypassing the Service Worker:', request.url);
+    return null;
+  }
+
+  // First matching route from the route table, or the default route
+  let route = findRoute(request, url);
+  if (!route) {
+    // Mutating requests without a route are queued if the network fails
+    if (isReplayable(request, url)) {
+      return queueOnFailure(request);
+    }
+    // Other non-GET requests: let the browser handle them
+    return null;
+  }
+
+  // Page loads no route was written for
+  if (request.mode === 'navigate' && route.id === DEFAULT_ROUTE.id) {
+    return handleNavigation(event);
+  }
+
+  const override = clientOverrides.get(clientId);
+  if (route.id === DEFAULT_ROUTE.id && override && override.strategy) {
+    route = { ...route, strategy: override.strategy };
+  }
+
+  if (debug.logRoutes) {
+    console.log(`[SW] Route "${route.id}" (${route.strategy}):`, request.url);
+  }
+  return handleRoute(route, request, event);
+}
+
+// ============================================================================
+// STRATEGY 1: CACHE FIRST (Cache Falling Back to Network)
+// Best for: Static assets, fonts, images
+// ============================================================================
+async function cacheFirstStrategy(request, cacheName = CACHE_NAMES.static, options = {}, event) {
+  try {
+    // Try cache first
+    const cachedResponse = await matchFromCache(request, cacheName, options);
+    if (cachedResponse) {
+      console.log('[SW] Cache hit:', request.url);
+      return cachedResponse;
+    }
+
+    // Not in cache, fetch from Network
+    console.log('[SW] Cache miss, fetching:', request.url);
+    const networkResponse = await fetch(request);
+
+    // Cache the response for future use
+    if (networkResponse && networkResponse.status === 200) {
+      cacheInBackground(event, cacheName, request, networkResponse.clone(), options);
+    }
+
+    return networkResponse;
+  } catch (error) {
+    console.error('[SW] Cache first failed:', error);
+    return getOfflineFallback(request);
+  }
+}
+
+// ============================================================================
+// STRATEGY 2: NETWORK FIRST (Network Falling Back to Cache)
+// Best for: API calls, frequently updated content
+// ============================================================================
+async function networkFirstStrategy(request, cacheName = CACHE_NAMES.api, options = {}, event) {
+  try {
+    // A navigation the browser already started while the worker was booting
+    const preloadResponse = event && await event.preloadResponse;
+    if (preloadResponse) {
+      console.log('[SW] Using navigation preload:', request.url);
+    } else {
+      console.log('[SW] Fetching from Network:', request.url);
+    }
+    const networkResponse = preloadResponse || await fetch(request);
+
+    // Cache successful responses
+    if (networkResponse && networkResponse.status === 200) {
+      cacheInBackground(event, cacheName, request, networkResponse.clone(), options);
+      console.log('[SW] Cached Network response:', request.url);
+    }
+
+    return networkResponse;
+  } catch (error) {
+    // Network failed, try cache
+    console.log('[SW] Network failed, trying cache:', request.url);
+    const cachedResponse = await matchFromCache(request, cacheName, options);
+
+    if (cachedResponse) {
+      console.log('[SW] Serving from cache:', request.url);
+      return cachedResponse;
+    }
+
+    console.error('[SW] Network first failed:', error);
+    return getOfflineFallback(request);
+  }
+}
+
+// ============================================================================
+// STRATEGY 3: STALE WHILE REVALIDATE
+// Best for: Frequently updated content that can be slightly stale
+// ============================================================================
+// When the background fetch brings a different version of a response that
+// was served from the cache, every page gets CACHE_UPDATED { url, cacheName,
+// comparedBy, updatedAt } once the cache holds the new version, so it can
+// re-render or offer to.
+async function staleWhileRevalidateStrategy(request, cacheName = CACHE_NAMES.dynamic, options = {}, event) {
+  const cachedResponse = await matchFromCache(request, cacheName, options);
+  // The page gets `cachedResponse`; this copy is for the comparison
+  const previousResponse = cachedResponse ? cachedResponse.clone() : null;
+
+  // Fetch fresh version in background
+  const fetchPromise = fetch(request).then(async networkResponse => {
+    if (networkResponse && networkResponse.status === 200) {
+      const update = previousResponse && await compareResponses(previousResponse, networkResponse.clone());
+      await putInCache(cacheName, request, networkResponse.clone(), options);
+      console.log('[SW] Updated cache in background:', request.url);
+
+      if (update && update.changed) {
+        console.log(`[SW] Content changed (${update.comparedBy}):`, request.url);
+        await notifyClients({
+          type: 'CACHE_UPDATED',
+          url: request.url,
+          cacheName,
+          comparedBy: update.comparedBy,
+          updatedAt: Date.now()
+        });
+      }
+    }
+    return networkResponse;
+  });
+
+  // Return cached version immediately, or wait for Network
+  if (cachedResponse) {
+    console.log('[SW] Serving cached, updating in background:', request.url);
+    const backgroundUpdate = fetchPromise.catch(error => {
+      console.error('[SW] Background fetch failed:', error);
+    });
+    if (event) {
+      event.waitUntil(backgroundUpdate);
+    }
+    return cachedResponse;
+  }
+
+  console.log('[SW] No cache, waiting for Network:', request.url);
+  try {
+    return await fetchPromise;
+  } catch (error) {
+    console.error('[SW] Stale while revalidate failed:', error);
+    return getOfflineFallback(request);
+  }
+}
+
+/**
+ * Whether a fresh response differs from the cached one: by ETag when both
+ * have one, else by Last-Modified, else by a hash of the bodies.
+ * Resolves to { changed, comparedBy: 'etag' | 'last-modified' | 'body-hash' }.
+ */
+async function compareResponses(oldResponse, newResponse) {
+  for (const [header, comparedBy] of [['ETag', 'etag'], ['Last-Modified', 'last-modified']]) {
+    const oldValue = oldResponse.headers.get(header);
+    const newValue = newResponse.headers.get(header);
+    if (oldValue && newValue) {
+      return { changed: oldValue !== newValue, comparedBy };
+    }
+  }
+
+  const [oldHash, newHash] = await Promise.all([
+    oldResponse.arrayBuffer().then(contentRevision),
+    newResponse.arrayBuffer().then(contentRevision)
+  ]);
+  return { changed: oldHash !== newHash, comparedBy: 'body-hash' };
+}
+
+// ============================================================================
+// STRATEGY 4: NETWORK ONLY
+// Best for: Always-fresh data, analytics
+// ============================================================================
+async function networkOnlyStrategy(request) {
+  try {
+    console.log('[SW] Network only:', request.url);
+    return await fetch(request);
+  } catch (error) {
+    console.error('[SW] Network only failed:', error);
+    return getOfflineFallback(request);
+  }
+}
+
+// ============================================================================
+// STRATEGY 5: CACHE ONLY
+// Best for: Pre-cached resources that never change
+// ============================================================================
+async function cacheOnlyStrategy(request, cacheName, options = {}) {
+  const cachedResponse = await matchFromCache(request, cacheName, options);
+
+  if (cachedResponse) {
+    console.log('[SW] Cache only hit:', request.url);
+    return cachedResponse;
+  }
+
+  console.log('[SW] Cache only miss:', request.url);
+  return getOfflineFallback(request);
+}
+
+// ============================================================================
+// STRATEGY 6: NETWORK FIRST WITH TIMEOUT
+// Best for: Fresh content on flaky connections
+// ============================================================================
+// Like network first, but when the network has not answered within
+// `options.networkTimeoutSeconds` the cached copy is served. The request
+// keeps going and its response still updates the cache.
+const NETWORK_TIMEOUT_SECONDS = 3;
+
+async function networkFirstTimeoutStrategy(request, cacheName = CACHE_NAMES.api, options = {}, event) {
+  const timeoutSeconds = options.networkTimeoutSeconds ?? NETWORK_TIMEOUT_SECONDS;
+
+  const networkPromise = fetch(request).then(networkResponse => {
+    if (networkResponse && networkResponse.status === 200) {
+      cacheInBackground(event, cacheName, request, networkResponse.clone(), options);
+      console.log('[SW] Cached Network response:', request.url);
+    }
+    return networkResponse;
+  });
+  // Keep the worker alive until the cache is updated, even if the cache answered
+  if (event) {
+    event.waitUntil(networkPromise.catch(() => {}));
+  }
+
+  let timer;
+  const timeoutPromise = new Promise(resolve => {
+    timer = setTimeout(() => resolve('timeout'), timeoutSeconds * 1000);
+  });
+
+  try {
+    const winner = await Promise.race([networkPromise, timeoutPromise]);
+    if (winner !== 'timeout') {
+      return winner;
+    }
+
+    const cachedResponse = await matchFromCache(request, cacheName, options);
+    if (cachedResponse) {
+      console.log(`[SW] No answer within ${timeoutSeconds}s, serving cache:`, request.url);
+      return cachedResponse;
+    }
+
+    // Nothing cached: waiting longer is all that is left
+    console.log('[SW] Network slow and nothing cached, still waiting:', request.url);
+    return await networkPromise;
+  } catch (error) {
+    console.log('[SW] Network failed, trying cache:', request.url);
+    const cachedResponse = await matchFromCache(request, cacheName, options);
+    return cachedResponse || getOfflineFallback(request);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ============================================================================
+// STRATEGY 7: CACHE/NETWORK RACE (Fastest Wins)
+// Best for: Slow disks or fast networks, where either one may be quicker
+// ============================================================================
+// Asks the cache and the network at the same time and serves whichever
+// answers first with a usable response. The network response updates the
+// cache either way.
+async function cacheNetworkRaceStrategy(request, cacheName = CACHE_NAMES.dynamic, options = {}, event) {
+  const networkPromise = fetch(request).then(networkResponse => {
+    if (networkResponse && networkResponse.status === 200) {
+      cacheInBackground(event, cacheName, request, networkResponse.clone(), options);
+    }
+    return networkResponse;
+  });
+  if (event) {
+    event.waitUntil(networkPromise.catch(() => {}));
+  }
+
+  const cachePromise = matchFromCache(request, cacheName, options).then(cachedResponse => {
+    if (!cachedResponse) {
+      throw new Error('Cache miss');
+    }
+    console.log('[SW] Race won by the cache:', request.url);
+    return cachedResponse;
+  });
+  // An error status only wins when the cache has nothing
+  const usableNetworkPromise = networkPromise.then(networkResponse => {
+    if (!networkResponse.ok) {
+      throw new Error(`HTTP ${networkResponse.status}`);
+    }
+    console.log('[SW] Race won by the network:', request.url);
+    return networkResponse;
+  });
+
+  try {
+    return await Promise.any([cachePromise, usableNetworkPromise]);
+  } catch (error) {
+    const networkResponse = await networkPromise.catch(() => null);
+    if (networkResponse) {
+      return networkResponse;
+    }
+    console.error('[SW] Cache/network race failed:', request.url);
+    return getOfflineFallback(request);
+  }
+}
+
+// ============================================================================
+// NAVIGATION - Network first with navigation preload, or an app shell
+// ============================================================================
+// Navigations that only the default route matches are served in one of two
+// modes:
+//   network-first  the page from the network, with the cached copy or
+//                  offline.html as fallback. Navigation preload makes the
+//                  browser start the request while the worker boots; the
+//                  strategy picks it up from event.preloadResponse.
+//   app-shell      the precached index.html for every page in the scope,
+//                  without waiting for the network. The page then fills
+//                  itself in from cached API responses.
+// Preload is only turned on in network-first mode. The mode is kept as the
+// preload header value (sent as Service-Worker-Navigation-Preload), which
+// is stored with the registration and so outlives the worker.
+//
+//   GET_NAVIGATION_MODE          -> NAVIGATION_MODE { mode, preload }
+//   SET_NAVIGATION_MODE { mode } -> NAVIGATION_MODE, or NAVIGATION_ERROR { error }
+// Every change is announced to all clients with NAVIGATION_MODE_CHANGED.
+
+const NAVIGATION_MODES = ['network-first', 'app-shell'];
+const APP_SHELL_URL = './index.html';
+
+let navigationMode = null; // read from the preload state on first use
+
+async function getNavigationMode() {
+  if (!navigationMode) {
+    navigationMode = NAVIGATION_MODES[0];
+    if (self.registration.navigationPreload) {
+      const { headerValue } = await self.registration.navigationPreload.getState();
+      if (NAVIGATION_MODES.includes(headerValue)) {
+        navigationMode = headerValue;
+      }
+    }
+  }
+  return navigationMode;
+}
+
+async function setNavigationMode(mode) {
+  if (!NAVIGATION_MODES.includes(mode)) {
+    throw new Error(`Unknown navigation mode "${mode}"`);
+  }
+
+  navigationMode = mode;
+  const { navigationPreload } = self.registration;
+  if (navigationPreload) {
+    await navigationPreload.setHeaderValue(mode);
+    await (mode === 'network-first' ? navigationPreload.enable() : navigationPreload.disable());
+  }
+  console.log('[SW] Navigation mode:', mode);
+  return getNavigationState();
+}
+
+async function getNavigationState() {
+  const { navigationPreload } = self.registration;
+  return {
+    mode: await getNavigationMode(),
+    // false where navigation preload is not supported
+    preload: navigationPreload ? (await navigationPreload.getState()).enabled : false
+  };
+}
+
+async function handleNavigation(event) {
+  const { request } = event;
+  if (await getNavigationMode() === 'app-shell') {
+    const shell = await appShell(request);
+    if (shell) {
+      console.log('[SW] Serving app shell for:', request.url);
+      // Preload may still have been on when this navigation started
+      event.waitUntil(Promise.resolve(event.preloadResponse).catch(() => {}));
+      return shell;
+    }
+    console.log('[SW] App shell not cached, using the network:', request.url);
+  }
+  return networkFirstStrategy(request, CACHE_NAMES.dynamic, {}, event);
+}
+
+async function appShell(request) {
+  if (!request.url.startsWith(self.registration.scope)) {
+    return undefined;
+  }
+  const precache = await caches.open(PRECACHE_NAME);
+  return precache.match(APP_SHELL_URL);
+}
+
+// ============================================================================
+// RANGE REQUESTS - Serve parts of whole responses
+// ============================================================================
+// Media elements ask for byte ranges (Range: bytes=1000-) to seek, and the
+// Cache API only holds whole 200 responses. Answers to Range requests are
+// cut down to the requested part:
+//   bytes=500-999, bytes=500-, bytes=-500  -> 206 Partial Content
+//   starting past the end, bytes=-0        -> 416 Range Not Satisfiable
+//   several ranges (bytes=0-9,20-29)       -> 416; multipart/byteranges
+//                                             bodies are not built
+//   malformed, bytes=5-3, other units      -> the header is ignored and the
+//                                             whole 200 response is served
+// Responses that are not a plain 200 (a 206 from the server, errors, opaque
+// responses) are passed through unchanged.
+
+async function createPartialResponse(request, response) {
+  if (!response || response.status !== 200 || response.type === 'opaque') {
+    return response;
+  }
+
+  const blob = await response.blob();
+  const range = parseRangeHeader(request.headers.get('range'), blob.size);
+
+  if (range === null) {
+    console.warn('[SW] Invalid Range header ignored:', request.headers.get('range'), request.url);
+    return new Response(blob, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+  if (!range) {
+    console.warn('[SW] Range not satisfiable:', request.headers.get('range'), request.url);
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` }
+    });
+  }
+
+  const { start, end } = range;
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  headers.set('Accept-Ranges', 'bytes');
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers
+  });
+}
+
+/**
+ * The single byte range a Range header asks for, clamped to the body size,
+ * as inclusive { start, end } offsets. null when the header is not a valid
+ * byte range, so it is ignored; false when the range cannot be served.
+ */
+function parseRangeHeader(header, size) {
+  const value = header.trim();
+  if (/^bytes=[\d\s,-]*,/.test(value)) {
+    return false;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(value);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0 || size === 0) return false;
+    return { start: Math.max(size - length, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  if (match[2] !== '' && Number(match[2]) < start) {
+    return null;
+  }
+  if (start >= size) {
+    return false;
+  }
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  return { start, end };
+}
+
+// ============================================================================
+// ROUTE TABLE - Declarative routing for the fetch handler
+// ============================================================================
+// A route matches requests on any combination of:
+//   url          regular expression, searched in the path and query string
+//   destination  request.destination ('document', 'image', 'script', ...);
+//                '' is fetch() and XHR, null matches any
+//   method       HTTP method, or '*' for any (default 'GET')
+// and sends them to a strategy, with a cache name and options:
+//   { id, url, destination, method, strategy, cacheName, options }
+//
+// Routes are tried in order and the first match wins. GET requests no route
+// matches use the default route, whose strategy is the one picked with
+// CHANGE_STRATEGY; navigations among them go to NAVIGATION instead. Only
+// network-only can handle methods other than GET, since the Cache API
+// stores GET responses only.
+//
+// Options, passed to the strategy:
+//   matchOptions           { ignoreSearch, ignoreVary } for the cache lookup
+//   networkTimeoutSeconds  network-first-timeout: how long to wait for the network
+//   expiration             { maxEntries, maxAgeSeconds, purgeOnQuotaError }
+//                          replaces the cache's policy from EXPIRATION_POLICIES
+//
+// The page reads and edits the table with messages:
+//   GET_ROUTES                          -> ROUTES { routes, defaultRoute, strategies }
+//   SET_ROUTES { routes, defaultRoute } -> ROUTES, or ROUTES_ERROR { error }
+//   RESET_ROUTES                        -> ROUTES
+//   MATCH_ROUTE { url, destination, method } -> ROUTE_MATCH { url, route, queued }
+// Every change is announced to all clients with ROUTES_CHANGED, and saved
+// with the CONFIGURATION.
+
+const STRATEGIES = {
+  'cache-first': cacheFirstStrategy,
+  'network-first': networkFirstStrategy,
+  'stale-while-revalidate': staleWhileRevalidateStrategy,
+  'network-only': networkOnlyStrategy,
+  'cache-only': cacheOnlyStrategy,
+  'network-first-timeout': networkFirstTimeoutStrategy,
+  'cache-network-race': cacheNetworkRaceStrategy
+};
+
+const DEFAULT_ROUTES = [
+  {
+    id: 'api',
+    url: '/api/',
+    destination: null,
+    method: 'GET',
+    strategy: 'network-first',
+    cacheName: CACHE_NAMES.api,
+    options: {}
+  },
+  {
+    id: 'images',
+    url: null,
+    destination: 'image',
+    method: 'GET',
+    strategy: 'cache-first',
+    cacheName: CACHE_NAMES.images,
+    options: {}
+  },
+  {
+    id: 'live-resource',
+    url: 'test-resource\\.json\\?live',
+    destination: '',
+    method: 'GET',
+    strategy: 'stale-while-revalidate',
+    cacheName: CACHE_NAMES.dynamic,
+    options: {}
+  },
+  {
+    id: 'media',
+    url: '/media/|\\.(mp4|webm|ogv|mp3|m4a|oga|ogg|wav)(\\?|$)',
+    destination: null,
+    method: 'GET',
+    strategy: 'cache-first',
+    cacheName: CACHE_NAMES.media,
+    options: {}
+  }
+];
+
+const DEFAULT_ROUTE = {
+  id: 'default',
+  strategy: 'cache-first',
+  cacheName: null,      // null uses the strategy's own cache
+  options: {}
+};
+
+// Compiled routes, [{ route, pattern }], in matching order
+let routes = DEFAULT_ROUTES.map(compileRoute);
+let defaultRoute = { ...DEFAULT_ROUTE };
+
+/** Validate a route and compile its URL pattern; throws on invalid routes. */
+function compileRoute(route) {
+  if (!route || typeof route !== 'object') {
+    throw new Error('A route must be an object');
+  }
+
+  const {
+    id,
+    url = null,
+    destination = null,
+    method = 'GET',
+    strategy,
+    cacheName = null,
+    options = {}
+  } = route;
+
+  if (typeof id !== 'string' || !id) {
+    throw new Error('Every route needs an id');
+  }
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Route "${id}": unknown strategy "${strategy}"`);
+  }
+  if (method !== 'GET' && strategy !== 'network-only') {
+    throw new Error(`Route "${id}": only network-only can handle ${method === '*' ? 'any method' : method} requests`);
+  }
+
+  validateRouteOptions(`Route "${id}"`, options);
+
+  let pattern = null;
+  if (url) {
+    try {
+      pattern = new RegExp(url);
+    } catch (error) {
+      throw new Error(`Route "${id}": invalid URL pattern (${error.message})`);
+    }
+  }
+
+  return {
+    route: { id, url: url || null, destination, method, strategy, cacheName: cacheName || null, options },
+    pattern
+  };
+}
+
+// Checked when the table is saved, like UPDATE_CONFIG, rather than failing
+// every request the route handles
+function validateRouteOptions(label, options) {
+  if (!options || typeof options !== 'object') {
+    throw new Error(`${label}: options must be an object`);
+  }
+  const { networkTimeoutSeconds, expiration } = options;
+  if (networkTimeoutSeconds !== undefined && !(Number.isFinite(networkTimeoutSeconds) && networkTimeoutSeconds > 0)) {
+    throw new Error(`${label}: networkTimeoutSeconds must be a positive number`);
+  }
+  if (expiration !== undefined && expiration !== null) {
+    if (typeof expiration !== 'object') {
+      throw new Error(`${label}: expiration must be an object`);
+    }
+    validatePolicy(`${label} expiration`, expiration);
+  }
+}
+
+/** Replace the route table; nothing changes unless every route is valid. */
+function setRoutes(newRoutes, newDefaultRoute = defaultRoute) {
+  if (!Array.isArray(newRoutes)) {
+    throw new Error('Routes must be an array');
+  }
+
+  const compiled = newRoutes.map(compileRoute);
+  const ids = new Set();
+  compiled.forEach(({ route }) => {
+    if (ids.has(route.id)) {
+      throw new Error(`Duplicate route id "${route.id}"`);
+    }
+    ids.add(route.id);
+  });
+
+  if (!STRATEGIES[newDefaultRoute.strategy]) {
+    throw new Error(`Default route: unknown strategy "${newDefaultRoute.strategy}"`);
+  }
+  validateRouteOptions('Default route', newDefaultRoute.options || {});
+
+  routes = compiled;
+  defaultRoute = {
+    id: 'default',
+    strategy: newDefaultRoute.strategy,
+    cacheName: newDefaultRoute.cacheName || null,
+    options: newDefaultRoute.options || {}
+  };
+}
+
+/** First route matching the request, the default route, or null for unrouted non-GET requests. */
+function findRoute(request, url) {
+  const path = url.pathname + url.search;
+  const match = routes.find(({ route, pattern }) => {
+    return (route.method === '*' || route.method === request.method) &&
+      (route.destination === null || route.destination === request.destination) &&
+      (!pattern || pattern.test(path));
+  });
+
+  if (match) {
+    return match.route;
+  }
+  return request.method === 'GET' ? defaultRoute : null;
+}
+
+async function handleRoute(route, request, event) {
+  const strategy = STRATEGIES[route.strategy];
+  // undefined lets the strategy fall back to its own cache; strategies that
+  // keep working after answering use the event to extend its lifetime
+  const response = await strategy(request, route.cacheName || undefined, route.options, event);
+
+  // Strategies answer with whole bodies, cached ones included
+  return request.headers.has('range') ? createPartialResponse(request, response) : response;
+}
+
+function getRouteTable() {
+  return {
+    routes: routes.map(({ route }) => route),
+    defaultRoute,
+    strategies: Object.keys(STRATEGIES)
+  };
+}
+
+// ============================================================================
+// CACHE EXPIRATION - Max entries (LRU), max age and purge on quota errors
+// ============================================================================
+// The Cache API keeps entries until they are deleted, so every runtime cache
+// gets a policy:
+//   maxEntries         keep at most this many; the least recently used go first
+//   maxAgeSeconds      entries cached longer ago than this are not served
+//   purgeOnQuotaError  empty this cache when a write fails for lack of space
+//
+// When each entry was cached and last served is kept in IndexedDB
+// ('sw-cache-expiration'), since a cached Response carries neither. Entries
+// without a record, e.g. cached before a policy existed, count as the least
+// recently used ones. Every eviction is logged with its reason ('max-entries',
+// 'max-age' or 'quota') and sent to the pages as CACHE_EVICTED { evictions }.
+// Caches without a policy, like the precached static assets, never expire.
+// These are the defaults; UPDATE_CONFIG can change them (see CONFIGURATION).
+
+const EXPIRATION_POLICIES = {
+  [CACHE_NAMES.dynamic]: { maxEntries: 20, maxAgeSeconds: 7 * 24 * 60 * 60, purgeOnQuotaError: true },
+  [CACHE_NAMES.images]: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true },
+  [CACHE_NAMES.api]: { maxEntries: 50, maxAgeSeconds: 60 * 60, purgeOnQuotaError: false },
+  [CACHE_NAMES.media]: { maxEntries: 5, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }
+};
+
+const EXPIRATION_DB_NAME = 'sw-cache-expiration';
+const MAX_EVICTION_LOG = 100;
+
+// One expiration pass at a time per cache
+const expirationQueues = new Map();
+
+function getExpirationPolicies() {
+  return config ? config.expiration : EXPIRATION_POLICIES;
+}
+
+function getExpirationPolicy(cacheName, options = {}) {
+  return options.expiration || getExpirationPolicies()[cacheName] || null;
+}
+
+/**
+ * caches.match(), but entries of the route's own cache that are past their
+ * max age are evicted instead of served, and hits refresh the LRU order.
+ */
+async function matchFromCache(request, cacheName, options = {}) {
+  const policy = cacheName && getExpirationPolicy(cacheName, options);
+  if (policy) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request, options.matchOptions);
+
+    if (response) {
+      const url = new Request(request).url;
+      try {
+        const entry = await getCacheEntry(cacheName, url);
+        const cachedAt = entry ? entry.cachedAt : Date.parse(response.headers.get('date'));
+
+        if (policy.maxAgeSeconds && cachedAt && Date.now() - cachedAt > policy.maxAgeSeconds * 1000) {
+          await evict(cacheName, [url], 'max-age');
+          return undefined;
+        }
+
+        await saveCacheEntry({ cacheName, url, cachedAt: cachedAt || null, accessedAt: Date.now() });
+      } catch (error) {
+        // Without the records the entry is still good to serve
+        console.warn('[SW] Expiration records unavailable:', error);
+      }
+      return response;
+    }
+  }
+
+  return caches.match(request, options.matchOptions);
+}
+
+/**
+ * cache.put() that records the entry for expiration and applies the cache's
+ * policy afterwards. On a quota error the caches that allow it are purged
+ * and the write is tried once more.
+ */
+async function putInCache(cacheName, request, response, options = {}) {
+  const cache = await caches.open(cacheName);
+  const url = new Request(request).url;
+
+  try {
+    // Keep `response` unread in case the write has to be retried
+    await cache.put(request, response.clone());
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      console.error('[SW] Cache write failed:', error);
+      return;
+    }
+
+    console.warn('[SW] Storage quota exceeded, purging caches');
+    await purgeOnQuotaError();
+    try {
+      await cache.put(request, response);
+    } catch (retryError) {
+      console.error('[SW] Cache write failed after purging:', retryError);
+      return;
+    }
+  }
+
+  const policy = getExpirationPolicy(cacheName, options);
+  if (policy) {
+    const now = Date.now();
+    try {
+      await saveCacheEntry({ cacheName, url, cachedAt: now, accessedAt: now });
+    } catch (error) {
+      console.warn('[SW] Expiration records unavailable:', error);
+    }
+    await enforceExpiration(cacheName, policy);
+  }
+}
+
+// putInCache() for a response that is served without waiting for the
+// write; `event` keeps the worker alive until the write is done
+function cacheInBackground(event, cacheName, request, response, options) {
+  const write = putInCache(cacheName, request, response, options).catch(error => {
+    console.error('[SW] Cache write failed:', error);
+  });
+  if (event) {
+    event.waitUntil(write);
+  }
+}
+
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+}
+
+/** Apply a cache's policy; runs after any pass on the same cache still in progress. */
+function enforceExpiration(cacheName, policy) {
+  const previous = expirationQueues.get(cacheName) || Promise.resolve();
+  const run = previous.then(() => expireCache(cacheName, policy)).catch(error => {
+    console.error('[SW] Expiration failed for', cacheName, error);
+  });
+  expirationQueues.set(cacheName, run);
+  return run;
+}
+
+async function expireCache(cacheName, policy) {
+  if (!(await caches.has(cacheName))) return;
+
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const entries = await getCacheEntries(cacheName);
+  const entryByUrl = new Map(entries.map(entry => [entry.url, entry]));
+  const cachedUrls = new Set(keys.map(request => request.url));
+
+  // Records of entries that left the cache some other way
+  const orphaned = entries.filter(entry => !cachedUrls.has(entry.url)).map(entry => entry.url);
+  if (orphaned.length > 0) {
+    await deleteCacheEntries(cacheName, orphaned);
+  }
+
+  let remaining = [...cachedUrls];
+
+  if (policy.maxAgeSeconds) {
+    const oldest = Date.now() - policy.maxAgeSeconds * 1000;
+    const expired = remaining.filter(url => {
+      const entry = entryByUrl.get(url);
+      return entry && entry.cachedAt && entry.cachedAt < oldest;
+    });
+    if (expired.length > 0) {
+      await evict(cacheName, expired, 'max-age');
+      remaining = remaining.filter(url => !expired.includes(url));
+    }
+  }
+
+  if (policy.maxEntries && remaining.length > policy.maxEntries) {
+    const accessedAt = url => (entryByUrl.get(url) || {}).accessedAt || 0;
+    const leastRecentlyUsed = remaining
+      .sort((a, b) => accessedAt(a) - accessedAt(b))
+      .slice(0, remaining.length - policy.maxEntries);
+    await evict(cacheName, leastRecentlyUsed, 'max-entries');
+  }
+}
+
+// Apply every policy, e.g. after the worker was not running for a while
+function expireAllCaches() {
+  return Promise.all(Object.entries(getExpirationPolicies()).map(([cacheName, policy]) => {
+    return enforceExpiration(cacheName, policy);
+  }));
+}
+
+async function purgeOnQuotaError() {
+  const policies = getExpirationPolicies();
+  const cacheNames = Object.keys(policies).filter(cacheName => policies[cacheName].purgeOnQuotaError);
+
+  for (const cacheName of cacheNames) {
+    if (!(await caches.has(cacheName))) continue;
+
+    const keys = await (await caches.open(cacheName)).keys();
+    await caches.delete(cacheName);
+    await deleteCacheEntries(cacheName, null);
+    await logEvictions(cacheName, keys.map(request => request.url), 'quota');
+  }
+}
+
+async function evict(cacheName, urls, reason) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(url => cache.delete(url)));
+  await deleteCacheEntries(cacheName, urls);
+  await logEvictions(cacheName, urls, reason);
+}
+
+async function logEvictions(cacheName, urls, reason) {
+  if (urls.length === 0) return;
+
+  const at = Date.now();
+  const evictions = urls.map(url => ({ cacheName, url, reason, at }));
+  console.log(`[SW] Evicted ${urls.length} entr${urls.length === 1 ? 'y' : 'ies'} from ${cacheName} (${reason})`);
+
+  await expirationTransaction('evictions', 'readwrite', async (store) => {
+    evictions.forEach(eviction => store.add(eviction));
+    // Keep the newest MAX_EVICTION_LOG records
+    const keys = await idbRequest(store.getAllKeys());
+    keys.slice(0, Math.max(0, keys.length - MAX_EVICTION_LOG)).forEach(key => store.delete(key));
+  });
+  await notifyClients({ type: 'CACHE_EVICTED', evictions });
+}
+
+/** The most recent evictions, newest first. */
+async function getEvictions(limit = 20) {
+  const evictions = await expirationTransaction('evictions', 'readonly', store => idbRequest(store.getAll()));
+  return evictions.reverse().slice(0, limit);
+}
+
+// ----------------------------------------------------------------------------
+// Expiration records in IndexedDB
+//   entries    { cacheName, url, cachedAt, accessedAt }, key [cacheName, url]
+//   evictions  { cacheName, url, reason, at }, auto-increment key
+// ----------------------------------------------------------------------------
+function openExpirationDB() {
+  return openDatabase(EXPIRATION_DB_NAME, 1, db => {
+    const entries = db.createObjectStore('entries', { keyPath: ['cacheName', 'url'] });
+    entries.createIndex('cacheName', 'cacheName');
+    db.createObjectStore('evictions', { autoIncrement: true });
+  });
+}
+
+async function expirationTransaction(storeName, mode, work) {
+  return runTransaction(await openExpirationDB(), storeName, mode, work);
+}
+
+// ----------------------------------------------------------------------------
+// IndexedDB helpers
+// ----------------------------------------------------------------------------
+const openDatabases = new Map();
+
+/** Open a database once per worker; `upgrade(db)` creates its stores. */
+function openDatabase(name, version, upgrade) {
+  if (!openDatabases.has(name)) {
+    const opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again on the next call instead of failing forever
+    opening.catch(() => openDatabases.delete(name));
+    openDatabases.set(name, opening);
+  }
+  return openDatabases.get(name);
+}
+
+/**
+ * Run `work(store)` in one transaction and resolve with its result once the
+ * transaction has committed. `work` may only await requests of this
+ * transaction, or the transaction commits early.
+ */
+function runTransaction(db, storeName, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(work(tx.objectStore(storeName)))
+      .then(value => {
+        result = value;
+      })
+      .catch(error => {
+        tx.abort();
+        reject(error);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function getCacheEntry(cacheName, url) {
+  return expirationTransaction('entries', 'readonly', store => idbRequest(store.get([cacheName, url])));
+}
+
+function getCacheEntries(cacheName) {
+  return expirationTransaction('entries', 'readonly', store => idbRequest(store.index('cacheName').getAll(cacheName)));
+}
+
+function saveCacheEntry(entry) {
+  return expirationTransaction('entries', 'readwrite', store => idbRequest(store.put(entry)));
+}
+
+/** Forget the given URLs of a cache, or all of them when `urls` is null. */
+function deleteCacheEntries(cacheName, urls) {
+  return expirationTransaction('entries', 'readwrite', async (store) => {
+    const keys = urls
+      ? urls.map(url => [cacheName, url])
+      : await idbRequest(store.index('cacheName').getAllKeys(cacheName));
+    keys.forEach(key => store.delete(key));
+  });
+}
+
+// ============================================================================
+// CONFIGURATION - Settings that survive worker restarts
+// ============================================================================
+// The browser stops an idle worker and starts a new one for the next event,
+// which loses everything kept only in variables. The route table, the
+// default strategy, the expiration policies and the debug flags are saved in
+// IndexedDB ('sw-config') instead, and read back as soon as the worker
+// starts; events that arrive before that wait for it:
+//   { version, revision, updatedAt, routes, defaultRoute, expiration, debug }
+// `version` is the layout of the record: records saved by an older layout
+// are migrated, anything else is replaced by the defaults. `revision` counts
+// the saves.
+//
+// Debug flags:
+//   logRoutes    log the route that handles each request
+//   bypassCache  leave every request to the browser, like DevTools'
+//                "Bypass for network"
+//
+// A page can override the default route's strategy and the debug flags for
+// its own requests. Overrides are keyed by client id, so they end with the
+// page, and are dropped once the client is gone:
+//   { clientId, strategy, debug, updatedAt }
+//
+//   GET_CONFIG                               -> CONFIG { config, override, loadedAt }
+//   UPDATE_CONFIG { expiration, debug }      -> CONFIG, or CONFIG_ERROR { error }
+//   RESET_CONFIG                             -> CONFIG with the defaults
+//   SET_CLIENT_OVERRIDE { strategy, debug }  -> CONFIG, or CONFIG_ERROR { error };
+//                                               null clears the override
+// Saves are announced to all clients with CONFIG_CHANGED { revision }.
+
+const CONFIG_DB_NAME = 'sw-config';
+const CONFIG_VERSION = 1;
+const CONFIG_KEY = 'global';
+
+const DEBUG_FLAGS = {
+  logRoutes: true,
+  bypassCache: false
+};
+
+// { version, revision, updatedAt, expiration, debug }; the routes live in
+// the route table. null until loaded.
+let config = null;
+let configLoading = null;
+let configLoadedAt = null;
+// Saves one at a time, in order
+let configWrites = Promise.resolve();
+const clientOverrides = new Map();
+
+/** Load the configuration once per worker start; never rejects. */
+function loadConfig() {
+  if (!configLoading) {
+    configLoading = readConfig().then(({ record, overrides }) => {
+      applyConfig(migrateConfig(record));
+      overrides.forEach(override => clientOverrides.set(override.clientId, override));
+      configLoadedAt = Date.now();
+      console.log(`[SW] Configuration loaded (revision ${config.revision}, ${overrides.length} client overrides)`);
+      return pruneClientOverrides();
+    });
+  }
+  return configLoading;
+}
+
+async function readConfig() {
+  try {
+    const record = await configTransaction('config', 'readonly', store => idbRequest(store.get(CONFIG_KEY)));
+    const overrides = await configTransaction('overrides', 'readonly', store => idbRequest(store.getAll()));
+    return { record, overrides };
+  } catch (error) {
+    console.warn('[SW] Configuration unavailable, using the defaults:', error);
+    return { record: null, overrides: [] };
+  }
+}
+
+function defaultConfig() {
+  return {
+    version: CONFIG_VERSION,
+    revision: 0,
+    updatedAt: null,
+    routes: DEFAULT_ROUTES,
+    defaultRoute: DEFAULT_ROUTE,
+    expiration: { ...EXPIRATION_POLICIES },
+    debug: { ...DEBUG_FLAGS }
+  };
+}
+
+/** Bring a saved record up to CONFIG_VERSION, filling in what it lacks. */
+function migrateConfig(record) {
+  if (!record) {
+    return defaultConfig();
+  }
+  // Each new layout adds a step here, e.g.
+  //   if (record.version === 1) record = { ...record, newField: ..., version: 2 };
+  if (record.version !== CONFIG_VERSION) {
+    console.warn('[SW] Unknown configuration version, using the defaults:', record.version);
+    return defaultConfig();
+  }
+
+  const defaults = defaultConfig();
+  // Policies of caches this worker does not use, e.g. from an older CACHE_VERSION, are dropped
+  const expiration = { ...defaults.expiration };
+  Object.keys(expiration).forEach(cacheName => {
+    if (record.expiration && record.expiration[cacheName]) {
+      expiration[cacheName] = record.expiration[cacheName];
+    }
+  });
+
+  return {
+    ...defaults,
+    ...record,
+    expiration,
+    debug: { ...defaults.debug, ...record.debug }
+  };
+}
+
+function applyConfig(next) {
+  try {
+    setRoutes(next.routes, next.defaultRoute);
+  } catch (error) {
+    console.warn('[SW] Saved routes are invalid, using the defaults:', error.message);
+    setRoutes(DEFAULT_ROUTES, DEFAULT_ROUTE);
+  }
+
+  config = {
+    version: next.version,
+    revision: next.revision,
+    updatedAt: next.updatedAt,
+    expiration: next.expiration,
+    debug: next.debug
+  };
+}
+
+/**
+ * Save the configuration, with the current route table, as a new revision.
+ * A failed save is logged; the change still holds until the worker stops.
+ */
+function saveConfig() {
+  config = { ...config, revision: config.revision + 1, updatedAt: Date.now() };
+  const { routes: savedRoutes, defaultRoute: savedDefault } = getRouteTable();
+  const record = { id: CONFIG_KEY, ...config, routes: savedRoutes, defaultRoute: savedDefault };
+
+  const write = configWrites.then(() => {
+    return configTransaction('config', 'readwrite', store => idbRequest(store.put(record)));
+  });
+  configWrites = write.catch(() => {});
+
+  return write
+    .then(() => notifyClients({ type: 'CONFIG_CHANGED', revision: record.revision }))
+    .catch(error => console.warn('[SW] Could not save the configuration:', error));
+}
+
+/** Change the expiration policies and debug flags; throws on invalid values. */
+function updateConfig({ expiration, debug }) {
+  const next = { ...config };
+
+  if (expiration) {
+    next.expiration = { ...config.expiration };
+    Object.entries(expiration).forEach(([cacheName, policy]) => {
+      if (!config.expiration[cacheName]) {
+        throw new Error(`No expiration policy for cache "${cacheName}"`);
+      }
+      next.expiration[cacheName] = validatePolicy(cacheName, { ...config.expiration[cacheName], ...policy });
+    });
+  }
+  if (debug) {
+    next.debug = { ...config.debug, ...validateDebugFlags(debug) };
+  }
+
+  config = next;
+}
+
+function validatePolicy(cacheName, policy) {
+  const { maxEntries, maxAgeSeconds, purgeOnQuotaError } = policy;
+  if (maxEntries !== null && !(Number.isInteger(maxEntries) && maxEntries > 0)) {
+    throw new Error(`${cacheName}: maxEntries must be a positive whole number or null`);
+  }
+  if (maxAgeSeconds !== null && !(typeof maxAgeSeconds === 'number' && maxAgeSeconds > 0)) {
+    throw new Error(`${cacheName}: maxAgeSeconds must be a positive number or null`);
+  }
+  if (typeof purgeOnQuotaError !== 'boolean') {
+    throw new Error(`${cacheName}: purgeOnQuotaError must be true or false`);
+  }
+  return { maxEntries, maxAgeSeconds, purgeOnQuotaError };
+}
+
+function validateDebugFlags(debug) {
+  Object.entries(debug).forEach(([flag, value]) => {
+    if (!(flag in DEBUG_FLAGS)) {
+      throw new Error(`Unknown debug flag "${flag}"`);
+    }
+    if (typeof value !== 'boolean') {
+      throw new Error(`Debug flag "${flag}" must be true or false`);
+    }
+  });
+  return debug;
+}
+
+/** The global debug flags with the client's overrides on top. */
+function getDebugFlags(clientId) {
+  const override = clientId && clientOverrides.get(clientId);
+  const debug = config ? config.debug : DEBUG_FLAGS;
+  return override && override.debug ? { ...debug, ...override.debug } : debug;
+}
+
+/** Set or, with neither strategy nor debug flags, remove a client's override. */
+async function setClientOverride(clientId, { strategy = null, debug = null }) {
+  if (!clientId) {
+    throw new Error('Overrides need a client id');
+  }
+  if (strategy !== null && !STRATEGIES[strategy]) {
+    throw new Error(`Unknown strategy "${strategy}"`);
+  }
+  if (debug !== null) {
+    validateDebugFlags(debug);
+  }
+
+  if (strategy === null && debug === null) {
+    clientOverrides.delete(clientId);
+    await configTransaction('overrides', 'readwrite', store => idbRequest(store.delete(clientId)));
+    return null;
+  }
+
+  const override = { clientId, strategy, debug, updatedAt: Date.now() };
+  clientOverrides.set(clientId, override);
+  await configTransaction('overrides', 'readwrite', store => idbRequest(store.put(override)));
+  return override;
+}
+
+// Overrides of pages that have been closed or navigated away
+async function pruneClientOverrides() {
+  if (clientOverrides.size === 0) return;
+
+  try {
+    const clientIds = new Set((await self.clients.matchAll({ includeUncontrolled: true })).map(client => client.id));
+    const stale = [...clientOverrides.keys()].filter(clientId => !clientIds.has(clientId));
+    if (stale.length === 0) return;
+
+    stale.forEach(clientId => clientOverrides.delete(clientId));
+    await configTransaction('overrides', 'readwrite', store => {
+      return Promise.all(stale.map(clientId => idbRequest(store.delete(clientId))));
+    });
+    console.log('[SW] Dropped overrides of closed clients:', stale.length);
+  } catch (error) {
+    console.warn('[SW] Could not prune client overrides:', error);
+  }
+}
+
+function getConfigReport(clientId) {
+  return {
+    config: { ...config, ...getRouteTable() },
+    override: (clientId && clientOverrides.get(clientId)) || null,
+    loadedAt: configLoadedAt
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Configuration records in IndexedDB
+//   config     the configuration, key CONFIG_KEY
+//   overrides  { clientId, strategy, debug, updatedAt }, key clientId
+// ----------------------------------------------------------------------------
+function openConfigDB() {
+  return openDatabase(CONFIG_DB_NAME, 1, db => {
+    db.createObjectStore('config', { keyPath: 'id' });
+    db.createObjectStore('overrides', { keyPath: 'clientId' });
+  });
+}
+
+async function configTransaction(storeName, mode, work) {
+  return runTransaction(await openConfigDB(), storeName, mode, work);
+}
+
+// ============================================================================
+// REPLAY QUEUE - Send requests made offline once the network is back
+// ============================================================================
+// POST, PUT, PATCH and DELETE requests to this worker's scope that no route
+// handles go to the network. When that fails (no connection, as opposed to
+// an HTTP error) the request is stored in IndexedDB ('sw-replay-queue') and
+// the page gets a synthetic 202 Accepted { queued, id, queuedAt } with an
+// X-Replay-Queued header holding the id. Form submissions (navigations) and
+// requests to other origins, like analytics, are left alone.
+//
+// The queue is replayed in order on the 'sync-data' Background Sync event,
+// on the first event after the worker starts, and on REPLAY_NOW. Each
+// request gets MAX_REPLAY_ATTEMPTS tries:
+//   2xx                replayed, removed
+//   4xx                rejected by the server, removed; retrying won't help
+//   5xx or no network  kept, and the replay stops there so later requests
+//                      don't overtake it; removed as failed once out of tries
+// Every step is sent to all clients as
+//   REPLAY_STATUS { id, method, url, status, attempts, httpStatus, error }
+// with status 'queued', 'replayed', 'rejected', 'retrying' or 'failed'.
+//
+//   GET_REPLAY_QUEUE    -> REPLAY_QUEUE { entries }, without the bodies
+//   REPLAY_NOW          -> REPLAY_QUEUE once the replay has finished
+//   CLEAR_REPLAY_QUEUE  -> REPLAY_QUEUE
+
+const REPLAY_DB_NAME = 'sw-replay-queue';
+const REPLAY_SYNC_TAG = 'sync-data';
+const REPLAY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_REPLAY_ATTEMPTS = 5;
+
+// The replay in progress; one at a time keeps the order
+let replaying = null;
+let replayedOnStart = false;
+
+function isReplayable(request, url) {
+  return REPLAY_METHODS.includes(request.method) &&
+    request.mode !== 'navigate' &&
+    url.href.startsWith(self.registration.scope);
+}
+
+async function queueOnFailure(request) {
+  // fetch() reads the body, so keep a copy to store
+  const copy = request.clone();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const entry = await enqueueRequest(copy, error);
+    return new Response(JSON.stringify({ queued: true, id: entry.id, queuedAt: entry.queuedAt }), {
+      status: 202,
+      statusText: 'Accepted',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Replay-Queued': String(entry.id)
+      }
+    });
+  }
+}
+
+async function enqueueRequest(request, error) {
+  const body = await request.arrayBuffer();
+  const entry = {
+    method: request.method,
+    url: request.url,
+    headers: [...request.headers],
+    body: body.byteLength > 0 ? body : null,
+    mode: request.mode,
+    credentials: request.credentials,
+    queuedAt: Date.now(),
+    attempts: 0,
+    lastError: error.message
+  };
+  entry.id = await replayTransaction('requests', 'readwrite', store => idbRequest(store.add(entry)));
+  console.log(`[SW] Offline, queued ${entry.method} #${entry.id}:`, entry.url);
+
+  await notifyReplayStatus(entry, 'queued');
+  await registerReplaySync();
+  return entry;
+}
+
+function registerReplaySync() {
+  if (!self.registration.sync) {
+    // No Background Sync: the next worker start or REPLAY_NOW replays
+    return Promise.resolve();
   }
+  return self.registration.sync.register(REPLAY_SYNC_TAG).catch(error => {
+    console.warn('[SW] Could not register background sync:', error);
+  });
+}
 
-  // Skip chrome extensions and other origins
-  if (!url.pathname.startsWith('/') && url.origin !== location.origin) {
-    return;
+/**
+ * Replay the queue in order. Rejects when requests are left to retry, so
+ * that a sync event is tried again later.
+ */
+function replayQueue() {
+  if (!replaying) {
+    replaying = runReplay().finally(() => {
+      replaying = null;
+    });
   }
+  return replaying;
+}
 
-  // Route to appropriate strategy based on request type
-  if (url.pathname.includes('/api/')) {
-    event.respondWith(networkFirstStrategy(request));
-  } else if (request.destination === 'image') {
-    event.respondWith(cacheFirstStrategy(request, CACHE_NAMES.images));
-  } else {
-    // Use the currently selected strategy for demo purposes
-    event.respondWith(routeToStrategy(request, currentStrategy));
+async function runReplay() {
+  if (self.navigator && self.navigator.onLine === false) {
+    // Don't use up attempts on requests that cannot get through
+    throw new Error('Offline, replay postponed');
   }
-});
 
-// ============================================================================
-// STRATEGY 1: CACHE FIRST (Cache Falling Back to Network)
-// Best for: Static assets, fonts, images
-// ============================================================================
-async function cacheFirstStrategy(request, cacheName = CACHE_NAMES.static) {
-  try {
-    // Try cache first
-    const cachedResponse = await caches.match(request);
-    if (cachedResponse) {
-      console.log('[SW] Cache hit:', request.url);
-      return cachedResponse;
+  // Keys increase, so this is the order the requests were made in
+  const entries = await replayTransaction('requests', 'readonly', store => idbRequest(store.getAll()));
+  for (const entry of entries) {
+    if (await replayEntry(entry) === 'retrying') {
+      throw new Error(`Replay stopped at #${entry.id}, will retry`);
     }
+  }
+  if (entries.length > 0) {
+    console.log('[SW] Replay queue emptied');
+  }
+}
 
-    // Not in cache, fetch from Network
-    console.log('[SW] Cache miss, fetching:', request.url);
-    const networkResponse = await fetch(request);
+async function replayEntry(entry) {
+  const attempt = { ...entry, attempts: entry.attempts + 1, lastError: null };
+  let status;
+  let httpStatus = null;
 
-    // Cache the response for future use
-    if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(cacheName);
-      cache.put(request, networkResponse.clone());
-    }
+  try {
+    const response = await fetch(new Request(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body,
+      mode: entry.mode,
+      credentials: entry.credentials
+    }));
+    httpStatus = response.status;
 
-    return networkResponse;
+    if (response.ok || response.type === 'opaque') {
+      status = 'replayed';
+    } else if (response.status < 500) {
+      status = 'rejected';
+    } else {
+      throw new Error(`HTTP ${response.status}`);
+    }
   } catch (error) {
-    console.error('[SW] Cache first failed:', error);
-    return getOfflineFallback(request);
+    attempt.lastError = error.message;
+    status = attempt.attempts >= MAX_REPLAY_ATTEMPTS ? 'failed' : 'retrying';
   }
+
+  console.log(`[SW] Replay ${entry.method} #${entry.id}: ${status}`, entry.url);
+  await replayTransaction('requests', 'readwrite', store => {
+    return idbRequest(status === 'retrying' ? store.put(attempt) : store.delete(entry.id));
+  });
+  await notifyReplayStatus(attempt, status, httpStatus);
+  return status;
+}
+
+// Once per worker start, on its first event
+function replayOnStart(event) {
+  if (replayedOnStart) return;
+  replayedOnStart = true;
+
+  event.waitUntil(replayQueue().catch(error => {
+    console.log('[SW] Replay queue not emptied:', error.message);
+  }));
+}
+
+function notifyReplayStatus(entry, status, httpStatus = null) {
+  return notifyClients({
+    type: 'REPLAY_STATUS',
+    id: entry.id,
+    method: entry.method,
+    url: entry.url,
+    status,
+    attempts: entry.attempts,
+    httpStatus,
+    error: entry.lastError
+  });
+}
+
+async function getReplayQueue() {
+  const entries = await replayTransaction('requests', 'readonly', store => idbRequest(store.getAll()));
+  return entries.map(({ body, headers, mode, credentials, ...entry }) => ({
+    ...entry,
+    bodySize: body ? body.byteLength : 0
+  }));
+}
+
+// ----------------------------------------------------------------------------
+// Replay queue in IndexedDB
+//   requests  { id, method, url, headers, body, mode, credentials,
+//               queuedAt, attempts, lastError }, auto-increment key id
+// ----------------------------------------------------------------------------
+function openReplayDB() {
+  return openDatabase(REPLAY_DB_NAME, 1, db => {
+    db.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
+  });
+}
+
+async function replayTransaction(storeName, mode, work) {
+  return runTransaction(await openReplayDB(), storeName, mode, work);
 }
 
 // ============================================================================
-// STRATEGY 2: NETWORK FIRST (Network Falling Back to Cache)
-// Best for: API calls, frequently updated content
+// CACHE INSPECTOR - Browse, refresh, delete, export and import cache entries
 // ============================================================================
-async function networkFirstStrategy(request, cacheName = CACHE_NAMES.api) {
-  try {
-    console.log('[SW] Fetching from Network:', request.url);
-    const networkResponse = await fetch(request);
+// A cached Response keeps its status and headers but not when it was cached:
+// that comes from the expiration records, or from the Date header in caches
+// without a policy. Entries are read with the Cache API directly, so
+// inspecting them does not count as a use for the LRU order.
+//
+//   LIST_CACHE_ENTRIES { cacheName? }       -> CACHE_ENTRIES { entries }
+//   REFRESH_CACHE_ENTRY { cacheName, url }  -> CACHE_ENTRY { entry }
+//   DELETE_CACHE_ENTRY { cacheName, url }   -> CACHE_ENTRY_DELETED { deleted }
+//   EXPORT_CACHES { cacheNames? }           -> CACHE_ARCHIVE { archive, entryCount, skipped }
+//   IMPORT_CACHES { archive }               -> CACHES_IMPORTED { imported, skipped }
+// and CACHE_INSPECTOR_ERROR { error } when one fails.
+//
+// An archive is a JSON file with the status, headers, cached-at time and
+// base64 body of every entry. URLs under this worker's scope are stored
+// relative to it, so an archive exported on one site imports into a local
+// copy of it. Opaque responses can't be read and are left out.
 
-    // Cache successful responses
-    if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(cacheName);
-      cache.put(request, networkResponse.clone());
-      console.log('[SW] Cached Network response:', request.url);
+const CACHE_ARCHIVE_FORMAT = 'sw-cache-archive';
+const CACHE_ARCHIVE_VERSION = 1;
+
+// A Response with one of these statuses may not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+async function listCacheEntries(cacheName = null) {
+  const cacheNames = cacheName ? [cacheName] : await caches.keys();
+  const entries = [];
+
+  for (const name of cacheNames) {
+    if (!(await caches.has(name))) continue;
+
+    const cache = await caches.open(name);
+    const records = await getCacheRecords(name);
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (response) {
+        entries.push(await describeCacheEntry(name, request.url, response, records.get(request.url)));
+      }
     }
+  }
+  return entries;
+}
 
-    return networkResponse;
+async function describeCacheEntry(cacheName, url, response, record) {
+  const opaque = response.type === 'opaque';
+  return {
+    cacheName,
+    url,
+    status: response.status,
+    statusText: response.statusText,
+    type: response.type,
+    contentType: response.headers.get('content-type'),
+    // The body of an opaque response can't be read, so its size is unknown
+    size: opaque ? null : (await response.blob()).size,
+    cachedAt: (record && record.cachedAt) || Date.parse(response.headers.get('date')) || null,
+    accessedAt: record ? record.accessedAt : null,
+    headers: [...response.headers]
+  };
+}
+
+// The expiration records of a cache by URL; none for caches without a policy
+async function getCacheRecords(cacheName) {
+  try {
+    const records = await getCacheEntries(cacheName);
+    return new Map(records.map(record => [record.url, record]));
   } catch (error) {
-    // Network failed, try cache
-    console.log('[SW] Network failed, trying cache:', request.url);
-    const cachedResponse = await caches.match(request);
+    console.warn('[SW] Expiration records unavailable:', error);
+    return new Map();
+  }
+}
 
-    if (cachedResponse) {
-      console.log('[SW] Serving from cache:', request.url);
-      return cachedResponse;
-    }
+// The precache is written from the manifest only; its revisions would
+// not match entries changed from the inspector
+function isPrecache(cacheName) {
+  return cacheName === PRECACHE_NAME || cacheName === PRECACHE_STAGING_NAME;
+}
 
-    console.error('[SW] Network first failed:', error);
-    return getOfflineFallback(request);
+/** Fetch an entry again, bypassing the HTTP cache, and store the new copy. */
+async function refreshCacheEntry(cacheName, url) {
+  if (isPrecache(cacheName)) {
+    throw new Error('Precached files are updated from the manifest');
+  }
+
+  const [stored] = (await caches.has(cacheName)) ? await (await caches.open(cacheName)).keys(url) : [];
+  if (!stored) {
+    throw new Error(`Not in ${cacheName}: ${url}`);
+  }
+
+  // Same mode and credentials as the request that was cached
+  const response = await fetch(new Request(stored, { cache: 'no-cache' }));
+  if (!response.ok && response.type !== 'opaque') {
+    throw new Error(`HTTP ${response.status}`);
   }
+
+  await putInCache(cacheName, stored, response.clone());
+  const records = await getCacheRecords(cacheName);
+  return describeCacheEntry(cacheName, stored.url, response, records.get(stored.url));
 }
 
-// ============================================================================
-// STRATEGY 3: STALE WHILE REVALIDATE
-// Best for: Frequently updated content that can be slightly stale
-// ============================================================================
-async function staleWhileRevalidateStrategy(request, cacheName = CACHE_NAMES.dynamic) {
-  const cachedResponse = await caches.match(request);
+async function deleteCacheEntry(cacheName, url) {
+  if (isPrecache(cacheName)) {
+    throw new Error('Precached files are removed from the manifest');
+  }
+  if (!(await caches.has(cacheName))) return false;
 
-  // Fetch fresh version in background
-  const fetchPromise = fetch(request).then(networkResponse => {
-    if (networkResponse && networkResponse.status === 200) {
-      const cache = caches.open(cacheName);
-      cache.then(c => c.put(request, networkResponse.clone()));
-      console.log('[SW] Updated cache in background:', request.url);
+  const deleted = await (await caches.open(cacheName)).delete(url);
+  await deleteCacheEntries(cacheName, [url]);
+  return deleted;
+}
+
+async function exportCaches(cacheNames = null) {
+  const archive = {
+    format: CACHE_ARCHIVE_FORMAT,
+    version: CACHE_ARCHIVE_VERSION,
+    scope: self.registration.scope,
+    exportedAt: Date.now(),
+    caches: []
+  };
+  const skipped = [];
+  let entryCount = 0;
+
+  for (const cacheName of cacheNames || await caches.keys()) {
+    if (!(await caches.has(cacheName))) continue;
+
+    const cache = await caches.open(cacheName);
+    const records = await getCacheRecords(cacheName);
+    const entries = [];
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (!response || response.type === 'opaque') {
+        skipped.push({ cacheName, url: request.url, reason: 'Opaque response, the body cannot be read' });
+        continue;
+      }
+
+      const record = records.get(request.url);
+      entries.push({
+        url: relativeToScope(request.url),
+        status: response.status,
+        statusText: response.statusText,
+        headers: [...response.headers],
+        cachedAt: record ? record.cachedAt : null,
+        body: toBase64(await response.arrayBuffer())
+      });
     }
-    return networkResponse;
-  }).catch(error => {
-    console.error('[SW] Background fetch failed:', error);
-    return cachedResponse; // Return cached version if fetch fails
-  });
 
-  // Return cached version immediately, or wait for Network
-  if (cachedResponse) {
-    console.log('[SW] Serving cached, updating in background:', request.url);
-    return cachedResponse;
+    archive.caches.push({ name: cacheName, entries });
+    entryCount += entries.length;
   }
 
-  console.log('[SW] No cache, waiting for Network:', request.url);
-  return fetchPromise;
+  console.log(`[SW] Exported ${entryCount} cache entries`);
+  return {
+    archive: new Blob([JSON.stringify(archive)], { type: 'application/json' }),
+    entryCount,
+    skipped
+  };
 }
 
-// ============================================================================
-// STRATEGY 4: NETWORK ONLY
-// Best for: Always-fresh data, analytics
-// ============================================================================
-async function networkOnlyStrategy(request) {
+/**
+ * Put every entry of an archive (a Blob or File) in its cache, except
+ * precached ones, then apply the caches' expiration policies.
+ */
+async function importCaches(file) {
+  let archive;
   try {
-    console.log('[SW] Network only:', request.url);
-    return await fetch(request);
+    archive = JSON.parse(await file.text());
   } catch (error) {
-    console.error('[SW] Network only failed:', error);
-    return getOfflineFallback(request);
+    throw new Error('Not a cache archive: the file is not JSON');
+  }
+  if (!archive || archive.format !== CACHE_ARCHIVE_FORMAT || !Array.isArray(archive.caches)) {
+    throw new Error('Not a cache archive');
+  }
+  if (archive.version !== CACHE_ARCHIVE_VERSION) {
+    throw new Error(`Unsupported cache archive version: ${archive.version}`);
   }
-}
 
-// ============================================================================
-// STRATEGY 5: CACHE ONLY
-// Best for: Pre-cached resources that never change
-// ============================================================================
-async function cacheOnlyStrategy(request) {
-  const cachedResponse = await caches.match(request);
+  const skipped = [];
+  let imported = 0;
 
-  if (cachedResponse) {
-    console.log('[SW] Cache only hit:', request.url);
-    return cachedResponse;
+  for (const { name, entries } of archive.caches) {
+    if (isPrecache(name)) {
+      entries.forEach(entry => {
+        skipped.push({ cacheName: name, url: entry.url, reason: 'Precached files come from the manifest' });
+      });
+      continue;
+    }
+
+    const cache = await caches.open(name);
+    const policy = getExpirationPolicies()[name];
+
+    for (const entry of entries) {
+      const url = new URL(entry.url, self.registration.scope).href;
+      try {
+        const body = NULL_BODY_STATUSES.includes(entry.status) ? null : fromBase64(entry.body);
+        await cache.put(url, new Response(body, {
+          status: entry.status,
+          statusText: entry.statusText,
+          headers: entry.headers
+        }));
+        if (policy) {
+          // Keep the original time, so entries expire as they would have there
+          await saveCacheEntry({ cacheName: name, url, cachedAt: entry.cachedAt || Date.now(), accessedAt: Date.now() });
+        }
+        imported++;
+      } catch (error) {
+        skipped.push({ cacheName: name, url, reason: error.message });
+      }
+    }
+
+    // An archive may hold more, or older, entries than the policy allows
+    if (policy) {
+      await enforceExpiration(name, policy);
+    }
   }
 
-  console.log('[SW] Cache only miss:', request.url);
-  return getOfflineFallback(request);
+  console.log(`[SW] Imported ${imported} cache entries, skipped ${skipped.length}`);
+  return { imported, skipped };
 }
 
-// ============================================================================
-// STRATEGY ROUTER - Route to different strategies for demo
-// ============================================================================
-function routeToStrategy(request, strategy) {
-  switch (strategy) {
-    case 'cache-first':
-      return cacheFirstStrategy(request);
-    case 'Network-first':
-      return networkFirstStrategy(request);
-    case 'stale-while-revalidate':
-      return staleWhileRevalidateStrategy(request);
-    case 'Network-only':
-      return networkOnlyStrategy(request);
-    case 'cache-only':
-      return cacheOnlyStrategy(request);
-    default:
-      return cacheFirstStrategy(request);
-  }
+function relativeToScope(url) {
+  const scope = self.registration.scope;
+  return url.startsWith(scope) ? `./${url.slice(scope.length)}` : url;
 }
 
 // ============================================================================
@@ -272,48 +1986,172 @@ async function getOfflineFallback(request) {
 self.addEventListener('message', (event) => {
   console.log('[SW] Message received:', event.data);
 
+  replayOnStart(event);
+
+  // Most messages read or change the configuration
+  event.waitUntil(loadConfig().then(() => handleMessage(event)));
+});
+
+function handleMessage(event) {
   if (event.data.type === 'CHANGE_STRATEGY') {
-    currentStrategy = event.data.strategy;
-    console.log('[SW] Strategy changed to:', currentStrategy);
+    if (!STRATEGIES[event.data.strategy]) {
+      console.warn('[SW] Unknown strategy:', event.data.strategy);
+      return;
+    }
+    try {
+      validateRouteOptions('Default route', { ...defaultRoute.options, ...event.data.options });
+    } catch (error) {
+      console.warn('[SW] Strategy options rejected:', error.message);
+      return;
+    }
+
+    // The picked strategy handles everything the route table does not
+    defaultRoute = {
+      ...defaultRoute,
+      strategy: event.data.strategy,
+      options: { ...defaultRoute.options, ...event.data.options }
+    };
+    console.log('[SW] Strategy changed to:', defaultRoute.strategy);
 
     // Notify all clients
-    self.clients.matchAll().then(clients => {
-      clients.forEach(client => {
-        client.postMessage({
-          type: 'STRATEGY_CHANGED',
-          strategy: currentStrategy
-        });
-      });
-    });
+    event.waitUntil(Promise.all([
+      saveConfig(),
+      notifyClients({
+        type: 'STRATEGY_CHANGED',
+        strategy: defaultRoute.strategy
+      })
+    ]));
+  }
+
+  if (event.data.type === 'GET_ROUTES') {
+    replyTo(event, { type: 'ROUTES', ...getRouteTable() });
+  }
+
+  if (event.data.type === 'SET_ROUTES' || event.data.type === 'RESET_ROUTES') {
+    try {
+      if (event.data.type === 'RESET_ROUTES') {
+        setRoutes(DEFAULT_ROUTES, DEFAULT_ROUTE);
+      } else {
+        setRoutes(event.data.routes, event.data.defaultRoute);
+      }
+    } catch (error) {
+      console.warn('[SW] Route table rejected:', error.message);
+      replyTo(event, { type: 'ROUTES_ERROR', error: error.message });
+      return;
+    }
+
+    console.log('[SW] Route table updated:', getRouteTable());
+    replyTo(event, { type: 'ROUTES', ...getRouteTable() });
+    event.waitUntil(Promise.all([
+      saveConfig(),
+      notifyClients({ type: 'ROUTES_CHANGED', ...getRouteTable() })
+    ]));
+  }
+
+  if (event.data.type === 'GET_REPLAY_QUEUE' || event.data.type === 'REPLAY_NOW' || event.data.type === 'CLEAR_REPLAY_QUEUE') {
+    let work = Promise.resolve();
+    if (event.data.type === 'REPLAY_NOW') {
+      // Whatever could not be sent stays in the queue that is sent back
+      work = replayQueue().catch(error => console.log('[SW] Replay queue not emptied:', error.message));
+    } else if (event.data.type === 'CLEAR_REPLAY_QUEUE') {
+      work = replayTransaction('requests', 'readwrite', store => idbRequest(store.clear()));
+    }
+
+    event.waitUntil(
+      work
+        .then(() => getReplayQueue())
+        .then(entries => replyTo(event, { type: 'REPLAY_QUEUE', entries }))
+        .catch(error => replyTo(event, { type: 'REPLAY_QUEUE', entries: [], error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'GET_CONFIG') {
+    replyTo(event, { type: 'CONFIG', ...getConfigReport(event.source && event.source.id) });
+  }
+
+  if (event.data.type === 'UPDATE_CONFIG' || event.data.type === 'RESET_CONFIG') {
+    try {
+      if (event.data.type === 'RESET_CONFIG') {
+        applyConfig({ ...defaultConfig(), revision: config.revision });
+      } else {
+        updateConfig(event.data);
+      }
+    } catch (error) {
+      console.warn('[SW] Configuration rejected:', error.message);
+      replyTo(event, { type: 'CONFIG_ERROR', error: error.message });
+      return;
+    }
+
+    event.waitUntil(saveConfig().then(() => {
+      replyTo(event, { type: 'CONFIG', ...getConfigReport(event.source && event.source.id) });
+      return Promise.all([
+        // Stricter policies take effect right away
+        expireAllCaches(),
+        event.data.type === 'RESET_CONFIG' && notifyClients({ type: 'ROUTES_CHANGED', ...getRouteTable() })
+      ]);
+    }, error => replyTo(event, { type: 'CONFIG_ERROR', error: error.message })));
+  }
+
+  if (event.data.type === 'SET_CLIENT_OVERRIDE') {
+    const clientId = event.source && event.source.id;
+    event.waitUntil(
+      setClientOverride(clientId, event.data)
+        .then(() => replyTo(event, { type: 'CONFIG', ...getConfigReport(clientId) }))
+        .catch(error => replyTo(event, { type: 'CONFIG_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'MATCH_ROUTE') {
+    const { url, destination = '', method = 'GET' } = event.data;
+    let route = null;
+    let queued = false;
+    try {
+      const target = new URL(url, self.registration.scope);
+      route = findRoute({ destination, method }, target);
+      // Unrouted writes the fetch handler still takes, to queue them when offline
+      const mode = destination === 'document' ? 'navigate' : 'cors';
+      queued = !route && isReplayable({ method, mode }, target);
+    } catch (error) {
+      // Not a valid URL: nothing matches
+    }
+    replyTo(event, { type: 'ROUTE_MATCH', url, route, queued });
   }
 
+  // Runtime caches only: the precache holds the app itself, and its
+  // revisions would still say the deleted files are up to date
   if (event.data.type === 'CLEAR_CACHE') {
     event.waitUntil(
       caches.keys().then(cacheNames => {
+        const runtimeCaches = cacheNames.filter(cacheName => !isPrecache(cacheName));
         return Promise.all(
-          cacheNames.map(cacheName => {
+          runtimeCaches.map(cacheName => {
             console.log('[SW] Clearing cache:', cacheName);
             return caches.delete(cacheName);
           })
-        );
+        ).then(() => runtimeCaches);
+      }).then(runtimeCaches => {
+        // Also the records of configured caches that were already gone
+        const cacheNames = new Set([...runtimeCaches, ...Object.keys(getExpirationPolicies())]);
+        return Promise.all([...cacheNames].map(cacheName => deleteCacheEntries(cacheName, null)));
       }).then(() => {
         console.log('[SW] All caches cleared');
-        self.clients.matchAll().then(clients => {
-          clients.forEach(client => {
-            client.postMessage({ type: 'CACHE_CLEARED' });
-          });
-        });
-      })
+        // Every tab hears about it; a sender waiting on a port is answered there too
+        if (event.ports && event.ports[0]) {
+          event.ports[0].postMessage({ type: 'CACHE_CLEARED' });
+        }
+        return notifyClients({ type: 'CACHE_CLEARED' });
+      }).catch(error => replyTo(event, { type: 'CACHE_ERROR', error: error.message }))
     );
   }
 
   if (event.data.type === 'CACHE_URL') {
     const url = event.data.url;
     event.waitUntil(
-      caches.open(CACHE_NAMES.dynamic).then(cache => {
-        return fetch(url).then(response => {
-          return cache.put(url, response);
-        });
+      fetch(url).then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return putInCache(CACHE_NAMES.dynamic, url, response);
       }).then(() => {
         console.log('[SW] Cached URL:', url);
         event.ports[0].postMessage({ success: true });
@@ -324,43 +2162,183 @@ self.addEventListener('message', (event) => {
     );
   }
 
+  // Store a whole media file for offline playback: the page's File, or the
+  // URL fetched without a Range header
+  if (event.data.type === 'CACHE_MEDIA') {
+    const { url, file } = event.data;
+    event.waitUntil(
+      (file ? Promise.resolve(new Response(file, {
+        headers: {
+          'Content-Type': file.type || 'application/octet-stream',
+          'Content-Length': String(file.size)
+        }
+      })) : fetch(url)).then(response => {
+        if (response.status !== 200) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return putInCache(CACHE_NAMES.media, url, response.clone()).then(() => response.blob());
+      }).then(blob => {
+        console.log('[SW] Cached media:', url);
+        replyTo(event, { type: 'MEDIA_CACHED', url, size: blob.size, contentType: blob.type });
+      }).catch(error => {
+        console.error('[SW] Failed to cache media:', error);
+        replyTo(event, { type: 'MEDIA_ERROR', url, error: error.message });
+      })
+    );
+  }
+
+  if (event.data.type === 'GET_NAVIGATION_MODE') {
+    event.waitUntil(
+      getNavigationState()
+        .then(state => replyTo(event, { type: 'NAVIGATION_MODE', ...state }))
+        .catch(error => replyTo(event, { type: 'NAVIGATION_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'SET_NAVIGATION_MODE') {
+    event.waitUntil(
+      setNavigationMode(event.data.mode)
+        .then(state => {
+          replyTo(event, { type: 'NAVIGATION_MODE', ...state });
+          return notifyClients({ type: 'NAVIGATION_MODE_CHANGED', ...state });
+        })
+        .catch(error => replyTo(event, { type: 'NAVIGATION_ERROR', error: error.message }))
+    );
+  }
+
   if (event.data.type === 'GET_CACHE_INFO') {
     event.waitUntil(
       getCacheInfo().then(info => {
-        self.clients.matchAll().then(clients => {
-          clients.forEach(client => {
-            client.postMessage({
-              type: 'CACHE_INFO',
-              info: info
-            });
-          });
+        replyTo(event, {
+          type: 'CACHE_INFO',
+          info: info
         });
-      })
+      }).catch(error => replyTo(event, { type: 'CACHE_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'LIST_CACHE_ENTRIES') {
+    event.waitUntil(
+      listCacheEntries(event.data.cacheName)
+        .then(entries => replyTo(event, { type: 'CACHE_ENTRIES', entries }))
+        .catch(error => replyTo(event, { type: 'CACHE_INSPECTOR_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'REFRESH_CACHE_ENTRY') {
+    event.waitUntil(
+      refreshCacheEntry(event.data.cacheName, event.data.url)
+        .then(entry => replyTo(event, { type: 'CACHE_ENTRY', entry }))
+        .catch(error => replyTo(event, { type: 'CACHE_INSPECTOR_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'DELETE_CACHE_ENTRY') {
+    event.waitUntil(
+      deleteCacheEntry(event.data.cacheName, event.data.url)
+        .then(deleted => replyTo(event, { type: 'CACHE_ENTRY_DELETED', deleted }))
+        .catch(error => replyTo(event, { type: 'CACHE_INSPECTOR_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'EXPORT_CACHES') {
+    event.waitUntil(
+      exportCaches(event.data.cacheNames)
+        .then(result => replyTo(event, { type: 'CACHE_ARCHIVE', ...result }))
+        .catch(error => replyTo(event, { type: 'CACHE_INSPECTOR_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'IMPORT_CACHES') {
+    event.waitUntil(
+      importCaches(event.data.archive)
+        .then(result => replyTo(event, { type: 'CACHES_IMPORTED', ...result }))
+        .catch(error => replyTo(event, { type: 'CACHE_INSPECTOR_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'GET_PRECACHE_STATUS') {
+    event.waitUntil(
+      getPrecacheStatus()
+        .then(status => replyTo(event, { type: 'PRECACHE_STATUS', status }))
+        .catch(error => replyTo(event, { type: 'PRECACHE_ERROR', error: error.message }))
+    );
+  }
+
+  if (event.data.type === 'EXPIRE_CACHES') {
+    event.waitUntil(
+      expireAllCaches()
+        .then(() => replyTo(event, { type: 'CACHES_EXPIRED' }))
+        .catch(error => replyTo(event, { type: 'CACHE_ERROR', error: error.message }))
     );
   }
 
   if (event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
-});
+}
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
+// Answer a message on the port it came with, or to the client that sent it
+function replyTo(event, message) {
+  if (event.ports && event.ports[0]) {
+    event.ports[0].postMessage(message);
+  } else if (event.source) {
+    event.source.postMessage(message);
+  }
+}
+
+// Send a message to every window this Service Worker controls
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Base64 for binary bodies in JSON, converted in chunks since
+// String.fromCharCode takes a limited number of arguments
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 // Get cache statistics
 async function getCacheInfo() {
   const cacheNames = await caches.keys();
   const info = {
     count: cacheNames.length,
     names: cacheNames,
-    entries: {}
+    entries: {},
+    policies: {},
+    evictions: []
   };
 
   for (const name of cacheNames) {
     const cache = await caches.open(name);
     const keys = await cache.keys();
     info.entries[name] = keys.length;
+    info.policies[name] = getExpirationPolicies()[name] || null;
+  }
+
+  try {
+    info.evictions = await getEvictions();
+  } catch (error) {
+    console.warn('[SW] Eviction log unavailable:', error);
   }
 
   return info;
@@ -372,30 +2350,12 @@ async function getCacheInfo() {
 self.addEventListener('sync', (event) => {
   console.log('[SW] Background sync triggered:', event.tag);
 
-  if (event.tag === 'sync-data') {
-    event.waitUntil(syncData());
+  if (event.tag === REPLAY_SYNC_TAG) {
+    // Rejects while requests are left to retry, so the browser tries again later
+    event.waitUntil(replayQueue());
   }
 });
 
-async function syncData() {
-  try {
-    console.log('[SW] Syncing data...');
-    // Implement your sync logic here
-    // For example, send queued data to server
-    const response = await fetch('/api/sync', {
-      method: 'POST',
-      body: JSON.stringify({ timestamp: Date.now() })
-    });
-
-    if (response.ok) {
-      console.log('[SW] Sync successful');
-    }
-  } catch (error) {
-    console.error('[SW] Sync failed:', error);
-    throw error; // Retry sync
-  }
-}
-
 // ============================================================================
 // PUSH NOTIFICATIONS (if supported)
 // ============================================================================
@@ -452,7 +2412,8 @@ self.addEventListener('periodicsync', (event) => {
   console.log('[SW] Periodic sync triggered:', event.tag);
 
   if (event.tag === 'update-content') {
-    event.waitUntil(updateContent());
+    // The configured expiration policies apply to what it caches
+    event.waitUntil(loadConfig().then(updateContent));
   }
 });
 
@@ -461,8 +2422,7 @@ async function updateContent() {
     console.log('[SW] Updating content...');
     // Fetch and cache fresh content
     const response = await fetch('/api/latest-content');
-    const cache = await caches.open(CACHE_NAMES.dynamic);
-    await cache.put('/api/latest-content', response);
+    await putInCache(CACHE_NAMES.dynamic, '/api/latest-content', response);
     console.log('[SW] Content updated');
   } catch (error) {
     console.error('[SW] Content update failed:', error);
@@ -473,10 +2433,7 @@ async function updateContent() {
 // Log Service Worker status
 // ============================================================================
 console.log('[SW] Service Worker script loaded');
-console.log('[SW] Available strategies:', [
-  'cache-first',
-  'Network-first',
-  'stale-while-revalidate',
-  'Network-only',
-  'cache-only'
-]);
+
+// Read the saved configuration before the first request needs it
+loadConfig().catch(error => console.error('[SW] Could not load the configuration:', error));
+console.log('[SW] Available strategies:', Object.keys(STRATEGIES));
@@ -0,0 +1,241 @@
+// ========================================
+// Authenticated sockets
+// ========================================
+// Short-lived tokens for WebSocket connections, against the auth mode of the
+// stand-in server (server/auth.js).
+//
+//   const tokens = new TokenProvider(tokenUrlFor(url), { ttl: 30 });
+//   let lastEventId = null;   // updated from the 'event' frames the page receives
+//
+//   const socket = new ReconnectingSocket(url, {
+//       createSocket: (url, protocols) => new AuthenticatedSocket(url, protocols, {
+//           tokens,
+//           method: 'subprotocol',
+//           lastEventId: () => lastEventId
+//       }),
+//       shouldReconnect: ({ code }) => classifyClose(code).reconnect
+//   });
+//
+// Every connection attempt asks the TokenProvider for a token, which reuses
+// the current one unless it is about to expire. A 4401 "token expired" close
+// drops the cached token, so the reconnect that follows fetches a new one.
+// The last-seen event id travels with the token and the server replays
+// everything after it, so nothing is lost across the reconnect.
+//
+// How the token reaches the server:
+//   'subprotocol'  offered as `token.<token>` next to `auth.v1` in the handshake.
+//                  Browsers cannot set headers on a WebSocket, and a token in
+//                  the URL would end up in server and proxy logs.
+//   'message'      in the first frame, { type: 'auth', token, lastEventId }.
+//                  Works over every transport, including the HTTP fallbacks.
+//
+// AuthenticatedSocket reports 'open' only once the server has accepted the
+// token and answered { type: 'ready', ... }; that frame is kept as
+// `socket.session`. TokenProvider events (CustomEvents, payload in event.detail):
+//   'token' { user, expiresAt }   a new token was issued
+
+const AUTH_PROTOCOL = 'auth.v1';
+
+const AUTH_CLOSE_CODES = {
+    TOKEN_EXPIRED: 4401,
+    TOKEN_INVALID: 4403,
+    AUTH_TIMEOUT: 4408
+};
+
+const TOKEN_PROVIDER_DEFAULTS = {
+    user: 'demo-user',
+    ttl: 30,                // seconds, as issued by the server
+    refreshMargin: 2000     // fetch a new token when the current one expires sooner than this
+};
+
+const AUTHENTICATED_SOCKET_DEFAULTS = {
+    tokens: null,
+    method: 'subprotocol',
+    lastEventId: () => null,
+    createSocket: (url, protocols) => new WebSocket(url, protocols)
+};
+
+/** HTTP URL of the token endpoint on the server behind a ws:// or wss:// URL. */
+function tokenUrlFor(url) {
+    const target = new URL(url, location.href);
+    target.protocol = target.protocol === 'wss:' ? 'https:' : 'http:';
+    target.pathname = '/auth/token';
+    target.search = '';
+    return target.href;
+}
+
+class TokenProvider extends EventTarget {
+    constructor(tokenUrl, options = {}) {
+        super();
+        this.tokenUrl = tokenUrl;
+        this.options = { ...TOKEN_PROVIDER_DEFAULTS, ...options };
+        this.current = null;    // { token, user, expiresAt }
+        this.pending = null;
+    }
+
+    /** A token valid for at least `refreshMargin` ms; concurrent callers share one request. */
+    async getToken() {
+        if (this.current && this.current.expiresAt - Date.now() > this.options.refreshMargin) {
+            return this.current.token;
+        }
+        if (!this.pending) {
+            this.pending = this.fetchToken().finally(() => {
+                this.pending = null;
+            });
+        }
+        const { token } = await this.pending;
+        return token;
+    }
+
+    /** Forget the current token, e.g. after the server refused it. */
+    invalidate() {
+        this.current = null;
+    }
+
+    async fetchToken() {
+        const url = new URL(this.tokenUrl);
+        url.searchParams.set('ttl', this.options.ttl);
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ user: this.options.user }),
+            cache: 'no-store'
+        });
+        if (!response.ok) {
+            throw new Error(`Token request failed with HTTP ${response.status}`);
+        }
+
+        this.current = await response.json();
+        const { user, expiresAt } = this.current;
+        this.dispatchEvent(new CustomEvent('token', { detail: { user, expiresAt } }));
+        return this.current;
+    }
+}
+
+/**
+ * One authenticated connection with the WebSocket interface, so it can be
+ * handed to ReconnectingSocket through `createSocket`. CONNECTING covers
+ * fetching the token, the handshake and the server's answer to it.
+ */
+class AuthenticatedSocket extends WebSocketLike {
+    constructor(url, protocols = [], options = {}) {
+        super(url, protocols);
+        this.options = { ...AUTHENTICATED_SOCKET_DEFAULTS, ...options };
+        this.inner = null;
+        this.session = null;
+        this.innerBinaryType = 'blob';
+        this.requestedClose = null;
+        this.start();
+    }
+
+    get binaryType() {
+        return this.innerBinaryType;
+    }
+
+    set binaryType(value) {
+        this.innerBinaryType = value;
+        if (this.inner) {
+            this.inner.binaryType = value;
+        }
+    }
+
+    get bufferedAmount() {
+        return this.inner ? this.inner.bufferedAmount : 0;
+    }
+
+    send(data) {
+        if (this.readyState === WebSocketLike.CONNECTING) {
+            throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+        }
+        if (this.readyState === WebSocketLike.OPEN) {
+            this.inner.send(data);
+        }
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= WebSocketLike.CLOSING) return;
+
+        this.readyState = WebSocketLike.CLOSING;
+        this.requestedClose = { code, reason };
+        if (this.inner) {
+            this.inner.close(code, reason);
+        }
+        // Otherwise the token is still on its way; start() finishes the close
+    }
+
+    async start() {
+        let token;
+        try {
+            token = await this.options.tokens.getToken();
+        } catch (error) {
+            console.warn('Could not get a token:', error);
+            this.fire(new Event('error'));
+            this.closed(1006, '', false);
+            return;
+        }
+
+        if (this.requestedClose) {
+            // Like a WebSocket closed while connecting
+            this.closed(this.requestedClose.code, this.requestedClose.reason, false);
+            return;
+        }
+
+        const bySubprotocol = this.options.method === 'subprotocol';
+        const protocols = bySubprotocol ? [AUTH_PROTOCOL, ...this.protocols, `token.${token}`] : this.protocols;
+        const inner = this.options.createSocket(this.url, protocols);
+        inner.binaryType = this.innerBinaryType;
+        this.inner = inner;
+
+        inner.onopen = () => {
+            this.protocol = inner.protocol;
+            this.extensions = inner.extensions;
+            const hello = { type: 'auth', lastEventId: this.options.lastEventId() };
+            if (!bySubprotocol) {
+                hello.token = token;
+            }
+            inner.send(JSON.stringify(hello));
+        };
+
+        inner.onmessage = (event) => {
+            if (this.readyState === WebSocketLike.OPEN) {
+                this.fire(new MessageEvent('message', { data: event.data }));
+            } else if (this.readyState === WebSocketLike.CONNECTING) {
+                this.handshake(event.data);
+            }
+        };
+
+        inner.onerror = () => {
+            this.fire(new Event('error'));
+        };
+
+        inner.onclose = (event) => {
+            // The cached token is no good any more: the next attempt fetches a new one
+            if (event.code === AUTH_CLOSE_CODES.TOKEN_EXPIRED || event.code === AUTH_CLOSE_CODES.TOKEN_INVALID) {
+                this.options.tokens.invalidate();
+            }
+            this.closed(event.code, event.reason, event.wasClean);
+        };
+    }
+
+    // Until the server's 'ready' only the answer to the auth frame matters
+    handshake(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        if (!message || typeof message !== 'object' || message.type !== 'ready') return;
+
+        this.session = message;
+        this.readyState = WebSocketLike.OPEN;
+        this.fire(new Event('open'));
+    }
+
+    closed(code, reason, wasClean) {
+        if (this.readyState === WebSocketLike.CLOSED) return;
+
+        this.readyState = WebSocketLike.CLOSED;
+        this.fire(new CloseEvent('close', { code, reason, wasClean }));
+    }
+}
@@ -0,0 +1,182 @@
+// ========================================
+// ChatClient
+// ========================================
+// Client side of the chat protocol in server/chat.js, on top of a
+// ReconnectingSocket. The room is re-joined after every reconnect, and the
+// server's history on join fills in whatever was missed meanwhile.
+//
+// Events (CustomEvents, payload in event.detail):
+//   'joined'   { room, members, history }
+//   'members'  { room, members }              presence changed
+//   'message'  { message }                    a message from someone else
+//   'ack'      { tempId, id, time }           our message was stored by the server
+//   'receipt'  { id, user, status }           'delivered' | 'read' for one of our messages
+//   'typing'   { user, clientId, typing }
+//   'error'    { message }
+
+const TYPING_IDLE_DELAY = 2000;
+
+class ChatClient extends EventTarget {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        // One id per page load: receipts still reach us after a reconnect
+        this.clientId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.room = null;
+        this.user = null;
+        this.tempCounter = 0;
+        this.typing = false;
+        this.typingTimer = null;
+        this.reported = { delivered: new Set(), read: new Set() };
+        // Receipts made while disconnected, sent once the room is re-joined
+        this.pendingReceipts = [];
+
+        this.handleOpen = () => {
+            if (this.room) {
+                this.sendJoin();
+                this.flushReceipts();
+            }
+        };
+        this.handleMessage = (e) => this.onMessage(e.detail.data);
+        this.handleVisibility = () => {
+            this.setPresence(document.visibilityState === 'visible' ? 'online' : 'away');
+        };
+        socket.addEventListener('open', this.handleOpen);
+        socket.addEventListener('message', this.handleMessage);
+        document.addEventListener('visibilitychange', this.handleVisibility);
+    }
+
+    join(room, user) {
+        this.room = room;
+        this.user = user;
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.sendJoin();
+        }
+    }
+
+    leave() {
+        this.stopTyping();
+        this.room = null;
+        this.pendingReceipts = [];
+        this.send({ type: 'leave' });
+    }
+
+    /** Send a chat message; returns the temporary id used until the server's ack. */
+    sendMessage(text) {
+        const tempId = `tmp-${++this.tempCounter}`;
+        this.stopTyping();
+        this.send({ type: 'message', tempId, text });
+        return tempId;
+    }
+
+    /** Call on every keystroke: announces typing once, then stops after a quiet period. */
+    notifyTyping() {
+        if (!this.typing) {
+            this.typing = true;
+            this.send({ type: 'typing', typing: true });
+        }
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE_DELAY);
+    }
+
+    stopTyping() {
+        clearTimeout(this.typingTimer);
+        if (this.typing) {
+            this.typing = false;
+            this.send({ type: 'typing', typing: false });
+        }
+    }
+
+    setPresence(status) {
+        if (this.room) {
+            this.send({ type: 'presence', status });
+        }
+    }
+
+    /** Report a message as read; each id is reported at most once. */
+    markRead(id) {
+        this.report('read', id);
+    }
+
+    destroy() {
+        this.stopTyping();
+        this.socket.removeEventListener('open', this.handleOpen);
+        this.socket.removeEventListener('message', this.handleMessage);
+        document.removeEventListener('visibilitychange', this.handleVisibility);
+    }
+
+    sendJoin() {
+        this.send({ type: 'join', room: this.room, user: this.user, clientId: this.clientId });
+        if (document.visibilityState === 'hidden') {
+            this.setPresence('away');
+        }
+    }
+
+    report(status, id) {
+        if (this.reported[status].has(id)) return;
+        this.reported[status].add(id);
+        if (!this.send({ type: status, id })) {
+            this.pendingReceipts.push({ type: status, id });
+        }
+    }
+
+    flushReceipts() {
+        const receipts = this.pendingReceipts;
+        this.pendingReceipts = [];
+        receipts.forEach(receipt => this.send(receipt));
+    }
+
+    /** Returns false when the message was dropped. */
+    send(message) {
+        // Chat messages are queued by the socket while it reconnects; the
+        // ephemeral ones are pointless later, so they are simply dropped.
+        // Receipts are kept by report() instead.
+        if (message.type !== 'message' && this.socket.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    onMessage(data) {
+        if (typeof data !== 'string' || Heartbeat.isHeartbeatMessage(data)) return;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            console.warn('Ignoring non-JSON chat frame:', data);
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        switch (message.type) {
+            case 'joined':
+                this.emit('joined', { room: message.room, members: message.members, history: message.history });
+                break;
+            case 'members':
+                this.emit('members', { room: message.room, members: message.members });
+                break;
+            case 'message':
+                if (message.clientId !== this.clientId) {
+                    this.report('delivered', message.id);
+                }
+                this.emit('message', { message });
+                break;
+            case 'ack':
+                this.emit('ack', { tempId: message.tempId, id: message.id, time: message.time });
+                break;
+            case 'receipt':
+                this.emit('receipt', { id: message.id, user: message.user, status: message.status });
+                break;
+            case 'typing':
+                this.emit('typing', { user: message.user, clientId: message.clientId, typing: message.typing });
+                break;
+            case 'error':
+                this.emit('error', { message: message.message });
+                break;
+        }
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
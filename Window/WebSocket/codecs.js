@@ -0,0 +1,599 @@
+// ========================================
+// Message Codecs
+// ========================================
+// Interchangeable wire formats for structured messages. Every codec has the
+// same shape, so a demo can swap them at runtime:
+//
+//   {
+//       name: 'msgpack',
+//       label: 'MessagePack',
+//       binary: true,                  // false: text frames, true: binary frames
+//       encode(value),                 // → string (text codecs) or Uint8Array
+//       decode(data)                   // string, ArrayBuffer or Uint8Array → value
+//   }
+//
+// The binary codecs cover the JSON data model plus byte strings
+// (Uint8Array / ArrayBuffer). Non-integer numbers are written as float32
+// when that is lossless, float64 otherwise; integers as wide as 64 bits are
+// written as integers, and wider Numbers as float64.
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+/** Growable byte buffer used by the binary encoders. */
+class ByteWriter {
+    constructor(size = 64) {
+        this.bytes = new Uint8Array(size);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    uint8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.length, value);
+        this.length += 1;
+    }
+
+    uint16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.length, value);
+        this.length += 2;
+    }
+
+    uint32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.length, value);
+        this.length += 4;
+    }
+
+    uint64(value) {
+        this.ensure(8);
+        this.view.setBigUint64(this.length, BigInt(value));
+        this.length += 8;
+    }
+
+    int64(value) {
+        this.ensure(8);
+        this.view.setBigInt64(this.length, BigInt(value));
+        this.length += 8;
+    }
+
+    float32(value) {
+        this.ensure(4);
+        this.view.setFloat32(this.length, value);
+        this.length += 4;
+    }
+
+    float64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.length, value);
+        this.length += 8;
+    }
+
+    raw(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/** Sequential reader over a byte array; throws on truncated input. */
+class ByteReader {
+    constructor(data) {
+        this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    get done() {
+        return this.offset >= this.bytes.length;
+    }
+
+    take(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new RangeError(`Unexpected end of data at byte ${this.offset}`);
+        }
+        const start = this.offset;
+        this.offset += size;
+        return start;
+    }
+
+    uint8() { return this.view.getUint8(this.take(1)); }
+    uint16() { return this.view.getUint16(this.take(2)); }
+    uint32() { return this.view.getUint32(this.take(4)); }
+    int8() { return this.view.getInt8(this.take(1)); }
+    int16() { return this.view.getInt16(this.take(2)); }
+    int32() { return this.view.getInt32(this.take(4)); }
+    float32() { return this.view.getFloat32(this.take(4)); }
+    float64() { return this.view.getFloat64(this.take(8)); }
+
+    // 64-bit integers come back as Numbers when they fit, BigInts otherwise
+    uint64() { return toSafeNumber(this.view.getBigUint64(this.take(8))); }
+    int64() { return toSafeNumber(this.view.getBigInt64(this.take(8))); }
+
+    float16() {
+        const half = this.uint16();
+        const exponent = (half >> 10) & 0x1f;
+        const fraction = half & 0x3ff;
+        const sign = half & 0x8000 ? -1 : 1;
+        if (exponent === 0) return sign * fraction * 2 ** -24;
+        if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+        return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+    }
+
+    bytesOf(size) {
+        const start = this.take(size);
+        return this.bytes.slice(start, start + size);
+    }
+
+    string(size) {
+        const start = this.take(size);
+        return utf8Decoder.decode(this.bytes.subarray(start, start + size));
+    }
+}
+
+function toSafeNumber(big) {
+    return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+}
+
+// The widest integers the binary codecs write. Integer Numbers outside this
+// range are written as float64; BigInts outside it cannot be encoded.
+const UINT64_MAX = 2n ** 64n - 1n;
+const INT64_MIN = -(2n ** 63n);
+
+function writesAsFloat(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) return true;
+
+    const big = BigInt(value);
+    if (big >= INT64_MIN && big <= UINT64_MAX) return false;
+    if (typeof value === 'bigint') {
+        throw new RangeError(`${value} does not fit in a 64-bit integer`);
+    }
+    return true;
+}
+
+// Assigning a '__proto__' key would replace the object's prototype instead
+function setEntry(map, key, value) {
+    Object.defineProperty(map, String(key), { value, writable: true, enumerable: true, configurable: true });
+}
+
+function toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+// ----------------------------------------
+// JSON
+// ----------------------------------------
+
+const jsonCodec = {
+    name: 'json',
+    label: 'JSON',
+    binary: false,
+
+    encode(value) {
+        return JSON.stringify(value);
+    },
+
+    decode(data) {
+        return JSON.parse(typeof data === 'string' ? data : utf8Decoder.decode(data));
+    }
+};
+
+// ----------------------------------------
+// MessagePack (https://github.com/msgpack/msgpack/blob/master/spec.md)
+// ----------------------------------------
+
+function msgpackWrite(writer, value) {
+    if (value === null || value === undefined) {
+        writer.uint8(0xc0);
+    } else if (value === false) {
+        writer.uint8(0xc2);
+    } else if (value === true) {
+        writer.uint8(0xc3);
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+        msgpackWriteNumber(writer, value);
+    } else if (typeof value === 'string') {
+        const bytes = utf8Encoder.encode(value);
+        if (bytes.length < 32) {
+            writer.uint8(0xa0 | bytes.length);
+        } else if (bytes.length <= 0xff) {
+            writer.uint8(0xd9);
+            writer.uint8(bytes.length);
+        } else if (bytes.length <= 0xffff) {
+            writer.uint8(0xda);
+            writer.uint16(bytes.length);
+        } else {
+            writer.uint8(0xdb);
+            writer.uint32(bytes.length);
+        }
+        writer.raw(bytes);
+    } else if (toBytes(value)) {
+        const bytes = toBytes(value);
+        if (bytes.length <= 0xff) {
+            writer.uint8(0xc4);
+            writer.uint8(bytes.length);
+        } else if (bytes.length <= 0xffff) {
+            writer.uint8(0xc5);
+            writer.uint16(bytes.length);
+        } else {
+            writer.uint8(0xc6);
+            writer.uint32(bytes.length);
+        }
+        writer.raw(bytes);
+    } else if (Array.isArray(value)) {
+        if (value.length < 16) {
+            writer.uint8(0x90 | value.length);
+        } else if (value.length <= 0xffff) {
+            writer.uint8(0xdc);
+            writer.uint16(value.length);
+        } else {
+            writer.uint8(0xdd);
+            writer.uint32(value.length);
+        }
+        value.forEach(item => msgpackWrite(writer, item));
+    } else if (isObject(value)) {
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+        if (entries.length < 16) {
+            writer.uint8(0x80 | entries.length);
+        } else if (entries.length <= 0xffff) {
+            writer.uint8(0xde);
+            writer.uint16(entries.length);
+        } else {
+            writer.uint8(0xdf);
+            writer.uint32(entries.length);
+        }
+        entries.forEach(([key, item]) => {
+            msgpackWrite(writer, key);
+            msgpackWrite(writer, item);
+        });
+    } else {
+        throw new TypeError(`MessagePack cannot encode ${typeof value}`);
+    }
+}
+
+function msgpackWriteNumber(writer, value) {
+    if (writesAsFloat(value)) {
+        if ((!Number.isInteger(value) && Math.fround(value) === value) || Number.isNaN(value)) {
+            writer.uint8(0xca);
+            writer.float32(value);
+        } else {
+            writer.uint8(0xcb);
+            writer.float64(value);
+        }
+    } else if (value >= 0) {
+        if (value < 128) {
+            writer.uint8(Number(value));
+        } else if (value <= 0xff) {
+            writer.uint8(0xcc);
+            writer.uint8(Number(value));
+        } else if (value <= 0xffff) {
+            writer.uint8(0xcd);
+            writer.uint16(Number(value));
+        } else if (value <= 0xffffffff) {
+            writer.uint8(0xce);
+            writer.uint32(Number(value));
+        } else {
+            writer.uint8(0xcf);
+            writer.uint64(value);
+        }
+    } else if (value >= -32) {
+        writer.uint8(0xe0 | (Number(value) + 32));
+    } else if (value >= -0x80) {
+        writer.uint8(0xd0);
+        writer.uint8(Number(value) & 0xff);
+    } else if (value >= -0x8000) {
+        writer.uint8(0xd1);
+        writer.uint16(Number(value) & 0xffff);
+    } else if (value >= -0x80000000) {
+        writer.uint8(0xd2);
+        writer.uint32(Number(value) >>> 0);
+    } else {
+        writer.uint8(0xd3);
+        writer.int64(value);
+    }
+}
+
+function msgpackRead(reader) {
+    const byte = reader.uint8();
+
+    if (byte <= 0x7f) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if ((byte & 0xe0) === 0xa0) return reader.string(byte & 0x1f);
+    if ((byte & 0xf0) === 0x90) return msgpackReadArray(reader, byte & 0x0f);
+    if ((byte & 0xf0) === 0x80) return msgpackReadMap(reader, byte & 0x0f);
+
+    switch (byte) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return reader.bytesOf(reader.uint8());
+        case 0xc5: return reader.bytesOf(reader.uint16());
+        case 0xc6: return reader.bytesOf(reader.uint32());
+        case 0xca: return reader.float32();
+        case 0xcb: return reader.float64();
+        case 0xcc: return reader.uint8();
+        case 0xcd: return reader.uint16();
+        case 0xce: return reader.uint32();
+        case 0xcf: return reader.uint64();
+        case 0xd0: return reader.int8();
+        case 0xd1: return reader.int16();
+        case 0xd2: return reader.int32();
+        case 0xd3: return reader.int64();
+        case 0xd9: return reader.string(reader.uint8());
+        case 0xda: return reader.string(reader.uint16());
+        case 0xdb: return reader.string(reader.uint32());
+        case 0xdc: return msgpackReadArray(reader, reader.uint16());
+        case 0xdd: return msgpackReadArray(reader, reader.uint32());
+        case 0xde: return msgpackReadMap(reader, reader.uint16());
+        case 0xdf: return msgpackReadMap(reader, reader.uint32());
+        default:
+            throw new TypeError(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+    }
+}
+
+function msgpackReadArray(reader, length) {
+    const items = [];
+    for (let i = 0; i < length; i++) {
+        items.push(msgpackRead(reader));
+    }
+    return items;
+}
+
+function msgpackReadMap(reader, length) {
+    const map = {};
+    for (let i = 0; i < length; i++) {
+        const key = msgpackRead(reader);
+        setEntry(map, key, msgpackRead(reader));
+    }
+    return map;
+}
+
+const msgpackCodec = {
+    name: 'msgpack',
+    label: 'MessagePack',
+    binary: true,
+
+    encode(value) {
+        const writer = new ByteWriter();
+        msgpackWrite(writer, value);
+        return writer.result();
+    },
+
+    decode(data) {
+        const reader = new ByteReader(data);
+        const value = msgpackRead(reader);
+        if (!reader.done) {
+            throw new RangeError('Trailing bytes after MessagePack value');
+        }
+        return value;
+    }
+};
+
+// ----------------------------------------
+// CBOR (RFC 8949)
+// ----------------------------------------
+
+const CBOR_MAJOR = { UINT: 0, NEGINT: 1, BYTES: 2, TEXT: 3, ARRAY: 4, MAP: 5, TAG: 6, SIMPLE: 7 };
+const CBOR_BREAK = Symbol('break');
+
+function cborWriteHead(writer, major, length) {
+    const type = major << 5;
+    if (length < 24) {
+        writer.uint8(type | Number(length));
+    } else if (length <= 0xff) {
+        writer.uint8(type | 24);
+        writer.uint8(Number(length));
+    } else if (length <= 0xffff) {
+        writer.uint8(type | 25);
+        writer.uint16(Number(length));
+    } else if (length <= 0xffffffff) {
+        writer.uint8(type | 26);
+        writer.uint32(Number(length));
+    } else {
+        writer.uint8(type | 27);
+        writer.uint64(length);
+    }
+}
+
+function cborWrite(writer, value) {
+    if (value === false) {
+        writer.uint8(0xf4);
+    } else if (value === true) {
+        writer.uint8(0xf5);
+    } else if (value === null) {
+        writer.uint8(0xf6);
+    } else if (value === undefined) {
+        writer.uint8(0xf7);
+    } else if ((typeof value === 'number' || typeof value === 'bigint') && writesAsFloat(value)) {
+        if ((!Number.isInteger(value) && Math.fround(value) === value) || Number.isNaN(value)) {
+            writer.uint8(0xfa);
+            writer.float32(value);
+        } else {
+            writer.uint8(0xfb);
+            writer.float64(value);
+        }
+    } else if (typeof value === 'number' || typeof value === 'bigint') {
+        if (value >= 0) {
+            cborWriteHead(writer, CBOR_MAJOR.UINT, value);
+        } else {
+            // Negative integers store -1 - n
+            cborWriteHead(writer, CBOR_MAJOR.NEGINT, Number.isSafeInteger(value) ? -1 - value : -1n - BigInt(value));
+        }
+    } else if (typeof value === 'string') {
+        const bytes = utf8Encoder.encode(value);
+        cborWriteHead(writer, CBOR_MAJOR.TEXT, bytes.length);
+        writer.raw(bytes);
+    } else if (toBytes(value)) {
+        const bytes = toBytes(value);
+        cborWriteHead(writer, CBOR_MAJOR.BYTES, bytes.length);
+        writer.raw(bytes);
+    } else if (Array.isArray(value)) {
+        cborWriteHead(writer, CBOR_MAJOR.ARRAY, value.length);
+        value.forEach(item => cborWrite(writer, item));
+    } else if (isObject(value)) {
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+        cborWriteHead(writer, CBOR_MAJOR.MAP, entries.length);
+        entries.forEach(([key, item]) => {
+            cborWrite(writer, key);
+            cborWrite(writer, item);
+        });
+    } else {
+        throw new TypeError(`CBOR cannot encode ${typeof value}`);
+    }
+}
+
+// Returns the argument of a head byte; null means indefinite length
+function cborReadLength(reader, info) {
+    if (info < 24) return info;
+    switch (info) {
+        case 24: return reader.uint8();
+        case 25: return reader.uint16();
+        case 26: return reader.uint32();
+        case 27: return reader.uint64();
+        case 31: return null;
+        default:
+            throw new TypeError(`Invalid CBOR additional info ${info}`);
+    }
+}
+
+function cborRead(reader) {
+    const byte = reader.uint8();
+    const major = byte >> 5;
+    const info = byte & 0x1f;
+
+    if (major === CBOR_MAJOR.SIMPLE) {
+        switch (info) {
+            case 20: return false;
+            case 21: return true;
+            case 22: return null;
+            case 23: return undefined;
+            case 25: return reader.float16();
+            case 26: return reader.float32();
+            case 27: return reader.float64();
+            case 31: return CBOR_BREAK;
+            default:
+                throw new TypeError(`Unsupported CBOR simple value ${info}`);
+        }
+    }
+
+    const length = cborReadLength(reader, info);
+
+    switch (major) {
+        case CBOR_MAJOR.UINT:
+            return length;
+        case CBOR_MAJOR.NEGINT:
+            return typeof length === 'bigint' ? -1n - length : -1 - length;
+        case CBOR_MAJOR.BYTES:
+            return length === null ? cborReadChunks(reader, major) : reader.bytesOf(length);
+        case CBOR_MAJOR.TEXT:
+            return length === null ? utf8Decoder.decode(cborReadChunks(reader, major)) : reader.string(length);
+        case CBOR_MAJOR.ARRAY: {
+            const items = [];
+            for (let i = 0; length === null || i < length; i++) {
+                const item = cborRead(reader);
+                if (item === CBOR_BREAK) break;
+                items.push(item);
+            }
+            return items;
+        }
+        case CBOR_MAJOR.MAP: {
+            const map = {};
+            for (let i = 0; length === null || i < length; i++) {
+                const key = cborRead(reader);
+                if (key === CBOR_BREAK) break;
+                setEntry(map, key, cborRead(reader));
+            }
+            return map;
+        }
+        case CBOR_MAJOR.TAG:
+            // Tags (dates, bignums, ...) are not interpreted: the tagged value is returned as is
+            return cborRead(reader);
+    }
+    return undefined;
+}
+
+// Indefinite-length byte and text strings are a series of definite chunks
+function cborReadChunks(reader, major) {
+    const chunks = [];
+    for (;;) {
+        const byte = reader.uint8();
+        if (byte === 0xff) break;
+        if (byte >> 5 !== major) {
+            throw new TypeError('Invalid chunk in indefinite-length CBOR string');
+        }
+        const length = cborReadLength(reader, byte & 0x1f);
+        if (length === null) {
+            throw new TypeError('Nested indefinite-length CBOR string');
+        }
+        chunks.push(reader.bytesOf(length));
+    }
+    const writer = new ByteWriter();
+    chunks.forEach(chunk => writer.raw(chunk));
+    return writer.result();
+}
+
+const cborCodec = {
+    name: 'cbor',
+    label: 'CBOR',
+    binary: true,
+
+    encode(value) {
+        const writer = new ByteWriter();
+        cborWrite(writer, value);
+        return writer.result();
+    },
+
+    decode(data) {
+        const reader = new ByteReader(data);
+        const value = cborRead(reader);
+        if (value === CBOR_BREAK || !reader.done) {
+            throw new RangeError('Malformed CBOR data');
+        }
+        return value;
+    }
+};
+
+// ----------------------------------------
+// Registry
+// ----------------------------------------
+
+const CODECS = {
+    json: jsonCodec,
+    msgpack: msgpackCodec,
+    cbor: cborCodec
+};
+
+function getCodec(name) {
+    const codec = CODECS[name];
+    if (!codec) {
+        throw new RangeError(`Unknown codec: ${name}`);
+    }
+    return codec;
+}
+
+/** Size in bytes of an encoded frame as it goes over the wire. */
+function encodedByteLength(frame) {
+    return typeof frame === 'string' ? utf8Encoder.encode(frame).length : frame.byteLength;
+}
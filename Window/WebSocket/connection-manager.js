@@ -0,0 +1,207 @@
+// ========================================
+// ConnectionManager
+// ========================================
+// Owns one ReconnectingSocket per endpoint URL on behalf of many clients
+// (browser tabs) and multiplexes their subscriptions over it. Runs inside the
+// SharedWorker (shared-connection-worker.js) or, without SharedWorker
+// support, in whichever tab won the leader election (shared-connection.js).
+//
+// Every subscriber of an endpoint receives every frame the socket receives,
+// and any subscriber can send. The socket is opened by the first
+// subscription and closed when the last one goes, whether it unsubscribed or
+// its tab left.
+//
+// Client -> manager:
+//   { type: 'subscribe', id, url }      id is chosen by the client, unique per client
+//   { type: 'unsubscribe', id }
+//   { type: 'send', id, data }
+//   { type: 'alive' }                   liveness ping; any message counts
+//   { type: 'leave' }                   the tab is going away
+//
+// Manager -> client:
+//   { type: 'statechange', id, state }
+//   { type: 'open', id }
+//   { type: 'message', id, data }
+//   { type: 'close', id, code, reason, willReconnect }
+//   { type: 'stats', clients, endpoints: [{ url, state, subscribers }] }   sent to every client
+//   { type: 'resubscribe' }             the client was swept as gone and has
+//                                       come back: subscribe to everything again
+
+const CONNECTION_MANAGER_DEFAULTS = {
+    clientTimeout: 15000,   // a tab that has not sent anything for this long has crashed or been frozen
+    socket: { maxAttempts: 10, pauseWhenHidden: false }
+};
+
+class ConnectionManager {
+    constructor(options = {}) {
+        this.options = { ...CONNECTION_MANAGER_DEFAULTS, ...options };
+        this.clients = new Map();     // clientId -> { post, seenAt, subscriptions: Map<id, url> }
+        this.endpoints = new Map();   // url -> { socket, subscribers: Set<key> }
+        // Swept for silence, not gone for sure: a background tab's timers can
+        // be throttled past clientTimeout
+        this.sweptClients = new Set();
+        this.sweepTimer = setInterval(() => this.sweep(), this.options.clientTimeout / 3);
+    }
+
+    /** Register a client; `post(message)` delivers a message to it. */
+    addClient(clientId, post) {
+        if (!this.clients.has(clientId)) {
+            this.clients.set(clientId, { post, seenAt: Date.now(), subscriptions: new Map() });
+            if (this.sweptClients.delete(clientId)) {
+                post({ type: 'resubscribe' });
+            }
+            this.broadcastStats();
+        }
+    }
+
+    /** Drop a client and every subscription it held. */
+    removeClient(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        Array.from(client.subscriptions.keys()).forEach(id => this.unsubscribe(clientId, id, false));
+        this.clients.delete(clientId);
+        this.broadcastStats();
+    }
+
+    handle(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+        client.seenAt = Date.now();
+
+        switch (message.type) {
+            case 'subscribe':
+                this.subscribe(clientId, message.id, message.url);
+                break;
+            case 'unsubscribe':
+                this.unsubscribe(clientId, message.id);
+                break;
+            case 'send':
+                this.send(clientId, message.id, message.data);
+                break;
+            case 'leave':
+                this.removeClient(clientId);
+                break;
+        }
+    }
+
+    subscribe(clientId, id, url) {
+        const client = this.clients.get(clientId);
+        if (client.subscriptions.has(id)) return;
+
+        client.subscriptions.set(id, url);
+        let endpoint = this.endpoints.get(url);
+        if (!endpoint) {
+            endpoint = this.openEndpoint(url);
+        }
+        endpoint.subscribers.add(subscriptionKey(clientId, id));
+
+        // Late subscribers get the current state right away
+        const { socket } = endpoint;
+        client.post({ type: 'statechange', id, state: socket.state });
+        if (socket.readyState === WebSocket.OPEN) {
+            client.post({ type: 'open', id });
+        }
+        this.broadcastStats();
+    }
+
+    unsubscribe(clientId, id, notify = true) {
+        const client = this.clients.get(clientId);
+        const url = client && client.subscriptions.get(id);
+        if (!url) return;
+
+        client.subscriptions.delete(id);
+        const endpoint = this.endpoints.get(url);
+        endpoint.subscribers.delete(subscriptionKey(clientId, id));
+        if (endpoint.subscribers.size === 0) {
+            this.endpoints.delete(url);
+            endpoint.socket.destroy();
+        }
+        if (notify) {
+            this.broadcastStats();
+        }
+    }
+
+    send(clientId, id, data) {
+        const client = this.clients.get(clientId);
+        const url = client && client.subscriptions.get(id);
+        if (url) {
+            this.endpoints.get(url).socket.send(data);
+        }
+    }
+
+    openEndpoint(url) {
+        const socket = new ReconnectingSocket(url, this.options.socket);
+        const endpoint = { socket, subscribers: new Set() };
+        this.endpoints.set(url, endpoint);
+
+        socket.addEventListener('statechange', (e) => {
+            this.fanOut(endpoint, { type: 'statechange', state: e.detail.state });
+            this.broadcastStats();
+        });
+        socket.addEventListener('open', () => this.fanOut(endpoint, { type: 'open' }));
+        socket.addEventListener('message', (e) => this.fanOut(endpoint, { type: 'message', data: e.detail.data }));
+        socket.addEventListener('close', (e) => {
+            const { code, reason, willReconnect } = e.detail;
+            this.fanOut(endpoint, { type: 'close', code, reason, willReconnect });
+        });
+
+        socket.connect();
+        return endpoint;
+    }
+
+    fanOut(endpoint, message) {
+        endpoint.subscribers.forEach(key => {
+            const [clientId, id] = splitSubscriptionKey(key);
+            const client = this.clients.get(clientId);
+            if (client) {
+                client.post({ ...message, id });
+            }
+        });
+    }
+
+    stats() {
+        return {
+            type: 'stats',
+            clients: this.clients.size,
+            endpoints: Array.from(this.endpoints, ([url, { socket, subscribers }]) => ({
+                url,
+                state: socket.state,
+                subscribers: subscribers.size
+            }))
+        };
+    }
+
+    broadcastStats() {
+        const stats = this.stats();
+        this.clients.forEach(client => client.post(stats));
+    }
+
+    // Tabs cannot always say goodbye (crash, killed process, frozen page)
+    sweep() {
+        const cutoff = Date.now() - this.options.clientTimeout;
+        this.clients.forEach((client, clientId) => {
+            if (client.seenAt < cutoff) {
+                this.removeClient(clientId);
+                this.sweptClients.add(clientId);
+            }
+        });
+    }
+
+    /** Close every socket; used when a leader tab steps down. */
+    destroy() {
+        clearInterval(this.sweepTimer);
+        this.endpoints.forEach(({ socket }) => socket.destroy());
+        this.endpoints.clear();
+        this.clients.clear();
+        this.sweptClients.clear();
+    }
+}
+
+function subscriptionKey(clientId, id) {
+    return `${clientId}\n${id}`;
+}
+
+function splitSubscriptionKey(key) {
+    return key.split('\n');
+}
@@ -0,0 +1,184 @@
+// ========================================
+// ConnectionStateMachine
+// ========================================
+// An explicit lifecycle for a ReconnectingSocket, with only the transitions
+// below allowed, and a classification of close codes that decides whether
+// a close is worth reconnecting after.
+//
+//   const machine = new ConnectionStateMachine();
+//   const socket = new ReconnectingSocket(url, {
+//       shouldReconnect: ({ code }) => classifyClose(code).reconnect
+//   });
+//   machine.attach(socket);
+//   machine.addEventListener('transition', (e) => render(e.detail));
+//
+// States:
+//   idle         not connected and not trying to be
+//   connecting   handshake in progress
+//   open         connected
+//   closing      close() called, waiting for the close handshake
+//   backoff      closed, a reconnect is scheduled (or waits for the network)
+//   failed       closed and not reconnecting: policy close or retries ran out
+//
+// Events (CustomEvents, payload in event.detail):
+//   'transition' { from, to, reason, at, duration, close }   duration: ms spent in `from`
+//   'rejected'   { from, to, reason }                        transition not allowed from `from`
+
+const CONNECTION_STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    CLOSING: 'closing',
+    BACKOFF: 'backoff',
+    FAILED: 'failed'
+};
+
+// Allowed targets per state; anything else is rejected
+const CONNECTION_TRANSITIONS = {
+    idle: ['connecting'],
+    connecting: ['open', 'closing', 'backoff', 'failed', 'idle'],
+    open: ['closing', 'backoff', 'failed', 'idle'],
+    closing: ['idle', 'backoff', 'failed'],
+    backoff: ['connecting', 'idle', 'failed'],
+    failed: ['connecting', 'idle']
+};
+
+const CLOSE_CATEGORIES = ['normal', 'going-away', 'policy', 'abnormal'];
+
+// Codes not listed here, including application codes 4000-4999, are abnormal
+const CLOSE_CODE_CATEGORIES = {
+    1000: 'normal',         // the server is done with us
+    1005: 'normal',         // closed without a status code
+    1001: 'going-away',     // server shutting down or restarting
+    1012: 'going-away',     // service restart
+    4001: 'going-away',     // FallbackSocket upgrading to WebSocket (transports.js)
+    4401: 'going-away',     // token expired: reconnect with a new one (auth-socket.js)
+    1002: 'policy',         // protocol error
+    1003: 'policy',         // unsupported data
+    1007: 'policy',         // invalid payload
+    1008: 'policy',         // policy violation
+    1009: 'policy',         // message too big
+    1010: 'policy',         // missing extension
+    1015: 'policy',         // TLS handshake failed
+    4403: 'policy'          // token refused
+};
+
+// Reconnecting after a policy close would only be refused again
+const RECONNECT_BY_CATEGORY = {
+    normal: false,
+    'going-away': true,
+    policy: false,
+    abnormal: true
+};
+
+/** Classify a close code: { code, category, reconnect }. */
+function classifyClose(code) {
+    const category = CLOSE_CODE_CATEGORIES[code] || 'abnormal';
+    return { code, category, reconnect: RECONNECT_BY_CATEGORY[category] };
+}
+
+class ConnectionStateMachine extends EventTarget {
+    constructor() {
+        super();
+        this.state = CONNECTION_STATES.IDLE;
+        this.enteredAt = Date.now();
+        this.transitions = 0;
+        this.rejected = 0;
+        this.timeInState = Object.fromEntries(Object.values(CONNECTION_STATES).map(state => [state, 0]));
+        this.closes = Object.fromEntries(CLOSE_CATEGORIES.map(category => [category, 0]));
+    }
+
+    can(to) {
+        return CONNECTION_TRANSITIONS[this.state].includes(to);
+    }
+
+    /**
+     * Move to `to` if the current state allows it. Returns false, and emits
+     * 'rejected', when it does not. `close` is the classifyClose() result of
+     * the close that caused the transition, if any.
+     */
+    transition(to, reason = '', close = null) {
+        const from = this.state;
+        if (!this.can(to)) {
+            this.rejected++;
+            this.emit('rejected', { from, to, reason });
+            return false;
+        }
+
+        const at = Date.now();
+        const duration = at - this.enteredAt;
+        this.timeInState[from] += duration;
+        this.state = to;
+        this.enteredAt = at;
+        this.transitions++;
+        if (close) {
+            this.closes[close.category]++;
+        }
+        this.emit('transition', { from, to, reason, at, duration, close });
+        return true;
+    }
+
+    /** Time per state so far, including the current one, and transition and close counts. */
+    telemetry() {
+        const timeInState = { ...this.timeInState };
+        timeInState[this.state] += Date.now() - this.enteredAt;
+        return {
+            state: this.state,
+            transitions: this.transitions,
+            rejected: this.rejected,
+            timeInState,
+            closes: { ...this.closes }
+        };
+    }
+
+    /**
+     * Drive the machine from a ReconnectingSocket's events. Returns a
+     * function that detaches it again.
+     */
+    attach(socket) {
+        const { STATES } = ReconnectingSocket;
+
+        const listeners = {
+            statechange: (e) => {
+                const { state, previous } = e.detail;
+                if (state === STATES.CONNECTING) {
+                    const retry = previous === STATES.RECONNECTING || previous === STATES.WAITING;
+                    this.transition(CONNECTION_STATES.CONNECTING, retry ? `retry ${socket.attempts}` : 'connect()');
+                } else if (state === STATES.CLOSING) {
+                    this.transition(CONNECTION_STATES.CLOSING, 'close()');
+                } else if (state === STATES.CLOSED && (previous === STATES.RECONNECTING || previous === STATES.WAITING)) {
+                    // close() during backoff cancels the retry without a socket to close
+                    this.transition(CONNECTION_STATES.IDLE, 'retry cancelled');
+                }
+            },
+            open: (e) => {
+                const { attempt } = e.detail;
+                this.transition(CONNECTION_STATES.OPEN, attempt > 0 ? `reconnected after ${attempt} attempt(s)` : 'handshake complete');
+            },
+            close: (e) => {
+                const { code, willReconnect } = e.detail;
+                const close = classifyClose(code);
+                if (willReconnect) {
+                    this.transition(CONNECTION_STATES.BACKOFF, `${close.category} close (${code})`, close);
+                } else if (socket.closeRequested || close.category === 'normal') {
+                    this.transition(CONNECTION_STATES.IDLE, `${close.category} close (${code})`, close);
+                } else {
+                    const why = close.reconnect ? 'auto-reconnect off' : 'not retried';
+                    this.transition(CONNECTION_STATES.FAILED, `${close.category} close (${code}), ${why}`, close);
+                }
+            },
+            giveup: (e) => {
+                this.transition(CONNECTION_STATES.FAILED, `gave up after ${e.detail.attempts} attempt(s)`);
+            }
+        };
+
+        Object.entries(listeners).forEach(([type, listener]) => socket.addEventListener(type, listener));
+        return () => {
+            Object.entries(listeners).forEach(([type, listener]) => socket.removeEventListener(type, listener));
+        };
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
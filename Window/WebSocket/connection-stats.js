@@ -0,0 +1,323 @@
+// ========================================
+// Connection Statistics
+// ========================================
+// Traffic and latency accounting for ReconnectingSocket connections.
+//
+// Bytes are payload bytes as handed to / received from the WebSocket API
+// (UTF-8 length for text frames), without the 2-14 bytes of frame header.
+// Heartbeat pings and pongs are real traffic and are counted too.
+//
+//   const stats = new ConnectionStats();
+//   stats.attach(socket);                   // counts 'sent' and 'message' events
+//   heartbeat.addEventListener('rtt', (e) => stats.recordLatency(e.detail.rtt));
+//   stats.snapshot();                       // totals, rolling rates, p50/p95/p99
+
+const CONNECTION_STATS_DEFAULTS = {
+    window: 60000,       // history kept for sparklines
+    bucketSize: 1000,
+    rateWindow: 10000    // span the per-second rates are averaged over
+};
+
+const statsEncoder = new TextEncoder();
+
+/** Size of a frame's payload in bytes. */
+function frameByteLength(data) {
+    if (typeof data === 'string') return statsEncoder.encode(data).length;
+    if (data instanceof Blob) return data.size;
+    return data.byteLength;
+}
+
+/**
+ * Sums values into fixed time buckets and forgets buckets older than the
+ * window, so rates reflect recent traffic instead of a reset-every-second
+ * counter.
+ */
+class RollingWindow {
+    constructor(windowMs = CONNECTION_STATS_DEFAULTS.window, bucketMs = CONNECTION_STATS_DEFAULTS.bucketSize) {
+        this.bucketMs = bucketMs;
+        this.size = Math.max(1, Math.ceil(windowMs / bucketMs));
+        this.buckets = Array.from({ length: this.size }, () => ({ index: -1, value: 0 }));
+    }
+
+    add(value, now = Date.now()) {
+        const index = Math.floor(now / this.bucketMs);
+        const bucket = this.buckets[index % this.size];
+        if (bucket.index !== index) {
+            bucket.index = index;
+            bucket.value = 0;
+        }
+        bucket.value += value;
+    }
+
+    /** Per-bucket sums, oldest first; the last entry is the current (partial) bucket. */
+    series(now = Date.now()) {
+        const current = Math.floor(now / this.bucketMs);
+        const values = [];
+        for (let index = current - this.size + 1; index <= current; index++) {
+            const bucket = this.buckets[((index % this.size) + this.size) % this.size];
+            values.push(bucket.index === index ? bucket.value : 0);
+        }
+        return values;
+    }
+
+    /** Sum over the most recent `spanMs` (whole buckets, including the current one). */
+    sum(spanMs, now = Date.now()) {
+        const count = Math.min(this.size, Math.max(1, Math.ceil(spanMs / this.bucketMs)));
+        return this.series(now).slice(-count).reduce((total, value) => total + value, 0);
+    }
+
+    /** Add another window's buckets (same window and bucket size) into this one. */
+    merge(other) {
+        other.buckets.forEach((bucket, i) => {
+            const target = this.buckets[i];
+            if (bucket.index === -1 || target.index > bucket.index) return;
+            if (target.index !== bucket.index) {
+                target.index = bucket.index;
+                target.value = 0;
+            }
+            target.value += bucket.value;
+        });
+        return this;
+    }
+
+    reset() {
+        this.buckets.forEach(bucket => {
+            bucket.index = -1;
+            bucket.value = 0;
+        });
+    }
+}
+
+/**
+ * Latency histogram with logarithmic buckets (each 25% wider than the last,
+ * 0.1ms to 60s). Percentiles are interpolated inside the bucket that holds
+ * the rank, which keeps the error well below the bucket width.
+ */
+class LatencyHistogram {
+    static MIN = 0.1;
+    static GROWTH = 1.25;
+    static BUCKETS = Math.ceil(Math.log(60000 / LatencyHistogram.MIN) / Math.log(LatencyHistogram.GROWTH)) + 1;
+
+    /** Upper bound (ms) of bucket `index`. */
+    static upperBound(index) {
+        return LatencyHistogram.MIN * LatencyHistogram.GROWTH ** index;
+    }
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.counts = new Array(LatencyHistogram.BUCKETS).fill(0);
+        this.count = 0;
+        this.sum = 0;
+        this.min = null;
+        this.max = null;
+    }
+
+    record(ms) {
+        const index = ms <= LatencyHistogram.MIN ? 0 : Math.min(
+            LatencyHistogram.BUCKETS - 1,
+            Math.ceil(Math.log(ms / LatencyHistogram.MIN) / Math.log(LatencyHistogram.GROWTH))
+        );
+        this.counts[index]++;
+        this.count++;
+        this.sum += ms;
+        this.min = this.min === null ? ms : Math.min(this.min, ms);
+        this.max = this.max === null ? ms : Math.max(this.max, ms);
+    }
+
+    merge(other) {
+        other.counts.forEach((count, index) => {
+            this.counts[index] += count;
+        });
+        this.count += other.count;
+        this.sum += other.sum;
+        if (other.count > 0) {
+            this.min = this.min === null ? other.min : Math.min(this.min, other.min);
+            this.max = this.max === null ? other.max : Math.max(this.max, other.max);
+        }
+        return this;
+    }
+
+    get mean() {
+        return this.count > 0 ? this.sum / this.count : null;
+    }
+
+    /** Latency (ms) below which `p` percent of the samples fall, or null without samples. */
+    percentile(p) {
+        if (this.count === 0) return null;
+
+        const rank = (p / 100) * this.count;
+        let seen = 0;
+        for (let index = 0; index < this.counts.length; index++) {
+            const count = this.counts[index];
+            if (count === 0 || seen + count < rank) {
+                seen += count;
+                continue;
+            }
+            const lower = index === 0 ? 0 : LatencyHistogram.upperBound(index - 1);
+            const upper = LatencyHistogram.upperBound(index);
+            const value = lower + (upper - lower) * ((rank - seen) / count);
+            return Math.min(this.max, Math.max(this.min, value));
+        }
+        return this.max;
+    }
+
+    /** Sample counts grouped by the given upper edges (ms); the last group is open-ended. */
+    distribution(edges) {
+        const groups = new Array(edges.length + 1).fill(0);
+        this.counts.forEach((count, index) => {
+            if (count === 0) return;
+            const upper = LatencyHistogram.upperBound(index);
+            const group = edges.findIndex(edge => upper <= edge);
+            groups[group === -1 ? edges.length : group] += count;
+        });
+        return groups;
+    }
+
+    summary() {
+        return {
+            count: this.count,
+            min: this.min,
+            max: this.max,
+            mean: this.mean,
+            p50: this.percentile(50),
+            p95: this.percentile(95),
+            p99: this.percentile(99)
+        };
+    }
+}
+
+/**
+ * Per-connection totals, rolling windows and latency histogram. Survives
+ * reconnects of the socket it is attached to.
+ */
+class ConnectionStats {
+    static COUNTERS = ['messagesSent', 'messagesReceived', 'bytesSent', 'bytesReceived'];
+
+    /** Combine several stats into one: totals and windows add up, histograms merge. */
+    static aggregate(statsList, options = {}) {
+        const total = new ConnectionStats(options);
+        statsList.forEach(stats => {
+            total.startedAt = Math.min(total.startedAt, stats.startedAt);
+            ConnectionStats.COUNTERS.forEach(name => {
+                total.totals[name] += stats.totals[name];
+                total.windows[name].merge(stats.windows[name]);
+            });
+            total.latency.merge(stats.latency);
+        });
+        return total;
+    }
+
+    constructor(options = {}) {
+        this.options = { ...CONNECTION_STATS_DEFAULTS, ...options };
+        this.startedAt = Date.now();
+        this.totals = {};
+        this.windows = {};
+        ConnectionStats.COUNTERS.forEach(name => {
+            this.totals[name] = 0;
+            this.windows[name] = new RollingWindow(this.options.window, this.options.bucketSize);
+        });
+        this.latency = new LatencyHistogram();
+
+        this.socket = null;
+        this.handleSent = (e) => this.recordSent(e.detail.data);
+        this.handleMessage = (e) => this.recordReceived(e.detail.data);
+    }
+
+    attach(socket) {
+        this.detach();
+        this.socket = socket;
+        socket.addEventListener('sent', this.handleSent);
+        socket.addEventListener('message', this.handleMessage);
+    }
+
+    detach() {
+        if (!this.socket) return;
+        this.socket.removeEventListener('sent', this.handleSent);
+        this.socket.removeEventListener('message', this.handleMessage);
+        this.socket = null;
+    }
+
+    recordSent(data, now = Date.now()) {
+        this.count('messagesSent', 1, now);
+        this.count('bytesSent', frameByteLength(data), now);
+    }
+
+    recordReceived(data, now = Date.now()) {
+        this.count('messagesReceived', 1, now);
+        this.count('bytesReceived', frameByteLength(data), now);
+    }
+
+    recordLatency(ms) {
+        this.latency.record(ms);
+    }
+
+    count(name, value, now) {
+        this.totals[name] += value;
+        this.windows[name].add(value, now);
+    }
+
+    /** Per-second rate of a counter over the rate window (shorter while the connection is young). */
+    rate(name, now = Date.now()) {
+        const span = Math.min(this.options.rateWindow, Math.max(this.options.bucketSize, now - this.startedAt));
+        return this.windows[name].sum(span, now) / (span / 1000);
+    }
+
+    /** Bytes per bucket in both directions, oldest first, for sparklines. */
+    trafficSeries(now = Date.now()) {
+        const sent = this.windows.bytesSent.series(now);
+        const received = this.windows.bytesReceived.series(now);
+        return sent.map((value, i) => value + received[i]);
+    }
+
+    reset() {
+        this.startedAt = Date.now();
+        ConnectionStats.COUNTERS.forEach(name => {
+            this.totals[name] = 0;
+            this.windows[name].reset();
+        });
+        this.latency.reset();
+    }
+
+    snapshot(now = Date.now()) {
+        const rates = {};
+        ConnectionStats.COUNTERS.forEach(name => {
+            rates[`${name}PerSec`] = this.rate(name, now);
+        });
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            durationMs: now - this.startedAt,
+            totals: { ...this.totals },
+            rates,
+            latency: this.latency.summary()
+        };
+    }
+}
+
+/** Flatten snapshots ({ id, ...snapshot }) into CSV, one row per snapshot. */
+function statsToCsv(rows) {
+    const columns = [
+        'id', 'startedAt', 'durationMs',
+        ...ConnectionStats.COUNTERS,
+        ...ConnectionStats.COUNTERS.map(name => `${name}PerSec`),
+        'latencyCount', 'latencyMin', 'latencyMean', 'latencyP50', 'latencyP95', 'latencyP99', 'latencyMax'
+    ];
+
+    const format = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(3);
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = rows.map(({ id, startedAt, durationMs, totals, rates, latency }) => [
+        id, startedAt, durationMs,
+        ...ConnectionStats.COUNTERS.map(name => totals[name]),
+        ...ConnectionStats.COUNTERS.map(name => rates[`${name}PerSec`]),
+        latency.count, latency.min, latency.mean, latency.p50, latency.p95, latency.p99, latency.max
+    ].map(format).join(','));
+
+    return [columns.join(','), ...lines].join('\n');
+}
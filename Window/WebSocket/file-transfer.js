@@ -0,0 +1,341 @@
+// ========================================
+// Chunked File Transfer
+// ========================================
+// Framed binary transfer over a ReconnectingSocket (server side: server/transfer.js).
+//
+// Chunk frame (binary, big-endian):
+//   0   2   magic "FT"
+//   2   1   kind (1 = upload chunk, 2 = download chunk)
+//   3  16   transfer id (UUID bytes)
+//   19  4   sequence number
+//   23  4   total chunks
+//   27  -   payload
+//
+// Control messages are JSON text frames:
+//   transfer-start    { id, name, size, mimeType, chunkSize, totalChunks }  also used to resume
+//   transfer-status   { id, received }          received = [[first, last], ...] ranges
+//   chunk-ack         { id, seq }
+//   transfer-complete { id, sha256 }            server's hash of what it reassembled
+//   transfer-download { id }                    ask the server to send the file back
+//   download-start    { id, name, size, mimeType, totalChunks }
+//   download-end      { id }
+//   transfer-error    { id, message }
+
+const CHUNK_MAGIC = [0x46, 0x54];
+const CHUNK_HEADER_SIZE = 27;
+const CHUNK_KIND = { UPLOAD: 1, DOWNLOAD: 2 };
+
+const FILE_TRANSFER_DEFAULTS = {
+    chunkSize: 64 * 1024,
+    window: 8
+};
+
+function uuidToBytes(uuid) {
+    const hex = uuid.replace(/-/g, '');
+    const bytes = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function bytesToUuid(bytes) {
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function encodeChunkFrame(kind, transferId, seq, total, payload) {
+    const frame = new Uint8Array(CHUNK_HEADER_SIZE + payload.byteLength);
+    const view = new DataView(frame.buffer);
+    frame.set(CHUNK_MAGIC, 0);
+    view.setUint8(2, kind);
+    frame.set(uuidToBytes(transferId), 3);
+    view.setUint32(19, seq);
+    view.setUint32(23, total);
+    frame.set(new Uint8Array(payload), CHUNK_HEADER_SIZE);
+    return frame.buffer;
+}
+
+/** Returns { kind, transferId, seq, total, payload } or null for any other binary frame. */
+function decodeChunkFrame(buffer) {
+    if (buffer.byteLength < CHUNK_HEADER_SIZE) return null;
+
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] !== CHUNK_MAGIC[0] || bytes[1] !== CHUNK_MAGIC[1]) return null;
+
+    const view = new DataView(buffer);
+    return {
+        kind: view.getUint8(2),
+        transferId: bytesToUuid(bytes.subarray(3, 19)),
+        seq: view.getUint32(19),
+        total: view.getUint32(23),
+        payload: buffer.slice(CHUNK_HEADER_SIZE)
+    };
+}
+
+async function sha256Hex(data) {
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function parseControlMessage(data) {
+    if (typeof data !== 'string' || !data.startsWith('{')) return null;
+    try {
+        const message = JSON.parse(data);
+        return typeof message.type === 'string' ? message : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Uploads a File in acknowledged chunks, keeping at most `window` chunks in
+ * flight. Progress counts acknowledged chunks only. After a reconnect the
+ * server reports which chunks it already has and only the rest are sent.
+ *
+ * States: 'hashing' → 'sending' ⇄ 'paused' / 'interrupted' → 'verifying' → 'complete' | 'failed'
+ *
+ * Events: 'statechange' { state }, 'progress' { acked, total, bytes, size },
+ *         'complete' { sha256, serverSha256, receivedSha256, blob, verified }, 'error' { message }
+ */
+class FileSender extends EventTarget {
+    constructor(socket, file, options = {}) {
+        super();
+        this.socket = socket;
+        this.file = file;
+        this.options = { ...FILE_TRANSFER_DEFAULTS, ...options };
+
+        this.id = crypto.randomUUID();
+        this.totalChunks = Math.max(1, Math.ceil(file.size / this.options.chunkSize));
+        this.acked = new Set();
+        this.inFlight = new Set();
+        this.nextSeq = 0;
+        this.state = 'idle';
+        this.sha256 = null;
+        this.serverSha256 = null;
+        this.download = null;
+
+        this.handleMessage = (e) => this.onMessage(e.detail.data);
+        // A paused transfer stays paused across a reconnect, but still learns
+        // what the server kept so resume() continues from the right place
+        this.handleOpen = () => {
+            if (this.state === 'interrupted' || this.state === 'paused') this.announce();
+        };
+        this.handleClose = () => {
+            this.inFlight.clear();
+            if (this.state === 'sending') {
+                this.setState('interrupted');
+            }
+        };
+        socket.addEventListener('message', this.handleMessage);
+        socket.addEventListener('open', this.handleOpen);
+        socket.addEventListener('close', this.handleClose);
+    }
+
+    get bytesAcked() {
+        let bytes = 0;
+        this.acked.forEach(seq => {
+            const { start, end } = this.chunkBounds(seq);
+            bytes += end - start;
+        });
+        return bytes;
+    }
+
+    async start() {
+        this.setState('hashing');
+        this.sha256 = await sha256Hex(this.file);
+        this.setState('sending');
+        this.announce();
+    }
+
+    pause() {
+        if (this.state === 'sending') {
+            this.setState('paused');
+        }
+    }
+
+    resume() {
+        if (this.state === 'paused') {
+            this.setState('sending');
+            this.pump();
+        }
+    }
+
+    destroy() {
+        this.socket.removeEventListener('message', this.handleMessage);
+        this.socket.removeEventListener('open', this.handleOpen);
+        this.socket.removeEventListener('close', this.handleClose);
+    }
+
+    // Sent at start and after every reconnect; the server answers with transfer-status
+    announce() {
+        if (this.socket.readyState !== WebSocket.OPEN) return;
+
+        if (this.state === 'interrupted') {
+            this.setState('sending');
+        }
+        this.socket.send(JSON.stringify({
+            type: 'transfer-start',
+            id: this.id,
+            name: this.file.name,
+            size: this.file.size,
+            mimeType: this.file.type,
+            chunkSize: this.options.chunkSize,
+            totalChunks: this.totalChunks
+        }));
+    }
+
+    chunkBounds(seq) {
+        const start = seq * this.options.chunkSize;
+        return { start, end: Math.min(start + this.options.chunkSize, this.file.size) };
+    }
+
+    nextMissing() {
+        while (this.nextSeq < this.totalChunks && (this.acked.has(this.nextSeq) || this.inFlight.has(this.nextSeq))) {
+            this.nextSeq++;
+        }
+        return this.nextSeq < this.totalChunks ? this.nextSeq : null;
+    }
+
+    async pump() {
+        while (this.state === 'sending' && this.inFlight.size < this.options.window) {
+            const seq = this.nextMissing();
+            if (seq === null) return;
+
+            this.inFlight.add(seq);
+            const { start, end } = this.chunkBounds(seq);
+            const payload = await this.file.slice(start, end).arrayBuffer();
+
+            if (this.socket.readyState !== WebSocket.OPEN) {
+                this.inFlight.delete(seq);
+                return;
+            }
+            this.socket.send(encodeChunkFrame(CHUNK_KIND.UPLOAD, this.id, seq, this.totalChunks, payload));
+        }
+    }
+
+    onMessage(data) {
+        if (typeof data !== 'string') {
+            if (this.download) this.download.receive(data);
+            return;
+        }
+
+        const message = parseControlMessage(data);
+        if (!message || message.id !== this.id) return;
+
+        switch (message.type) {
+            case 'transfer-status':
+                this.acked.clear();
+                message.received.forEach(([first, last]) => {
+                    for (let seq = first; seq <= last; seq++) this.acked.add(seq);
+                });
+                this.inFlight.clear();
+                this.nextSeq = 0;
+                this.emitProgress();
+                this.pump();
+                break;
+
+            case 'chunk-ack':
+                this.inFlight.delete(message.seq);
+                this.acked.add(message.seq);
+                this.emitProgress();
+                this.pump();
+                break;
+
+            case 'transfer-complete':
+                this.serverSha256 = message.sha256;
+                this.setState('verifying');
+                this.download = new FileReceiver(this.id);
+                this.socket.send(JSON.stringify({ type: 'transfer-download', id: this.id }));
+                break;
+
+            case 'download-start':
+                this.download.begin(message);
+                break;
+
+            case 'download-end':
+                this.finish();
+                break;
+
+            case 'transfer-error':
+                this.setState('failed');
+                this.dispatchEvent(new CustomEvent('error', { detail: { message: message.message } }));
+                break;
+        }
+    }
+
+    // The round trip proves integrity: our hash, the server's hash and the
+    // hash of what came back must all match.
+    async finish() {
+        try {
+            const blob = await this.download.assemble();
+            const receivedSha256 = await sha256Hex(blob);
+            const verified = receivedSha256 === this.sha256 && this.serverSha256 === this.sha256;
+
+            this.setState(verified ? 'complete' : 'failed');
+            this.dispatchEvent(new CustomEvent('complete', {
+                detail: { sha256: this.sha256, serverSha256: this.serverSha256, receivedSha256, blob, verified }
+            }));
+        } catch (error) {
+            this.setState('failed');
+            this.dispatchEvent(new CustomEvent('error', { detail: { message: error.message } }));
+        }
+    }
+
+    emitProgress() {
+        this.dispatchEvent(new CustomEvent('progress', {
+            detail: {
+                acked: this.acked.size,
+                total: this.totalChunks,
+                bytes: this.bytesAcked,
+                size: this.file.size
+            }
+        }));
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.dispatchEvent(new CustomEvent('statechange', { detail: { state } }));
+    }
+}
+
+/**
+ * Collects download chunk frames for one transfer and reassembles them, in
+ * sequence order, into a Blob. Frames may arrive as Blob or ArrayBuffer
+ * depending on the socket's binaryType.
+ */
+class FileReceiver {
+    constructor(transferId) {
+        this.transferId = transferId;
+        this.meta = null;
+        this.chunks = [];
+        this.pending = [];
+    }
+
+    begin(meta) {
+        this.meta = meta;
+        this.chunks = new Array(meta.totalChunks);
+    }
+
+    receive(data) {
+        const read = data instanceof Blob ? data.arrayBuffer() : Promise.resolve(data);
+        this.pending.push(read.then(buffer => {
+            const frame = decodeChunkFrame(buffer);
+            if (frame && frame.kind === CHUNK_KIND.DOWNLOAD && frame.transferId === this.transferId) {
+                this.chunks[frame.seq] = frame.payload;
+            }
+        }));
+    }
+
+    async assemble() {
+        await Promise.all(this.pending);
+
+        const missing = this.chunks.findIndex(chunk => chunk === undefined);
+        if (missing !== -1) {
+            throw new Error(`Download is missing chunk ${missing}`);
+        }
+        return new Blob(this.chunks, { type: this.meta.mimeType || 'application/octet-stream' });
+    }
+}
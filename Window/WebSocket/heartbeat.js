@@ -0,0 +1,125 @@
+// ========================================
+// Heartbeat
+// ========================================
+// Application-level ping/pong on top of a ReconnectingSocket. Browsers do not
+// expose protocol-level ping frames, so a half-open connection (peer gone,
+// no FIN received) looks OPEN forever unless the app checks for itself.
+//
+// Wire format (JSON text frames):
+//   client -> server  {"type":"ping","id":7}
+//   server -> client  {"type":"pong","id":7}
+// A plain echo server sends the ping back unchanged, which counts as a pong.
+//
+// Events (CustomEvents, payload in event.detail):
+//   'rtt'     { id, rtt }      a pong arrived; rtt in milliseconds
+//   'timeout' { id, timeout }  no pong in time; the socket is being reconnected
+
+const HEARTBEAT_DEFAULTS = {
+    interval: 5000,
+    timeout: 3000,
+    maxSamples: 30
+};
+
+class Heartbeat extends EventTarget {
+    /** True for ping/pong frames, so message handlers can skip them. */
+    static isHeartbeatMessage(data) {
+        return Heartbeat.parse(data) !== null;
+    }
+
+    static parse(data) {
+        if (typeof data !== 'string' || !data.startsWith('{"type":"p')) return null;
+
+        try {
+            const message = JSON.parse(data);
+            return message.type === 'ping' || message.type === 'pong' ? message : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.options = { ...HEARTBEAT_DEFAULTS, ...options };
+
+        this.nextId = 1;
+        this.pending = new Map();
+        this.samples = [];
+        this.intervalTimer = null;
+
+        this.handleOpen = () => this.start();
+        this.handleClose = () => this.stop();
+        this.handleMessage = (e) => this.onMessage(e.detail.data);
+        socket.addEventListener('open', this.handleOpen);
+        socket.addEventListener('close', this.handleClose);
+        socket.addEventListener('message', this.handleMessage);
+
+        if (socket.readyState === WebSocket.OPEN) {
+            this.start();
+        }
+    }
+
+    /** Most recent round-trip time in ms, or null before the first pong. */
+    get lastRtt() {
+        return this.samples.length ? this.samples[this.samples.length - 1] : null;
+    }
+
+    get averageRtt() {
+        if (this.samples.length === 0) return null;
+        return this.samples.reduce((sum, rtt) => sum + rtt, 0) / this.samples.length;
+    }
+
+    start() {
+        this.stop();
+        this.ping();
+        this.intervalTimer = setInterval(() => this.ping(), this.options.interval);
+    }
+
+    stop() {
+        clearInterval(this.intervalTimer);
+        this.intervalTimer = null;
+        this.pending.forEach(({ timer }) => clearTimeout(timer));
+        this.pending.clear();
+    }
+
+    /** Stop pinging and detach from the socket. */
+    destroy() {
+        this.stop();
+        this.socket.removeEventListener('open', this.handleOpen);
+        this.socket.removeEventListener('close', this.handleClose);
+        this.socket.removeEventListener('message', this.handleMessage);
+    }
+
+    ping() {
+        if (this.socket.readyState !== WebSocket.OPEN) return;
+
+        const id = this.nextId++;
+        const timer = setTimeout(() => this.onTimeout(id), this.options.timeout);
+        this.pending.set(id, { sentAt: performance.now(), timer });
+        this.socket.send(JSON.stringify({ type: 'ping', id }));
+    }
+
+    onMessage(data) {
+        const message = Heartbeat.parse(data);
+        if (!message || !this.pending.has(message.id)) return;
+
+        const { sentAt, timer } = this.pending.get(message.id);
+        clearTimeout(timer);
+        this.pending.delete(message.id);
+
+        const rtt = performance.now() - sentAt;
+        this.samples.push(rtt);
+        if (this.samples.length > this.options.maxSamples) {
+            this.samples.shift();
+        }
+        this.dispatchEvent(new CustomEvent('rtt', { detail: { id: message.id, rtt } }));
+    }
+
+    onTimeout(id) {
+        this.stop();
+        this.dispatchEvent(new CustomEvent('timeout', {
+            detail: { id, timeout: this.options.timeout }
+        }));
+        this.socket.reconnect(4000, 'Heartbeat timeout');
+    }
+}
@@ -0,0 +1,217 @@
+// ========================================
+// NotificationStore
+// ========================================
+// Notifications persisted in IndexedDB, so the list, what has been read and
+// the unread count survive reloads.
+//
+//   const store = new NotificationStore();
+//   const { record, grouped } = await store.add({ type: 'warning', title, message });
+//   const unread = await store.list({ unreadOnly: true });
+//   await store.markRead(record.id);
+//
+// Repeated alerts are grouped: a notification with the same type, title and
+// message as an unread one seen within `groupWindow` raises that entry's
+// `count` instead of adding a new entry. Once the group is read, the next
+// repeat starts a new one.
+//
+// Record: { id, key, type, title, message, count, firstAt, lastAt, read }
+// Counts (total, unread) are in notifications, so a group of 3 counts 3.
+//
+// Events (CustomEvents, payload in event.detail):
+//   'change' { total, unread }   after every write
+
+const NOTIFICATION_STORE_DEFAULTS = {
+    dbName: 'websocket-notifications',
+    maxEntries: 200,                // the oldest entries are dropped beyond this
+    groupWindow: 5 * 60 * 1000      // a repeat this long after the last one starts a new entry
+};
+
+class NotificationStore extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.options = { ...NOTIFICATION_STORE_DEFAULTS, ...options };
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.options.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const notifications = db.createObjectStore('notifications', { keyPath: 'id', autoIncrement: true });
+                    notifications.createIndex('key', 'key');
+                    notifications.createIndex('lastAt', 'lastAt');
+                    db.createObjectStore('settings', { keyPath: 'name' });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again, e.g. after the user allowed storage
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Store a notification, or fold it into a matching unread group.
+     * Resolves to { record, grouped }.
+     */
+    async add({ type = 'info', title, message, receivedAt = Date.now() }) {
+        const key = notificationKey(type, title, message);
+        let result;
+
+        await this.transaction('readwrite', async (store) => {
+            const matches = await requestResult(store.index('key').getAll(key));
+            const group = matches
+                .filter(record => !record.read && receivedAt - record.lastAt <= this.options.groupWindow)
+                .sort((a, b) => b.lastAt - a.lastAt)[0];
+
+            if (group) {
+                group.count++;
+                group.lastAt = receivedAt;
+                store.put(group);
+                result = { record: group, grouped: true };
+                return;
+            }
+
+            const record = { key, type, title, message, count: 1, firstAt: receivedAt, lastAt: receivedAt, read: false };
+            record.id = await requestResult(store.add(record));
+            result = { record, grouped: false };
+            await this.trim(store);
+        });
+
+        await this.emitChange();
+        return result;
+    }
+
+    /** Newest first; `type` and `unreadOnly` narrow the list. */
+    async list({ type = null, unreadOnly = false } = {}) {
+        const records = await this.transaction('readonly', store => requestResult(store.getAll()));
+        return records
+            .filter(record => (!type || record.type === type) && (!unreadOnly || !record.read))
+            .sort((a, b) => b.lastAt - a.lastAt);
+    }
+
+    async markRead(id, read = true) {
+        await this.transaction('readwrite', async (store) => {
+            const record = await requestResult(store.get(id));
+            if (record && record.read !== read) {
+                record.read = read;
+                store.put(record);
+            }
+        });
+        await this.emitChange();
+    }
+
+    /** Mark everything read, or only the entries of one type. */
+    async markAllRead(type = null) {
+        await this.transaction('readwrite', async (store) => {
+            const records = await requestResult(store.getAll());
+            records
+                .filter(record => !record.read && (!type || record.type === type))
+                .forEach(record => {
+                    record.read = true;
+                    store.put(record);
+                });
+        });
+        await this.emitChange();
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => requestResult(store.clear()));
+        await this.emitChange();
+    }
+
+    async counts() {
+        const records = await this.list();
+        return records.reduce((counts, record) => {
+            counts.total += record.count;
+            if (!record.read) counts.unread += record.count;
+            return counts;
+        }, { total: 0, unread: 0 });
+    }
+
+    /** Stored settings merged over `defaults`, one level deep. */
+    async getSettings(defaults = {}) {
+        const stored = await this.transaction('readonly', (store) => requestResult(store.get('settings')), 'settings');
+        const settings = { ...defaults };
+        if (stored) {
+            Object.entries(stored.value).forEach(([name, value]) => {
+                const isObject = value && typeof value === 'object' && !Array.isArray(value);
+                settings[name] = isObject ? { ...defaults[name], ...value } : value;
+            });
+        }
+        return settings;
+    }
+
+    async saveSettings(value) {
+        await this.transaction('readwrite', (store) => requestResult(store.put({ name: 'settings', value })), 'settings');
+    }
+
+    // Drop the entries that were updated longest ago once there are too many
+    async trim(store) {
+        const total = await requestResult(store.count());
+        let excess = total - this.options.maxEntries;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('lastAt').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    /**
+     * Run `work(store)` in one transaction and resolve with its result once
+     * the transaction has committed. `work` may only await IndexedDB requests
+     * of this transaction, or it auto-commits early.
+     */
+    async transaction(mode, work, storeName = 'notifications') {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+            Promise.resolve(work(tx.objectStore(storeName)))
+                .then(value => {
+                    result = value;
+                })
+                .catch(error => {
+                    tx.abort();
+                    reject(error);
+                });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async emitChange() {
+        const counts = await this.counts();
+        this.dispatchEvent(new CustomEvent('change', { detail: counts }));
+    }
+}
+
+function notificationKey(type, title, message) {
+    return `${type}\n${title}\n${message}`;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
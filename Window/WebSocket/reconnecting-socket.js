@@ -0,0 +1,289 @@
+// ========================================
+// ReconnectingSocket
+// ========================================
+// A WebSocket wrapper that reconnects with full-jitter exponential backoff,
+// queues send() calls while disconnected and flushes them on reopen, and
+// pauses retries while the browser is offline or the tab is hidden. Also
+// runs inside workers (connection-manager.js), where there is no tab to hide.
+//
+// Events (all CustomEvents, payload in event.detail):
+//   'statechange'  { state, previous }
+//   'open'         { attempt }                  attempt that succeeded (0 = first try)
+//   'message'      { data }
+//   'sent'         { data }                     data was handed to the live socket
+//   'close'        { code, reason, wasClean, willReconnect }
+//   'reconnecting' { attempt, delay, maxAttempts }
+//   'giveup'       { attempts }                 after the close that used up the attempts
+//   'error'        { error }
+//   'queue'        { size, dropped }             outbound queue changed
+
+const RECONNECTING_SOCKET_DEFAULTS = {
+    protocols: [],
+    binaryType: 'blob',
+    autoReconnect: true,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    maxAttempts: 5,
+    maxQueueSize: 100,
+    pauseWhenHidden: true,
+    // Whether a close not asked for by close() is worth reconnecting after,
+    // e.g. ({ code }) => classifyClose(code).reconnect (connection-state.js)
+    shouldReconnect: () => true,
+    // Anything with the WebSocket interface works, e.g. a FallbackSocket (transports.js)
+    createSocket: (url, protocols) => new WebSocket(url, protocols)
+};
+
+class ReconnectingSocket extends EventTarget {
+    static STATES = {
+        CONNECTING: 'connecting',
+        OPEN: 'open',
+        CLOSING: 'closing',
+        CLOSED: 'closed',
+        RECONNECTING: 'reconnecting',
+        WAITING: 'waiting'   // retry is due but the browser is offline or the tab hidden
+    };
+
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.options = { ...RECONNECTING_SOCKET_DEFAULTS, ...options };
+
+        this.ws = null;
+        this.state = ReconnectingSocket.STATES.CLOSED;
+        this.attempts = 0;
+        this.queue = [];
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+        this.openedAt = null;
+        this.closeRequested = false;
+
+        this.handleOnline = () => this.resumeRetry();
+        this.handleOffline = () => this.onOffline();
+        this.handleVisibility = () => {
+            if (document.visibilityState === 'visible') this.resumeRetry();
+        };
+        globalThis.addEventListener('online', this.handleOnline);
+        globalThis.addEventListener('offline', this.handleOffline);
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+
+    /** Mirrors WebSocket.readyState; CLOSED while waiting to reconnect. */
+    get readyState() {
+        return this.ws ? this.ws.readyState : WebSocket.CLOSED;
+    }
+
+    /** Bytes buffered by the live socket; messages waiting for a connection are in queuedCount. */
+    get bufferedAmount() {
+        return this.ws ? this.ws.bufferedAmount : 0;
+    }
+
+    get queuedCount() {
+        return this.queue.length;
+    }
+
+    /** Applies to the live socket and to every socket created on reconnect. */
+    get binaryType() {
+        return this.options.binaryType;
+    }
+
+    set binaryType(value) {
+        this.options.binaryType = value;
+        if (this.ws) {
+            this.ws.binaryType = value;
+        }
+    }
+
+    connect() {
+        if (this.ws && this.ws.readyState <= WebSocket.OPEN) return;
+
+        this.closeRequested = false;
+        this.clearRetry();
+        this.setState(ReconnectingSocket.STATES.CONNECTING);
+
+        const ws = this.options.createSocket(this.url, this.options.protocols);
+        ws.binaryType = this.options.binaryType;
+        this.ws = ws;
+
+        ws.onopen = () => {
+            const attempt = this.attempts;
+            this.attempts = 0;
+            this.openedAt = Date.now();
+            this.setState(ReconnectingSocket.STATES.OPEN);
+            this.emit('open', { attempt });
+            this.flushQueue();
+        };
+
+        ws.onmessage = (event) => {
+            this.emit('message', { data: event.data });
+        };
+
+        ws.onerror = (error) => {
+            this.emit('error', { error });
+        };
+
+        ws.onclose = (event) => {
+            if (ws !== this.ws) return;
+            this.handleClose(event);
+        };
+    }
+
+    /**
+     * Abandon the current socket and take the normal reconnect path right away.
+     * Used when the socket looks alive but has stopped answering (half-open):
+     * its close handshake could take minutes, so nothing waits for it.
+     */
+    reconnect(code = 4000, reason = 'Reconnect requested') {
+        const ws = this.ws;
+        if (!ws) {
+            this.connect();
+            return;
+        }
+
+        ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+        ws.close(code, reason);
+        this.handleClose({ code, reason, wasClean: false });
+    }
+
+    /** Close for good: no reconnect, pending retry cancelled, queue kept for a later connect(). */
+    close(code = 1000, reason = '') {
+        this.closeRequested = true;
+        this.clearRetry();
+
+        if (this.ws && this.ws.readyState <= WebSocket.OPEN) {
+            this.setState(ReconnectingSocket.STATES.CLOSING);
+            this.ws.close(code, reason);
+        } else {
+            this.setState(ReconnectingSocket.STATES.CLOSED);
+        }
+    }
+
+    /** Send now if open, otherwise queue until the next successful open. */
+    send(data) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.transmit(data);
+            return true;
+        }
+
+        let dropped = 0;
+        this.queue.push(data);
+        while (this.queue.length > this.options.maxQueueSize) {
+            this.queue.shift();
+            dropped++;
+        }
+        this.emit('queue', { size: this.queue.length, dropped });
+        return false;
+    }
+
+    /** Stop listening to the browser and close the socket. */
+    destroy() {
+        this.close();
+        globalThis.removeEventListener('online', this.handleOnline);
+        globalThis.removeEventListener('offline', this.handleOffline);
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+
+    // Full jitter: a random delay between 0 and the capped exponential value
+    // spreads reconnecting clients out instead of having them retry in lockstep.
+    getDelay(attempt) {
+        const ceiling = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    // Only called with attempts left (see handleClose)
+    scheduleReconnect() {
+        const delay = this.getDelay(this.attempts);
+        this.attempts++;
+        this.nextRetryAt = Date.now() + delay;
+        this.setState(ReconnectingSocket.STATES.RECONNECTING);
+        this.emit('reconnecting', {
+            attempt: this.attempts,
+            delay,
+            maxAttempts: this.options.maxAttempts
+        });
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.nextRetryAt = null;
+            if (this.canRetryNow()) {
+                this.connect();
+            } else {
+                this.setState(ReconnectingSocket.STATES.WAITING);
+            }
+        }, delay);
+    }
+
+    canRetryNow() {
+        const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+        return navigator.onLine && !(hidden && this.options.pauseWhenHidden);
+    }
+
+    // Retrying while offline only burns attempts, so drop the timer and
+    // wait for the 'online' event instead.
+    onOffline() {
+        if (this.state === ReconnectingSocket.STATES.RECONNECTING) {
+            this.clearRetry();
+            this.setState(ReconnectingSocket.STATES.WAITING);
+        }
+    }
+
+    resumeRetry() {
+        if (this.state === ReconnectingSocket.STATES.WAITING && this.canRetryNow()) {
+            this.connect();
+        }
+    }
+
+    clearRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    handleClose({ code, reason, wasClean }) {
+        this.ws = null;
+        this.openedAt = null;
+        const wantsReconnect = !this.closeRequested && this.options.autoReconnect
+            && this.options.shouldReconnect({ code, reason, wasClean });
+        // False once the attempts are used up, so the last close says so
+        const willReconnect = wantsReconnect && this.attempts < this.options.maxAttempts;
+        this.setState(ReconnectingSocket.STATES.CLOSED);
+        this.emit('close', { code, reason, wasClean, willReconnect });
+
+        if (willReconnect) {
+            this.scheduleReconnect();
+        } else if (wantsReconnect) {
+            this.emit('giveup', { attempts: this.attempts });
+        }
+    }
+
+    flushQueue() {
+        if (this.queue.length === 0) return;
+
+        const pending = this.queue;
+        this.queue = [];
+        pending.forEach(data => this.transmit(data));
+        this.emit('queue', { size: 0, dropped: 0 });
+    }
+
+    transmit(data) {
+        this.ws.send(data);
+        this.emit('sent', { data });
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.emit('statechange', { state, previous });
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
@@ -0,0 +1,225 @@
+// ========================================
+// RpcClient
+// ========================================
+// JSON-RPC 2.0 over a ReconnectingSocket: call() returns a promise that is
+// settled by the response carrying the same id. Supports batches,
+// server-initiated notifications, per-call timeouts and AbortSignal
+// cancellation (the server is told with a "$/cancelRequest" notification).
+//
+// Events (CustomEvents, payload in event.detail):
+//   'notification' { method, params }   server-initiated notification
+//   'pending'      { count }            number of calls awaiting a response changed
+
+const RPC_DEFAULTS = {
+    timeout: 10000
+};
+
+/** Error object returned by the server ({ code, message, data }). */
+class RpcError extends Error {
+    static PARSE_ERROR = -32700;
+    static INVALID_REQUEST = -32600;
+    static METHOD_NOT_FOUND = -32601;
+    static INVALID_PARAMS = -32602;
+    static INTERNAL_ERROR = -32603;
+    static REQUEST_CANCELLED = -32800;
+
+    constructor({ code, message, data }) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+class RpcClient extends EventTarget {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.options = { ...RPC_DEFAULTS, ...options };
+        this.nextId = 1;
+        this.pending = new Map();
+
+        this.handleMessage = (e) => this.onMessage(e.detail.data);
+        this.handleClose = () => this.rejectAll(new DOMException('Connection closed before a response arrived', 'NetworkError'));
+        socket.addEventListener('message', this.handleMessage);
+        socket.addEventListener('close', this.handleClose);
+    }
+
+    get pendingCount() {
+        return this.pending.size;
+    }
+
+    /**
+     * Call a remote method.
+     * Rejects with RpcError for error responses, a TimeoutError DOMException
+     * after `timeout` ms, or `signal.reason` when the signal aborts.
+     */
+    call(method, params, { signal, timeout = this.options.timeout } = {}) {
+        const { request, promise } = this.prepare(method, params, { signal, timeout });
+        if (request) {
+            this.socket.send(JSON.stringify(request));
+        }
+        return promise;
+    }
+
+    /** Fire-and-forget: no id, so the server sends no response. */
+    notify(method, params) {
+        this.socket.send(JSON.stringify(this.createMessage(method, params)));
+    }
+
+    /**
+     * Send several calls in one frame. Each entry is { method, params } or
+     * { method, params, notification: true }. Resolves like Promise.allSettled
+     * with one entry per non-notification call, in order.
+     */
+    batch(calls, { signal, timeout = this.options.timeout } = {}) {
+        const requests = [];
+        const promises = [];
+
+        calls.forEach(({ method, params, notification }) => {
+            if (notification) {
+                requests.push(this.createMessage(method, params));
+                return;
+            }
+            const { request, promise } = this.prepare(method, params, { signal, timeout });
+            if (request) {
+                requests.push(request);
+            }
+            promises.push(promise);
+        });
+
+        if (requests.length > 0) {
+            this.socket.send(JSON.stringify(requests));
+        }
+        return Promise.allSettled(promises);
+    }
+
+    /** Detach from the socket and reject everything still pending. */
+    destroy() {
+        this.rejectAll(new DOMException('RPC client destroyed', 'AbortError'));
+        this.socket.removeEventListener('message', this.handleMessage);
+        this.socket.removeEventListener('close', this.handleClose);
+    }
+
+    createMessage(method, params, id) {
+        const message = { jsonrpc: '2.0', method };
+        if (params !== undefined) {
+            message.params = params;
+        }
+        if (id !== undefined) {
+            message.id = id;
+        }
+        return message;
+    }
+
+    // Register a pending call; `request` is null when the signal already aborted
+    prepare(method, params, { signal, timeout }) {
+        if (signal && signal.aborted) {
+            return { request: null, promise: Promise.reject(signal.reason) };
+        }
+
+        const id = this.nextId++;
+        const request = this.createMessage(method, params, id);
+
+        const promise = new Promise((resolve, reject) => {
+            const entry = { resolve, reject, timer: null, cleanup: null };
+
+            if (timeout > 0) {
+                entry.timer = setTimeout(() => {
+                    this.settle(id);
+                    this.notify('$/cancelRequest', { id });
+                    reject(new DOMException(`${method} timed out after ${timeout}ms`, 'TimeoutError'));
+                }, timeout);
+            }
+
+            if (signal) {
+                const onAbort = () => {
+                    this.settle(id);
+                    this.notify('$/cancelRequest', { id });
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.pending.set(id, entry);
+        });
+
+        this.emitPending();
+        return { request, promise };
+    }
+
+    // Forget a pending call and return its entry (undefined if already settled)
+    settle(id) {
+        const entry = this.pending.get(id);
+        if (!entry) return undefined;
+
+        clearTimeout(entry.timer);
+        if (entry.cleanup) entry.cleanup();
+        this.pending.delete(id);
+        this.emitPending();
+        return entry;
+    }
+
+    onMessage(data) {
+        if (typeof data !== 'string') return;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            console.warn('Ignoring non-JSON frame:', data);
+            return;
+        }
+
+        const messages = Array.isArray(message) ? message : [message];
+        messages.forEach(item => this.handleResponse(item));
+    }
+
+    handleResponse(message) {
+        if (!message || message.jsonrpc !== '2.0') return;
+
+        // Server-initiated notification
+        if (message.method && message.id === undefined) {
+            this.dispatchEvent(new CustomEvent('notification', {
+                detail: { method: message.method, params: message.params }
+            }));
+            return;
+        }
+
+        // Server-initiated requests are not supported by this client
+        if (message.method) {
+            this.socket.send(JSON.stringify({
+                jsonrpc: '2.0',
+                id: message.id,
+                error: { code: RpcError.METHOD_NOT_FOUND, message: 'Method not found' }
+            }));
+            return;
+        }
+
+        // Errors the server could not tie to a request (parse errors) have id null
+        if (message.id === null) {
+            console.warn('RPC error without id:', message.error);
+            return;
+        }
+
+        const entry = this.settle(message.id);
+        if (!entry) return; // timed out or cancelled already
+
+        if (message.error) {
+            entry.reject(new RpcError(message.error));
+        } else {
+            entry.resolve(message.result);
+        }
+    }
+
+    rejectAll(reason) {
+        Array.from(this.pending.keys()).forEach(id => {
+            this.settle(id).reject(reason);
+        });
+    }
+
+    emitPending() {
+        this.dispatchEvent(new CustomEvent('pending', { detail: { count: this.pending.size } }));
+    }
+}
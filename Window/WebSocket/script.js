@@ -3,8 +3,56 @@ if (!window.WebSocket) {
     alert('WebSocket is not supported in this browser. Please update your browser.');
 }
 
-// WebSocket echo server URL
-const ECHO_SERVER = 'wss://echo.websocket.org/.ws';
+// ========================================
+// Server Endpoint
+// ========================================
+// Every demo connects to this endpoint. The default is the bundled stand-in
+// server (node server/index.js); it can be changed at the top of the page or
+// with ?endpoint=wss://... in the page URL. Demos pick a server behaviour with
+// the `mode` query parameter, which plain echo servers simply ignore.
+const DEFAULT_ENDPOINT = 'ws://localhost:8080';
+const ENDPOINT_STORAGE_KEY = 'websocket-demo-endpoint';
+
+const endpointInput = document.getElementById('wsEndpoint');
+
+function getEndpoint() {
+    return new URLSearchParams(location.search).get('endpoint')
+        || localStorage.getItem(ENDPOINT_STORAGE_KEY)
+        || DEFAULT_ENDPOINT;
+}
+
+function endpointUrl(mode, params = {}) {
+    const url = new URL(getEndpoint());
+    url.searchParams.set('mode', mode);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+}
+
+function showEndpoint() {
+    endpointInput.value = getEndpoint();
+    document.getElementById('serverInfo1').textContent = getEndpoint();
+}
+
+document.getElementById('saveEndpoint').addEventListener('click', () => {
+    const value = endpointInput.value.trim();
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'ws:' && url.protocol !== 'wss:') {
+            throw new Error('Endpoint must start with ws:// or wss://');
+        }
+        localStorage.setItem(ENDPOINT_STORAGE_KEY, value);
+        showEndpoint();
+    } catch (e) {
+        alert(e.message);
+    }
+});
+
+document.getElementById('resetEndpoint').addEventListener('click', () => {
+    localStorage.removeItem(ENDPOINT_STORAGE_KEY);
+    showEndpoint();
+});
+
+showEndpoint();
 
 // ========================================
 // Demo 1: Basic WebSocket Connection
@@ -35,7 +83,7 @@ function addMessage1(type, message) {
 }
 
 connectBtn1.addEventListener('click', () => {
-    ws1 = new WebSocket(ECHO_SERVER);
+    ws1 = new WebSocket(endpointUrl('echo'));
 
     ws1.onopen = () => {
         updateStatus1('connected', 'Connected');
@@ -99,63 +147,255 @@ document.getElementById('clearLog1').addEventListener('click', () => {
 // ========================================
 // Demo 2: Real-time Chat
 // ========================================
-let chatWs = null;
+// Protocol handling lives in ChatClient (chat-client.js) and the stand-in
+// server's chat mode (server/chat.js); this section renders its events.
+let chatSocket = null;
+let chatClient = null;
 const chatStatus = document.getElementById('chatStatus');
 const chatMessages = document.getElementById('chatMessages');
 const chatInput = document.getElementById('chatInput');
 const username = document.getElementById('username');
+const chatRoom = document.getElementById('chatRoom');
+const chatMembers = document.getElementById('chatMembers');
+const typingIndicator = document.getElementById('typingIndicator');
+
+const TYPING_EXPIRY = 5000;
+const MESSAGE_STATUS_ORDER = ['sending', 'sent', 'delivered', 'read'];
+const MESSAGE_STATUS_ICONS = { sending: '…', sent: '✓', delivered: '✓✓', read: '✓✓' };
+
+const typingUsers = new Map();   // clientId -> { user, timer }
+const pendingMessages = new Map(); // tempId -> message element
 
 function updateChatStatus(status, text) {
     chatStatus.className = `connection-status ${status}`;
     chatStatus.querySelector('.status-text').textContent = text;
 }
 
-function addChatMessage(user, text, time, isOwn = false) {
+// Built with textContent: chat text comes from other users
+function addChatMessage(user, text, time, isOwn = false, id = null) {
+    if (id && chatMessages.querySelector(`[data-id="${id}"]`)) return null;
+
     const messageEl = document.createElement('div');
     messageEl.className = `chat-message ${isOwn ? 'own' : ''}`;
-    messageEl.innerHTML = `
-        <div class="message-header">
-            <span class="message-user">${user}</span>
-            <span class="message-time">${time}</span>
-        </div>
-        <div class="message-content">${text}</div>
-    `;
+    if (id) {
+        messageEl.dataset.id = id;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'message-header';
+    const userEl = document.createElement('span');
+    userEl.className = 'message-user';
+    userEl.textContent = user;
+    const timeEl = document.createElement('span');
+    timeEl.className = 'message-time';
+    timeEl.textContent = time;
+    header.append(userEl, timeEl);
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+    content.textContent = text;
+
+    messageEl.append(header, content);
     chatMessages.appendChild(messageEl);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageEl;
 }
 
-document.getElementById('chatConnect').addEventListener('click', () => {
-    chatWs = new WebSocket(ECHO_SERVER);
+function addSystemMessage(text) {
+    addChatMessage('System', text, new Date().toLocaleTimeString());
+}
+
+// Receipts only move a message forward: sending → sent → delivered → read
+function setMessageStatus(messageEl, status, reader = null) {
+    const current = messageEl.dataset.status || 'sending';
+    if (MESSAGE_STATUS_ORDER.indexOf(status) < MESSAGE_STATUS_ORDER.indexOf(current)) return;
+
+    let statusEl = messageEl.querySelector('.message-status');
+    if (!statusEl) {
+        statusEl = document.createElement('span');
+        statusEl.className = 'message-status';
+        messageEl.appendChild(statusEl);
+    }
+    messageEl.dataset.status = status;
+    statusEl.className = `message-status ${status}`;
+    statusEl.textContent = MESSAGE_STATUS_ICONS[status];
+    if (reader) {
+        statusEl.title = `${status === 'read' ? 'Read' : 'Delivered'} by ${reader}`;
+    }
+}
+
+function renderMembers(members) {
+    chatMembers.innerHTML = '';
+    members.forEach(({ clientId, user, status }) => {
+        const item = document.createElement('li');
+        const dot = document.createElement('span');
+        dot.className = `presence-dot ${status}`;
+        const name = document.createElement('span');
+        name.textContent = clientId === chatClient.clientId ? `${user} (you)` : user;
+        item.append(dot, name);
+        chatMembers.appendChild(item);
+    });
+}
+
+function renderTyping() {
+    const names = Array.from(typingUsers.values(), entry => entry.user);
+    typingIndicator.textContent = names.length === 0 ? ''
+        : names.length === 1 ? `${names[0]} is typing...`
+        : `${names.join(', ')} are typing...`;
+}
+
+// A missed "stopped typing" (tab closed mid-word) must not leave the indicator up
+function setUserTyping(clientId, user, typing) {
+    const entry = typingUsers.get(clientId);
+    if (entry) {
+        clearTimeout(entry.timer);
+        typingUsers.delete(clientId);
+    }
+    if (typing) {
+        const timer = setTimeout(() => {
+            typingUsers.delete(clientId);
+            renderTyping();
+        }, TYPING_EXPIRY);
+        typingUsers.set(clientId, { user, timer });
+    }
+    renderTyping();
+}
+
+function clearTypingUsers() {
+    typingUsers.forEach(entry => clearTimeout(entry.timer));
+    typingUsers.clear();
+    renderTyping();
+}
+
+// Everything on screen counts as read while the tab is visible
+function markVisibleAsRead() {
+    if (!chatClient || document.visibilityState !== 'visible') return;
+    chatMessages.querySelectorAll('.chat-message:not(.own)[data-id]').forEach(messageEl => {
+        chatClient.markRead(messageEl.dataset.id);
+    });
+}
+
+function renderIncomingMessage(message) {
+    const isOwn = message.clientId === chatClient.clientId;
+    const messageEl = addChatMessage(message.user, message.text, new Date(message.time).toLocaleTimeString(), isOwn, message.id);
+    if (messageEl && isOwn) {
+        setMessageStatus(messageEl, 'sent');
+    }
+}
+
+function setChatButtons(connected) {
+    document.getElementById('chatSend').disabled = !connected;
+    document.getElementById('chatConnect').disabled = connected;
+    document.getElementById('chatDisconnect').disabled = !connected;
+}
+
+// Back to the disconnected state: offline status, Connect enabled, no members
+function resetChatPanel(message) {
+    updateChatStatus('disconnected', 'Offline');
+    addSystemMessage(message);
+    setChatButtons(false);
+    chatMembers.innerHTML = '';
+    clearTypingUsers();
+}
+
+function createChatClient() {
+    const socket = new ReconnectingSocket(endpointUrl('chat'), { maxAttempts: 10 });
+    const client = new ChatClient(socket);
+    chatSocket = socket;
 
-    chatWs.onopen = () => {
+    chatSocket.addEventListener('open', () => {
         updateChatStatus('connected', 'Online');
-        addChatMessage('System', 'Connected to chat server', new Date().toLocaleTimeString());
-        document.getElementById('chatSend').disabled = false;
-        document.getElementById('chatConnect').disabled = true;
-        document.getElementById('chatDisconnect').disabled = false;
-    };
+        setChatButtons(true);
+    });
 
-    chatWs.onmessage = (event) => {
-        try {
-            const message = JSON.parse(event.data);
-            addChatMessage(message.user, message.text, message.time, message.user === username.value);
-        } catch (e) {
-            // Echo server just echoes back, so we'll receive our own message
+    chatSocket.addEventListener('reconnecting', () => {
+        updateChatStatus('connecting', 'Reconnecting...');
+        clearTypingUsers();
+    });
+
+    chatSocket.addEventListener('close', (e) => {
+        // After "Disconnect" the panel has been reset already
+        if (!e.detail.willReconnect && socket === chatSocket) {
+            resetChatPanel('Disconnected from chat server');
         }
-    };
+    });
 
-    chatWs.onclose = () => {
-        updateChatStatus('disconnected', 'Offline');
-        addChatMessage('System', 'Disconnected from chat server', new Date().toLocaleTimeString());
-        document.getElementById('chatSend').disabled = true;
-        document.getElementById('chatConnect').disabled = false;
-        document.getElementById('chatDisconnect').disabled = true;
-    };
+    chatSocket.addEventListener('giveup', (e) => {
+        resetChatPanel(`Gave up reconnecting after ${e.detail.attempts} attempts`);
+    });
+
+    client.addEventListener('joined', (e) => {
+        const { room, members, history } = e.detail;
+        addSystemMessage(`Joined #${room} (${members.length} online)`);
+        history.forEach(renderIncomingMessage);
+        renderMembers(members);
+        markVisibleAsRead();
+    });
+
+    client.addEventListener('members', (e) => {
+        renderMembers(e.detail.members);
+    });
+
+    client.addEventListener('message', (e) => {
+        const { message } = e.detail;
+        setUserTyping(message.clientId, message.user, false);
+        renderIncomingMessage(message);
+        markVisibleAsRead();
+    });
+
+    client.addEventListener('ack', (e) => {
+        const messageEl = pendingMessages.get(e.detail.tempId);
+        if (!messageEl) return;
+        pendingMessages.delete(e.detail.tempId);
+        messageEl.dataset.id = e.detail.id;
+        setMessageStatus(messageEl, 'sent');
+    });
+
+    client.addEventListener('receipt', (e) => {
+        const { id, user, status } = e.detail;
+        const messageEl = chatMessages.querySelector(`.chat-message.own[data-id="${id}"]`);
+        if (messageEl) {
+            setMessageStatus(messageEl, status, user);
+        }
+    });
+
+    client.addEventListener('typing', (e) => {
+        setUserTyping(e.detail.clientId, e.detail.user, e.detail.typing);
+    });
+
+    client.addEventListener('error', (e) => {
+        console.warn('Chat server error:', e.detail.message);
+    });
+
+    return client;
+}
+
+document.getElementById('chatConnect').addEventListener('click', () => {
+    if (!chatClient) {
+        chatClient = createChatClient();
+    }
+    updateChatStatus('connecting', 'Connecting...');
+    chatClient.join(chatRoom.value, username.value.trim() || 'User');
+    chatSocket.connect();
 });
 
 document.getElementById('chatDisconnect').addEventListener('click', () => {
-    if (chatWs) {
-        chatWs.close();
+    if (chatClient) {
+        chatClient.leave();
+        chatClient.destroy();
+        chatSocket.destroy();
+        chatClient = null;
+        chatSocket = null;
+    }
+    resetChatPanel('Disconnected from chat server');
+});
+
+chatRoom.addEventListener('change', () => {
+    if (chatClient && chatSocket.readyState === WebSocket.OPEN) {
+        chatMessages.innerHTML = '';
+        pendingMessages.clear();
+        clearTypingUsers();
+        chatClient.join(chatRoom.value, username.value.trim() || 'User');
     }
 });
 
@@ -169,123 +409,277 @@ chatInput.addEventListener('keypress', (e) => {
     }
 });
 
+chatInput.addEventListener('input', () => {
+    if (chatClient && chatInput.value) {
+        chatClient.notifyTyping();
+    }
+});
+
+document.addEventListener('visibilitychange', markVisibleAsRead);
+
 function sendChatMessage() {
     const text = chatInput.value.trim();
-    if (text && chatWs && chatWs.readyState === WebSocket.OPEN) {
-        const message = {
-            user: username.value,
-            text: text,
-            time: new Date().toLocaleTimeString()
-        };
-        chatWs.send(JSON.stringify(message));
-        addChatMessage(message.user, message.text, message.time, true);
+    if (text && chatClient) {
+        const tempId = chatClient.sendMessage(text);
+        const messageEl = addChatMessage(username.value.trim() || 'User', text, new Date().toLocaleTimeString(), true);
+        setMessageStatus(messageEl, 'sending');
+        pendingMessages.set(tempId, messageEl);
         chatInput.value = '';
     }
 }
 
-document.getElementById('simulateUser').addEventListener('click', () => {
-    const responses = [
-        'Hello everyone!',
-        'How are you doing?',
-        'Great discussion!',
-        'I agree with that',
-        'Interesting point!'
-    ];
-    const randomUser = 'User' + Math.floor(Math.random() * 100);
-    const randomText = responses[Math.floor(Math.random() * responses.length)];
-    addChatMessage(randomUser, randomText, new Date().toLocaleTimeString(), false);
+document.getElementById('openChatTab').addEventListener('click', () => {
+    window.open(location.href, '_blank');
 });
 
 document.getElementById('clearChat').addEventListener('click', () => {
     chatMessages.innerHTML = '';
+    pendingMessages.clear();
 });
 
 // ========================================
 // Demo 3: Live Notifications
 // ========================================
+// Notifications are kept in IndexedDB by NotificationStore
+// (notification-store.js); the list and counts are rendered from the store
+// whenever it changes.
 let notifWs = null;
-let notifCount = 0;
-let unreadCount = 0;
-let dataInterval = null;
+let notificationRenderId = 0;
+let notificationAudio = null;
+
+const NOTIFICATION_SETTINGS_DEFAULTS = {
+    soundEnabled: true,
+    sounds: {
+        info: { sound: 'chime', muted: false },
+        success: { sound: 'ping', muted: false },
+        warning: { sound: 'alert', muted: false }
+    }
+};
+
+// Tones played one after another, 0.2s each
+const NOTIFICATION_SOUNDS = {
+    chime: [{ frequency: 800, type: 'sine' }],
+    ping: [{ frequency: 1320, type: 'triangle' }],
+    alert: [{ frequency: 660, type: 'square' }, { frequency: 440, type: 'square' }]
+};
+
+const notificationStore = new NotificationStore();
+let notificationSettings = NOTIFICATION_SETTINGS_DEFAULTS;
 
 const notifStatus = document.getElementById('notifStatus');
 const notificationsList = document.getElementById('notificationsList');
+const notifFilter = document.getElementById('notifFilter');
+const notifUnreadOnly = document.getElementById('notifUnreadOnly');
 
 function updateNotifStatus(status, text) {
     notifStatus.className = `connection-status ${status}`;
     notifStatus.querySelector('.status-text').textContent = text;
 }
 
-function addNotification(title, message, type = 'info') {
-    const empty = notificationsList.querySelector('.empty-state');
-    if (empty) empty.remove();
+async function addNotification(title, message, type = 'info') {
+    try {
+        const { grouped } = await notificationStore.add({ type, title, message });
+        // A repeat of an unread alert only raises its count; it does not ring again
+        if (!grouped) {
+            playNotificationSound(type);
+        }
+    } catch (error) {
+        console.warn('Could not store notification:', error);
+    }
+}
+
+async function renderNotifications() {
+    const renderId = ++notificationRenderId;
+    const records = await notificationStore.list({
+        type: notifFilter.value || null,
+        unreadOnly: notifUnreadOnly.checked
+    });
+    // A newer render started while this one was reading the store
+    if (renderId !== notificationRenderId) return;
+
+    notificationsList.innerHTML = '';
+    if (records.length === 0) {
+        const filtered = notifFilter.value || notifUnreadOnly.checked;
+        notificationsList.innerHTML = `<div class="empty-state">${filtered ? 'No matching notifications' : 'No notifications yet'}</div>`;
+        return;
+    }
+    records.forEach(record => notificationsList.appendChild(createNotificationElement(record)));
+}
 
+function createNotificationElement(record) {
     const notifEl = document.createElement('div');
-    notifEl.className = `notification ${type}`;
-    const time = new Date().toLocaleTimeString();
+    notifEl.className = `notification ${record.type} ${record.read ? 'read' : 'unread'}`;
+    notifEl.title = record.read ? 'Click to mark as unread' : 'Click to mark as read';
     notifEl.innerHTML = `
-        <div class="notif-icon">${type === 'success' ? '✓' : type === 'warning' ? '⚠' : 'ℹ'}</div>
+        <div class="notif-icon">${record.type === 'success' ? '✓' : record.type === 'warning' ? '⚠' : 'ℹ'}</div>
         <div class="notif-content">
-            <div class="notif-title">${title}</div>
-            <div class="notif-message">${message}</div>
-            <div class="notif-time">${time}</div>
+            <div class="notif-title"></div>
+            <div class="notif-message"></div>
+            <div class="notif-time"></div>
         </div>
     `;
-    notificationsList.insertBefore(notifEl, notificationsList.firstChild);
+    // Title and message come from the server: text only
+    const titleEl = notifEl.querySelector('.notif-title');
+    titleEl.textContent = record.title;
+    if (record.count > 1) {
+        const countEl = document.createElement('span');
+        countEl.className = 'notif-group-count';
+        countEl.textContent = `×${record.count}`;
+        titleEl.appendChild(countEl);
+    }
+    notifEl.querySelector('.notif-message').textContent = record.message;
+
+    const last = new Date(record.lastAt).toLocaleTimeString();
+    notifEl.querySelector('.notif-time').textContent = record.count > 1
+        ? `${new Date(record.firstAt).toLocaleTimeString()} – ${last}`
+        : last;
+
+    notifEl.addEventListener('click', () => {
+        notificationStore.markRead(record.id, !record.read);
+    });
+    return notifEl;
+}
 
-    notifCount++;
-    unreadCount++;
-    document.getElementById('notifCount').textContent = notifCount;
-    document.getElementById('unreadCount').textContent = unreadCount;
+function renderNotificationCounts({ total, unread }) {
+    document.getElementById('notifCount').textContent = total;
+    document.getElementById('unreadCount').textContent = unread;
+    updateAppBadge(unread);
+}
 
-    if (document.getElementById('soundEnabled').checked) {
-        playNotificationSound();
+// The badge on the installed app's icon; browsers without it show the count on the page only
+function updateAppBadge(unread) {
+    const badgeStatus = document.getElementById('appBadgeStatus');
+    if (!('setAppBadge' in navigator)) {
+        badgeStatus.textContent = 'not supported';
+        return;
     }
+
+    const update = unread > 0 ? navigator.setAppBadge(unread) : navigator.clearAppBadge();
+    update
+        .then(() => {
+            badgeStatus.textContent = unread > 0 ? String(unread) : 'cleared';
+        })
+        .catch((error) => {
+            // e.g. NotAllowedError where only installed apps may set a badge
+            badgeStatus.textContent = `unavailable (${error.name})`;
+        });
 }
 
-function playNotificationSound() {
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
+function playNotificationSound(type) {
+    const typeSettings = notificationSettings.sounds[type] || notificationSettings.sounds.info;
+    if (!notificationSettings.soundEnabled || typeSettings.muted) return;
 
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
+    playSound(typeSettings.sound);
+}
+
+function playSound(name) {
+    // One context for the page; browsers limit how many can exist
+    if (!notificationAudio) {
+        notificationAudio = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    const audioContext = notificationAudio;
+    const tones = NOTIFICATION_SOUNDS[name] || NOTIFICATION_SOUNDS.chime;
+
+    tones.forEach((tone, index) => {
+        const start = audioContext.currentTime + index * 0.25;
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+
+        oscillator.frequency.value = tone.frequency;
+        oscillator.type = tone.type;
+
+        gainNode.gain.setValueAtTime(0.3, start);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, start + 0.2);
+
+        oscillator.start(start);
+        oscillator.stop(start + 0.2);
+    });
+}
 
-    oscillator.frequency.value = 800;
-    oscillator.type = 'sine';
+async function loadNotificationSettings() {
+    notificationSettings = await notificationStore.getSettings(NOTIFICATION_SETTINGS_DEFAULTS);
 
-    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2);
+    document.getElementById('soundEnabled').checked = notificationSettings.soundEnabled;
+    document.querySelectorAll('.notification-setting').forEach(row => {
+        const { sound, muted } = notificationSettings.sounds[row.dataset.type];
+        row.querySelector('.notif-sound').value = sound;
+        row.querySelector('.notif-mute').checked = muted;
+    });
+}
 
-    oscillator.start(audioContext.currentTime);
-    oscillator.stop(audioContext.currentTime + 0.2);
+function saveNotificationSettings() {
+    const sounds = {};
+    document.querySelectorAll('.notification-setting').forEach(row => {
+        sounds[row.dataset.type] = {
+            sound: row.querySelector('.notif-sound').value,
+            muted: row.querySelector('.notif-mute').checked
+        };
+    });
+    notificationSettings = {
+        soundEnabled: document.getElementById('soundEnabled').checked,
+        sounds
+    };
+    notificationStore.saveSettings(notificationSettings).catch(error => {
+        console.warn('Could not save notification settings:', error);
+    });
 }
 
-function updateLiveData() {
-    document.getElementById('temperature').textContent = (20 + Math.random() * 10).toFixed(1) + '°C';
-    document.getElementById('pressure').textContent = (1000 + Math.random() * 50).toFixed(0) + ' hPa';
-    document.getElementById('humidity').textContent = (40 + Math.random() * 40).toFixed(0) + '%';
+function updateLiveData(values) {
+    document.getElementById('temperature').textContent = values.temperature.toFixed(1) + '°C';
+    document.getElementById('pressure').textContent = values.pressure.toFixed(0) + ' hPa';
+    document.getElementById('humidity').textContent = values.humidity.toFixed(0) + '%';
 }
 
+notificationStore.addEventListener('change', (e) => {
+    renderNotificationCounts(e.detail);
+    renderNotifications();
+});
+
+// Whatever was stored before the reload
+Promise.all([
+    loadNotificationSettings(),
+    renderNotifications(),
+    notificationStore.counts().then(renderNotificationCounts)
+]).catch(error => {
+    console.warn('Notification store unavailable:', error);
+});
+
 document.getElementById('startNotif').addEventListener('click', () => {
-    notifWs = new WebSocket(ECHO_SERVER);
+    // A one-way feed is the classic SSE use case: fall back to it where WebSockets are blocked
+    notifWs = new FallbackSocket(endpointUrl('notifications'));
 
     notifWs.onopen = () => {
-        updateNotifStatus('connected', 'Listening for updates');
+        updateNotifStatus('connected', `Listening for updates (${notifWs.transport})`);
         document.getElementById('startNotif').disabled = true;
         document.getElementById('stopNotif').disabled = false;
+    };
+
+    // The stand-in server pushes a scripted feed of both message types
+    notifWs.onmessage = (event) => {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (e) {
+            console.warn('Ignoring non-JSON notification frame:', event.data);
+            return;
+        }
+
+        if (data.type === 'notification') {
+            addNotification(data.title, data.message, data.level);
+        }
 
-        // Simulate live data updates
-        dataInterval = setInterval(updateLiveData, 2000);
+        if (data.type === 'data_update') {
+            updateLiveData(data.values);
+        }
     };
 
     notifWs.onclose = () => {
         updateNotifStatus('disconnected', 'Not listening');
         document.getElementById('startNotif').disabled = false;
         document.getElementById('stopNotif').disabled = true;
-        if (dataInterval) {
-            clearInterval(dataInterval);
-        }
     };
 });
 
@@ -313,164 +707,387 @@ document.getElementById('triggerNotif').addEventListener('click', () => {
 });
 
 document.getElementById('clearNotif').addEventListener('click', () => {
-    notificationsList.innerHTML = '<div class="empty-state">No notifications yet</div>';
-    notifCount = 0;
-    unreadCount = 0;
-    document.getElementById('notifCount').textContent = '0';
-    document.getElementById('unreadCount').textContent = '0';
+    notificationStore.clear();
+});
+
+document.getElementById('markAllRead').addEventListener('click', () => {
+    // Only what the type filter shows
+    notificationStore.markAllRead(notifFilter.value || null);
+});
+
+notifFilter.addEventListener('change', renderNotifications);
+notifUnreadOnly.addEventListener('change', renderNotifications);
+
+document.getElementById('soundEnabled').addEventListener('change', saveNotificationSettings);
+document.querySelectorAll('.notification-setting').forEach(row => {
+    row.querySelector('.notif-mute').addEventListener('change', saveNotificationSettings);
+    row.querySelector('.notif-sound').addEventListener('change', (e) => {
+        saveNotificationSettings();
+        playSound(e.target.value); // preview
+    });
 });
 
 // ========================================
 // Demo 4: Connection Management
 // ========================================
-let ws4 = null;
-let reconnectAttempts = 0;
-let reconnectTimer = null;
-let uptimeInterval = null;
-let connectedTime = null;
+// The reconnect policy lives in ReconnectingSocket (reconnecting-socket.js)
+// and the lifecycle in ConnectionStateMachine (connection-state.js); this
+// section only renders the events they emit.
+let socket4 = null;
+let ticker4 = null;
+let sentCount4 = 0;
+let segment4 = null;
+let stripSegments4 = [];
+
+const MAX_TIMELINE_SEGMENTS = 50;
+const MAX_STRIP_SEGMENTS = 30;
+
+const machine4 = new ConnectionStateMachine();
 
 const stateIndicator = document.getElementById('stateIndicator');
 const wsState = document.getElementById('wsState');
 const readyState = document.getElementById('readyState');
-const eventLog = document.getElementById('eventLog');
+const timeline4 = document.getElementById('timeline4');
+const timelineStrip4 = document.getElementById('timelineStrip4');
+const maxReconnectInput = document.getElementById('maxReconnect');
+const autoReconnectInput = document.getElementById('autoReconnect');
+const transportSelect = document.getElementById('transportSelect');
+const blockWebSocketInput = document.getElementById('blockWebSocket');
+const serverClose4 = document.getElementById('serverClose4');
+
+const STATE_INDICATORS = {
+    idle: 'disconnected',
+    connecting: 'connecting',
+    open: 'connected',
+    closing: 'connecting',
+    backoff: 'connecting',
+    failed: 'failed'
+};
 
-const stateNames = ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'];
+function formatStateDuration(ms) {
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
 
+// Events go under the state they happened in
 function logEvent(message, type = 'info') {
     const eventEl = document.createElement('div');
     eventEl.className = `event-entry ${type}`;
     const time = new Date().toLocaleTimeString();
     eventEl.textContent = `[${time}] ${message}`;
-    eventLog.insertBefore(eventEl, eventLog.firstChild);
+    appendToTimeline(() => segment4.events.appendChild(eventEl));
+}
+
+function addTimelineSegment({ from, to, reason, at, duration }) {
+    if (segment4) {
+        segment4.duration.textContent = formatStateDuration(duration);
+    }
+
+    const segmentEl = document.createElement('div');
+    segmentEl.className = `timeline-segment state-${to}`;
+    segmentEl.innerHTML = `
+        <div class="timeline-transition">
+            <strong class="timeline-state"></strong>
+            <span class="timeline-reason"></span>
+            <span class="timeline-duration"></span>
+        </div>
+        <div class="timeline-events"></div>
+    `;
+    segmentEl.querySelector('.timeline-state').textContent = from ? `${from} → ${to}` : to;
+    segmentEl.querySelector('.timeline-reason').textContent = `[${new Date(at).toLocaleTimeString()}] ${reason}`;
+
+    segment4 = {
+        events: segmentEl.querySelector('.timeline-events'),
+        duration: segmentEl.querySelector('.timeline-duration'),
+        at
+    };
+    appendToTimeline(() => timeline4.appendChild(segmentEl));
+
+    while (timeline4.children.length > MAX_TIMELINE_SEGMENTS) {
+        timeline4.removeChild(timeline4.firstChild);
+    }
 
-    // Keep only last 10 events
-    while (eventLog.children.length > 10) {
-        eventLog.removeChild(eventLog.lastChild);
+    if (stripSegments4.length > 0) {
+        stripSegments4[stripSegments4.length - 1].end = at;
     }
+    stripSegments4.push({ state: to, at, end: null });
+    stripSegments4 = stripSegments4.slice(-MAX_STRIP_SEGMENTS);
+    renderTimelineStrip();
 }
 
-function updateConnectionState() {
-    if (!ws4) {
-        wsState.textContent = 'CLOSED';
-        readyState.textContent = '3';
-        stateIndicator.className = 'state-indicator disconnected';
-        return;
+// Follow new entries unless the user scrolled up to read older ones
+function appendToTimeline(append) {
+    const atBottom = timeline4.scrollHeight - timeline4.scrollTop - timeline4.clientHeight < 20;
+    append();
+    if (atBottom) {
+        timeline4.scrollTop = timeline4.scrollHeight;
     }
+}
 
-    const state = ws4.readyState;
-    wsState.textContent = stateNames[state];
-    readyState.textContent = state;
-    document.getElementById('buffered').textContent = ws4.bufferedAmount;
+// One bar per state, as wide as the time spent in it
+function renderTimelineStrip() {
+    const now = Date.now();
+    timelineStrip4.innerHTML = '';
+    stripSegments4.forEach(({ state, at, end }) => {
+        const duration = (end || now) - at;
+        const bar = document.createElement('div');
+        bar.className = `strip-segment state-${state}`;
+        bar.style.flexGrow = Math.max(duration, 1);
+        bar.title = `${state} ${formatStateDuration(duration)}`;
+        timelineStrip4.appendChild(bar);
+    });
+}
 
-    stateIndicator.className = `state-indicator ${state === WebSocket.OPEN ? 'connected' : state === WebSocket.CONNECTING ? 'connecting' : 'disconnected'}`;
+function renderTelemetry4() {
+    const { transitions, rejected, timeInState, closes } = machine4.telemetry();
+    const total = Object.values(timeInState).reduce((sum, ms) => sum + ms, 0) || 1;
+
+    const times = document.getElementById('stateTimes4');
+    times.innerHTML = '';
+    Object.entries(timeInState).forEach(([state, ms]) => {
+        const row = document.createElement('p');
+        row.className = `state-time state-${state}`;
+        row.innerHTML = `<span class="state-swatch"></span>${state}: <strong></strong>`;
+        row.querySelector('strong').textContent = `${formatStateDuration(ms)} (${Math.round(ms / total * 100)}%)`;
+        times.appendChild(row);
+    });
+
+    document.getElementById('transitions4').textContent = transitions;
+    document.getElementById('rejected4').textContent = rejected;
+    document.getElementById('closes4').textContent = CLOSE_CATEGORIES
+        .map(category => `${category} ${closes[category]}`)
+        .join(' · ');
 }
 
-function attemptReconnect() {
-    const maxAttempts = parseInt(document.getElementById('maxReconnect').value);
-    const autoReconnect = document.getElementById('autoReconnect').checked;
+function updateConnectionState() {
+    const state = socket4 ? socket4.readyState : WebSocket.CLOSED;
 
-    if (!autoReconnect || reconnectAttempts >= maxAttempts) {
-        logEvent(`Max reconnection attempts reached (${maxAttempts})`, 'error');
-        return;
+    wsState.textContent = machine4.state.toUpperCase();
+    readyState.textContent = state;
+    document.getElementById('buffered').textContent = socket4 ? socket4.bufferedAmount : 0;
+    document.getElementById('queued4').textContent = socket4 ? socket4.queuedCount : 0;
+    stateIndicator.className = `state-indicator ${STATE_INDICATORS[machine4.state]}`;
+}
+
+// One ticker for uptime, the retry countdown and the live parts of the
+// timeline, running only while the connection is not at rest
+function updateTimers() {
+    const uptime = socket4 && socket4.openedAt ? Math.floor((Date.now() - socket4.openedAt) / 1000) : 0;
+    document.getElementById('uptime').textContent = `${uptime}s`;
+
+    const retryIn = socket4 && socket4.nextRetryAt ? Math.max(0, socket4.nextRetryAt - Date.now()) : null;
+    document.getElementById('retryTimer').textContent = retryIn === null ? '-' : `${(retryIn / 1000).toFixed(1)}s`;
+
+    document.getElementById('buffered').textContent = socket4 ? socket4.bufferedAmount : 0;
+
+    if (segment4) {
+        segment4.duration.textContent = formatStateDuration(Date.now() - segment4.at);
     }
+    renderTimelineStrip();
+    renderTelemetry4();
+}
 
-    const delay = Math.min(30, Math.pow(2, reconnectAttempts)) * 1000; // Exponential backoff
-    logEvent(`Reconnecting in ${delay / 1000} seconds... (attempt ${reconnectAttempts + 1}/${maxAttempts})`, 'warning');
+function setTicker4(running) {
+    if (running && !ticker4) {
+        ticker4 = setInterval(updateTimers, 250);
+    } else if (!running && ticker4) {
+        clearInterval(ticker4);
+        ticker4 = null;
+    }
+    updateTimers();
+}
 
-    let countdown = delay / 1000;
-    document.getElementById('retryTimer').textContent = `${countdown}s`;
+machine4.addEventListener('transition', (e) => {
+    const { to } = e.detail;
+    addTimelineSegment(e.detail);
+    updateConnectionState();
 
-    reconnectTimer = setInterval(() => {
-        countdown--;
-        document.getElementById('retryTimer').textContent = `${countdown}s`;
+    const atRest = to === CONNECTION_STATES.IDLE || to === CONNECTION_STATES.FAILED;
+    setTicker4(!atRest);
+    document.getElementById('connect4').disabled = !atRest;
+    document.getElementById('disconnect4').disabled = atRest || to === CONNECTION_STATES.CLOSING;
+});
 
-        if (countdown <= 0) {
-            clearInterval(reconnectTimer);
-            document.getElementById('retryTimer').textContent = '-';
-            connect4();
-        }
-    }, 1000);
+machine4.addEventListener('rejected', (e) => {
+    const { from, to, reason } = e.detail;
+    logEvent(`Rejected transition ${from} → ${to} (${reason})`, 'error');
+    renderTelemetry4();
+});
+
+addTimelineSegment({ from: null, to: machine4.state, reason: 'page loaded', at: machine4.enteredAt });
+renderTelemetry4();
+
+// Echo mode, or the disconnect mode when a scripted server close is picked,
+// so each close category can be seen taking its path through the machine
+function serverUrl4(url) {
+    const choice = serverClose4.value;
+    if (!choice) return url;
+    return endpointUrl('disconnect', choice === 'drop' ? { after: 5000 } : { after: 5000, code: choice });
+}
+
+// The stand-in server refuses upgrades for ?block=websocket the way a proxy
+// would, so the downgrade goes through the same failure as on a real network
+function withWebSocketBlock(url) {
+    if (!blockWebSocketInput.checked) return url;
+    const target = new URL(url);
+    target.searchParams.set('block', 'websocket');
+    return target.toString();
 }
 
-function connect4() {
-    if (ws4 && ws4.readyState === WebSocket.OPEN) return;
+// Called by ReconnectingSocket for every connection attempt, so the transport
+// choice and the block take effect on the next reconnect
+function createTransport4(url, protocols) {
+    const choice = transportSelect.value;
+    const fallback = new FallbackSocket(withWebSocketBlock(serverUrl4(url)), protocols, {
+        transports: choice === 'auto' ? TRANSPORTS : [choice],
+        probeInterval: 10000,
+        probeUrl: () => withWebSocketBlock(endpointUrl('echo'))
+    });
 
-    ws4 = new WebSocket(ECHO_SERVER);
+    fallback.addEventListener('transport', (e) => {
+        const { transport, failed } = e.detail;
+        document.getElementById('transport4').textContent = transport;
+        if (failed.length > 0) {
+            logEvent(`Downgraded to ${transport} (${failed.join(', ')} failed)`, 'warning');
+        } else {
+            logEvent(`Transport: ${transport}`);
+        }
+    });
 
-    ws4.onopen = () => {
-        logEvent('Connection established', 'success');
-        reconnectAttempts = 0;
-        document.getElementById('reconnectAttempts').textContent = '0';
-        connectedTime = Date.now();
+    fallback.addEventListener('probe', (e) => {
+        if (e.detail.ok) {
+            logEvent('WebSocket probe succeeded, upgrading', 'success');
+        } else {
+            logEvent(`WebSocket still blocked, staying on ${fallback.transport}`);
+        }
+    });
 
-        uptimeInterval = setInterval(() => {
-            const uptime = Math.floor((Date.now() - connectedTime) / 1000);
-            document.getElementById('uptime').textContent = `${uptime}s`;
-        }, 1000);
+    return fallback;
+}
 
-        updateConnectionState();
-        document.getElementById('connect4').disabled = true;
-        document.getElementById('disconnect4').disabled = false;
-    };
+function createSocket4() {
+    const socket = new ReconnectingSocket(endpointUrl('echo'), {
+        autoReconnect: autoReconnectInput.checked,
+        maxAttempts: parseInt(maxReconnectInput.value),
+        createSocket: createTransport4,
+        // Normal and policy closes stay closed, going-away and abnormal ones reconnect
+        shouldReconnect: ({ code }) => classifyClose(code).reconnect
+    });
+    machine4.attach(socket);
 
-    ws4.onclose = (event) => {
-        logEvent(`Connection closed (code: ${event.code})`, 'warning');
+    socket.addEventListener('statechange', (e) => {
         updateConnectionState();
+        if (e.detail.state === ReconnectingSocket.STATES.WAITING) {
+            logEvent('Retry due, waiting for the network or a visible tab', 'warning');
+        }
+    });
 
-        if (uptimeInterval) {
-            clearInterval(uptimeInterval);
-            document.getElementById('uptime').textContent = '0s';
+    socket.addEventListener('open', () => {
+        document.getElementById('reconnectAttempts').textContent = '0';
+    });
+
+    socket.addEventListener('message', (e) => {
+        logEvent(`Received: ${e.detail.data}`);
+    });
+
+    socket.addEventListener('close', (e) => {
+        document.getElementById('transport4').textContent = '-';
+        if (e.detail.reason) {
+            logEvent(`Close reason: ${e.detail.reason}`);
         }
+    });
 
-        document.getElementById('connect4').disabled = false;
-        document.getElementById('disconnect4').disabled = true;
+    socket.addEventListener('reconnecting', (e) => {
+        const { attempt, delay, maxAttempts } = e.detail;
+        document.getElementById('reconnectAttempts').textContent = attempt;
+        logEvent(`Reconnecting in ${(delay / 1000).toFixed(1)} seconds... (attempt ${attempt}/${maxAttempts})`, 'warning');
+    });
 
-        if (document.getElementById('autoReconnect').checked && !event.wasClean) {
-            reconnectAttempts++;
-            document.getElementById('reconnectAttempts').textContent = reconnectAttempts;
-            attemptReconnect();
+    socket.addEventListener('queue', (e) => {
+        document.getElementById('queued4').textContent = e.detail.size;
+        if (e.detail.dropped > 0) {
+            logEvent(`Queue full, dropped ${e.detail.dropped} oldest message(s)`, 'warning');
         }
-    };
+    });
 
-    ws4.onerror = (error) => {
+    socket.addEventListener('error', (e) => {
         logEvent('Connection error occurred', 'error');
-        console.error('WebSocket error:', error);
-    };
+        console.error('WebSocket error:', e.detail.error);
+    });
 
-    setInterval(updateConnectionState, 100);
+    return socket;
 }
 
 document.getElementById('connect4').addEventListener('click', () => {
-    reconnectAttempts = 0;
-    connect4();
+    if (!socket4) {
+        socket4 = createSocket4();
+    }
+    socket4.connect();
 });
 
 document.getElementById('disconnect4').addEventListener('click', () => {
-    if (ws4) {
-        ws4.close();
-    }
-    if (reconnectTimer) {
-        clearInterval(reconnectTimer);
-        document.getElementById('retryTimer').textContent = '-';
+    if (socket4) {
+        socket4.close(1000, 'User disconnected');
     }
 });
 
 document.getElementById('forceDisconnect').addEventListener('click', () => {
-    if (ws4 && ws4.readyState === WebSocket.OPEN) {
+    if (socket4 && socket4.readyState === WebSocket.OPEN) {
         logEvent('Simulating unexpected disconnect', 'warning');
-        ws4.close();
+        // Close the underlying socket behind the wrapper's back, as a network drop would
+        socket4.ws.close(4000, 'Simulated drop');
+    }
+});
+
+document.getElementById('send4').addEventListener('click', () => {
+    if (!socket4) return;
+
+    sentCount4++;
+    const message = `Message #${sentCount4} at ${new Date().toLocaleTimeString()}`;
+    if (socket4.send(message)) {
+        logEvent(`Sent: ${message}`, 'success');
+    } else {
+        logEvent(`Queued while disconnected: ${message}`);
+    }
+    updateConnectionState();
+});
+
+autoReconnectInput.addEventListener('change', () => {
+    if (socket4) {
+        socket4.options.autoReconnect = autoReconnectInput.checked;
+    }
+});
+
+maxReconnectInput.addEventListener('change', () => {
+    const maxAttempts = parseInt(maxReconnectInput.value);
+    document.getElementById('maxAttempts').textContent = maxAttempts;
+    if (socket4) {
+        socket4.options.maxAttempts = maxAttempts;
     }
 });
 
 // ========================================
 // Demo 5: Binary Data Transfer
 // ========================================
-let binaryWs = null;
+// Runs on ?mode=transfer, which echoes plain frames and implements the
+// chunked upload protocol from file-transfer.js. The upload survives a
+// dropped connection: after the reconnect only the missing chunks are sent.
+// Structured messages go through the codec picked in the demo (codecs.js);
+// echoed frames are decoded with the same codec.
+let binarySocket = null;
+let fileSender = null;
+let downloadUrl = null;
 let bytesSent = 0;
 let bytesReceived = 0;
+const codecBytes = { sent: {}, received: {} };
 
 const binaryStatus = document.getElementById('binaryStatus');
 const binaryLog = document.getElementById('binaryLog');
+const uploadStatus = document.getElementById('uploadStatus');
+const uploadHashes = document.getElementById('uploadHashes');
+const downloadLink = document.getElementById('downloadLink');
+const pauseUploadButton = document.getElementById('pauseUpload');
+const codecSelect = document.getElementById('codecSelect');
+const codecStats = document.getElementById('codecStats');
 
 function updateBinaryStatus(status, text) {
     binaryStatus.className = `connection-status ${status}`;
@@ -481,79 +1098,249 @@ function logBinary(message, type = 'info') {
     const logEl = document.createElement('div');
     logEl.className = `log-entry ${type}`;
     const time = new Date().toLocaleTimeString();
-    logEl.innerHTML = `[${time}] ${message}`;
+    logEl.textContent = `[${time}] ${message}`;
     binaryLog.appendChild(logEl);
     binaryLog.scrollTop = binaryLog.scrollHeight;
 }
 
-document.getElementById('connectBinary').addEventListener('click', () => {
-    binaryWs = new WebSocket(ECHO_SERVER);
-    binaryWs.binaryType = document.getElementById('binaryType').value;
-
-    binaryWs.onopen = () => {
-        updateBinaryStatus('connected', 'Connected');
-        logBinary('✓ Connected to server', 'success');
-        document.getElementById('sendText').disabled = false;
-        document.getElementById('sendArray').disabled = false;
-        document.getElementById('sendBlob').disabled = false;
-        document.getElementById('connectBinary').disabled = true;
-        document.getElementById('disconnectBinary').disabled = false;
-    };
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
 
-    binaryWs.onmessage = (event) => {
-        if (typeof event.data === 'string') {
-            logBinary(`◄ Received text: "${event.data}"`, 'received');
-            bytesReceived += event.data.length;
-        } else if (event.data instanceof ArrayBuffer) {
-            const view = new Uint8Array(event.data);
-            logBinary(`◄ Received ArrayBuffer: ${view.length} bytes`, 'received');
-            bytesReceived += view.length;
-        } else if (event.data instanceof Blob) {
-            logBinary(`◄ Received Blob: ${event.data.size} bytes`, 'received');
-            bytesReceived += event.data.size;
-        }
+function countBytes(direction, size) {
+    if (direction === 'sent') {
+        bytesSent += size;
+        document.getElementById('bytesSent').textContent = bytesSent;
+    } else {
+        bytesReceived += size;
         document.getElementById('bytesReceived').textContent = bytesReceived;
-    };
+    }
+}
 
-    binaryWs.onclose = () => {
-        updateBinaryStatus('disconnected', 'Disconnected');
-        logBinary('✗ Disconnected from server', 'warning');
-        document.getElementById('sendText').disabled = true;
-        document.getElementById('sendArray').disabled = true;
-        document.getElementById('sendBlob').disabled = true;
-        document.getElementById('connectBinary').disabled = false;
-        document.getElementById('disconnectBinary').disabled = true;
-    };
-});
+function codecCell(stat, codecName) {
+    return codecStats.querySelector(`tr[data-stat="${stat}"] td[data-codec="${codecName}"]`);
+}
 
-document.getElementById('disconnectBinary').addEventListener('click', () => {
-    if (binaryWs) {
-        binaryWs.close();
-    }
-});
+function countCodecBytes(direction, codecName, size) {
+    codecBytes[direction][codecName] = (codecBytes[direction][codecName] || 0) + size;
+    codecCell(direction, codecName).textContent = codecBytes[direction][codecName];
+}
 
-document.getElementById('sendText').addEventListener('click', () => {
-    const text = document.getElementById('textData').value;
-    if (binaryWs && binaryWs.readyState === WebSocket.OPEN) {
-        binaryWs.send(text);
-        logBinary(`► Sent text: "${text}" (${text.length} bytes)`, 'sent');
-        bytesSent += text.length;
-        document.getElementById('bytesSent').textContent = bytesSent;
-    }
-});
+// Encode the same value with every codec so the sizes can be compared directly
+function showEncodedSizes(value) {
+    const sizes = Object.values(CODECS).map(codec => ({
+        name: codec.name,
+        size: encodedByteLength(codec.encode(value))
+    }));
+    const smallest = Math.min(...sizes.map(({ size }) => size));
+
+    sizes.forEach(({ name, size }) => {
+        const cell = codecCell('last', name);
+        cell.textContent = size;
+        cell.classList.toggle('smallest', size === smallest);
+    });
+}
 
-document.getElementById('sendArray').addEventListener('click', () => {
-    const text = document.getElementById('arrayData').value;
-    const encoder = new TextEncoder();
-    const buffer = encoder.encode(text).buffer;
+function previewValue(value) {
+    const text = JSON.stringify(value, (key, item) => {
+        if (item instanceof Uint8Array) return `<${item.length} bytes>`;
+        return typeof item === 'bigint' ? item.toString() : item;
+    });
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
 
-    if (binaryWs && binaryWs.readyState === WebSocket.OPEN) {
-        binaryWs.send(buffer);
-        logBinary(`► Sent ArrayBuffer: ${buffer.byteLength} bytes`, 'sent');
-        bytesSent += buffer.byteLength;
-        document.getElementById('bytesSent').textContent = bytesSent;
-    }
-});
+// Echoed frames are decoded with the selected codec; anything it cannot
+// decode (the plain text/ArrayBuffer buttons) is logged as raw data
+async function logReceivedFrame(data) {
+    const codec = getCodec(codecSelect.value);
+    const size = binaryFrameSize(data);
+    const isText = typeof data === 'string';
+
+    if (isText !== !codec.binary) {
+        logRawFrame(data, size);
+        return;
+    }
+
+    try {
+        const value = codec.decode(isText ? data : (data instanceof Blob ? await data.arrayBuffer() : data));
+        countCodecBytes('received', codec.name, size);
+        logBinary(`◄ Received ${codec.label} (${size} bytes): ${previewValue(value)}`, 'received');
+    } catch (error) {
+        logRawFrame(data, size);
+    }
+}
+
+function logRawFrame(data, size) {
+    if (typeof data === 'string') {
+        logBinary(`◄ Received text: "${data}"`, 'received');
+    } else {
+        logBinary(`◄ Received ${data instanceof Blob ? 'Blob' : 'ArrayBuffer'}: ${size} bytes`, 'received');
+    }
+}
+
+function setBinaryControls(open) {
+    ['sendText', 'sendArray', 'sendBlob', 'sendEncoded', 'dropBinary'].forEach(id => {
+        document.getElementById(id).disabled = !open;
+    });
+    const uploading = fileSender && !['complete', 'failed'].includes(fileSender.state);
+    document.getElementById('startUpload').disabled = !open || uploading;
+}
+
+function binaryFrameSize(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data).length;
+    return data instanceof Blob ? data.size : data.byteLength;
+}
+
+function createBinarySocket() {
+    const socket = new ReconnectingSocket(endpointUrl('transfer'), {
+        binaryType: document.getElementById('binaryType').value,
+        maxAttempts: 10
+    });
+
+    socket.addEventListener('statechange', (e) => {
+        const { state } = e.detail;
+        const { STATES } = ReconnectingSocket;
+        if (state === STATES.OPEN) {
+            updateBinaryStatus('connected', 'Connected');
+        } else if (state === STATES.CLOSED) {
+            updateBinaryStatus('disconnected', 'Disconnected');
+        } else {
+            updateBinaryStatus('connecting', 'Reconnecting...');
+        }
+        setBinaryControls(state === STATES.OPEN);
+        document.getElementById('connectBinary').disabled = state !== STATES.CLOSED;
+        document.getElementById('disconnectBinary').disabled = state === STATES.CLOSED;
+    });
+
+    socket.addEventListener('open', (e) => {
+        logBinary(e.detail.attempt > 0 ? '✓ Reconnected to server' : '✓ Connected to server', 'success');
+    });
+
+    socket.addEventListener('close', (e) => {
+        logBinary(`✗ Disconnected from server${e.detail.willReconnect ? ', reconnecting' : ''}`, 'warning');
+    });
+
+    socket.addEventListener('message', (e) => {
+        const { data } = e.detail;
+        countBytes('received', binaryFrameSize(data));
+
+        // Transfer control messages and chunk frames are summarised by the upload UI
+        if (typeof data === 'string') {
+            const control = parseControlMessage(data);
+            if (control && control.id) return;
+        } else if (fileSender && fileSender.state === 'verifying') {
+            return;
+        }
+        logReceivedFrame(data);
+    });
+
+    return socket;
+}
+
+function createFileSender(file) {
+    const sender = new FileSender(binarySocket, file, {
+        chunkSize: Math.max(1, parseInt(document.getElementById('chunkSize').value)) * 1024,
+        window: Math.max(1, parseInt(document.getElementById('chunkWindow').value))
+    });
+
+    sender.addEventListener('statechange', (e) => {
+        const { state } = e.detail;
+        const messages = {
+            hashing: 'Hashing file (SHA-256)...',
+            sending: 'Uploading...',
+            paused: 'Paused',
+            interrupted: 'Connection lost, waiting to resume...',
+            verifying: 'Upload complete, downloading it back to verify...',
+            complete: 'Transfer verified',
+            failed: 'Transfer failed'
+        };
+        uploadStatus.textContent = messages[state];
+        pauseUploadButton.disabled = !['sending', 'paused'].includes(state);
+        pauseUploadButton.textContent = state === 'paused' ? 'Resume' : 'Pause';
+        setBinaryControls(binarySocket.readyState === WebSocket.OPEN);
+
+        if (state === 'sending' || state === 'interrupted' || state === 'paused') {
+            logBinary(`Upload ${state}: "${file.name}"`, state === 'interrupted' ? 'warning' : 'info');
+        }
+    });
+
+    sender.addEventListener('progress', (e) => {
+        const { acked, total, bytes, size } = e.detail;
+        document.getElementById('uploadProgressBar').style.width = `${(acked / total) * 100}%`;
+        uploadStatus.textContent = `${acked}/${total} chunks acknowledged (${formatBytes(bytes)} of ${formatBytes(size)})`;
+    });
+
+    sender.addEventListener('complete', (e) => {
+        const { sha256, serverSha256, receivedSha256, blob, verified } = e.detail;
+        uploadHashes.innerHTML = '';
+        [['Sent', sha256], ['Server', serverSha256], ['Received', receivedSha256]].forEach(([label, hash]) => {
+            const line = document.createElement('div');
+            line.className = hash === sha256 ? 'verified' : 'mismatch';
+            line.textContent = `${label}: ${hash}`;
+            uploadHashes.appendChild(line);
+        });
+
+        if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+        downloadUrl = URL.createObjectURL(blob);
+        downloadLink.href = downloadUrl;
+        downloadLink.download = file.name;
+        downloadLink.hidden = false;
+
+        logBinary(verified
+            ? `✓ "${file.name}" verified: SHA-256 matches after the round trip`
+            : `✗ "${file.name}" SHA-256 mismatch`, verified ? 'success' : 'error');
+    });
+
+    sender.addEventListener('error', (e) => {
+        logBinary(`✗ Transfer error: ${e.detail.message}`, 'error');
+    });
+
+    return sender;
+}
+
+document.getElementById('connectBinary').addEventListener('click', () => {
+    if (!binarySocket) {
+        binarySocket = createBinarySocket();
+    }
+    binarySocket.connect();
+});
+
+document.getElementById('disconnectBinary').addEventListener('click', () => {
+    if (binarySocket) {
+        binarySocket.close(1000, 'User disconnected');
+    }
+});
+
+document.getElementById('dropBinary').addEventListener('click', () => {
+    if (binarySocket && binarySocket.readyState === WebSocket.OPEN) {
+        logBinary('Simulating unexpected disconnect', 'warning');
+        binarySocket.ws.close(4000, 'Simulated drop');
+    }
+});
+
+document.getElementById('sendText').addEventListener('click', () => {
+    const text = document.getElementById('textData').value;
+    if (binarySocket && binarySocket.readyState === WebSocket.OPEN) {
+        binarySocket.send(text);
+        const size = binaryFrameSize(text);
+        logBinary(`► Sent text: "${text}" (${size} bytes)`, 'sent');
+        countBytes('sent', size);
+    }
+});
+
+document.getElementById('sendArray').addEventListener('click', () => {
+    const text = document.getElementById('arrayData').value;
+    const encoder = new TextEncoder();
+    const buffer = encoder.encode(text).buffer;
+
+    if (binarySocket && binarySocket.readyState === WebSocket.OPEN) {
+        binarySocket.send(buffer);
+        logBinary(`► Sent ArrayBuffer: ${buffer.byteLength} bytes`, 'sent');
+        countBytes('sent', buffer.byteLength);
+    }
+});
 
 document.getElementById('sendBlob').addEventListener('click', () => {
     const file = document.getElementById('fileInput').files[0];
@@ -562,11 +1349,62 @@ document.getElementById('sendBlob').addEventListener('click', () => {
         return;
     }
 
-    if (binaryWs && binaryWs.readyState === WebSocket.OPEN) {
-        binaryWs.send(file);
+    if (binarySocket && binarySocket.readyState === WebSocket.OPEN) {
+        binarySocket.send(file);
         logBinary(`► Sent Blob (file): "${file.name}" (${file.size} bytes)`, 'sent');
-        bytesSent += file.size;
-        document.getElementById('bytesSent').textContent = bytesSent;
+        countBytes('sent', file.size);
+    }
+});
+
+document.getElementById('sendEncoded').addEventListener('click', () => {
+    let value;
+    try {
+        value = JSON.parse(document.getElementById('codecPayload').value);
+    } catch (error) {
+        logBinary(`✗ Message is not valid JSON: ${error.message}`, 'error');
+        return;
+    }
+
+    if (binarySocket && binarySocket.readyState === WebSocket.OPEN) {
+        const codec = getCodec(codecSelect.value);
+        const frame = codec.encode(value);
+        const size = encodedByteLength(frame);
+
+        binarySocket.send(frame);
+        logBinary(`► Sent ${codec.label} (${size} bytes): ${previewValue(value)}`, 'sent');
+        countBytes('sent', size);
+        countCodecBytes('sent', codec.name, size);
+        showEncodedSizes(value);
+    }
+});
+
+codecSelect.addEventListener('change', () => {
+    logBinary(`Codec changed to: ${getCodec(codecSelect.value).label}`, 'info');
+});
+
+document.getElementById('startUpload').addEventListener('click', () => {
+    const file = document.getElementById('fileInput').files[0];
+    if (!file) {
+        alert('Please select a file first');
+        return;
+    }
+
+    if (fileSender) fileSender.destroy();
+    downloadLink.hidden = true;
+    uploadHashes.innerHTML = '';
+    document.getElementById('uploadProgressBar').style.width = '0';
+
+    fileSender = createFileSender(file);
+    logBinary(`► Uploading "${file.name}" (${formatBytes(file.size)}) in ${fileSender.totalChunks} chunk(s)`, 'sent');
+    fileSender.start();
+});
+
+pauseUploadButton.addEventListener('click', () => {
+    if (!fileSender) return;
+    if (fileSender.state === 'paused') {
+        fileSender.resume();
+    } else {
+        fileSender.pause();
     }
 });
 
@@ -576,11 +1414,18 @@ document.getElementById('clearBinaryLog').addEventListener('click', () => {
     bytesReceived = 0;
     document.getElementById('bytesSent').textContent = '0';
     document.getElementById('bytesReceived').textContent = '0';
+
+    codecBytes.sent = {};
+    codecBytes.received = {};
+    codecStats.querySelectorAll('td').forEach(cell => {
+        cell.textContent = cell.parentElement.dataset.stat === 'last' ? '-' : '0';
+        cell.classList.remove('smallest');
+    });
 });
 
 document.getElementById('binaryType').addEventListener('change', (e) => {
-    if (binaryWs) {
-        binaryWs.binaryType = e.target.value;
+    if (binarySocket) {
+        binarySocket.binaryType = e.target.value;
         logBinary(`Binary type changed to: ${e.target.value}`, 'info');
     }
 });
@@ -588,16 +1433,38 @@ document.getElementById('binaryType').addEventListener('change', (e) => {
 // ========================================
 // Demo 6: Multiple Connections & Performance
 // ========================================
+// Each connection is a ReconnectingSocket with a Heartbeat (heartbeat.js):
+// latency is the RTT of correlated ping/pong pairs, and a connection that
+// stops answering pings is closed and reconnected. Traffic and latency are
+// accounted by ConnectionStats (connection-stats.js); stats of closed
+// connections are kept until "Reset Stats" so a whole run can be exported.
 const connections = new Map();
+const connectionStats = new Map();
 let connectionCounter = 0;
 let performanceInterval = null;
-let messageStats = { count: 0, lastTime: Date.now() };
 
 const connectionsGrid = document.getElementById('connectionsGrid');
+const LATENCY_EDGES = [1, 2, 5, 10, 20, 50, 100, 200, 500];
 
-function createConnection() {
+function getHeartbeatOptions() {
+    return {
+        interval: parseInt(document.getElementById('hbInterval').value),
+        timeout: parseInt(document.getElementById('hbTimeout').value)
+    };
+}
+
+function setConnectionStatus(connEl, text, className) {
+    connEl.querySelector('.conn-status').textContent = text;
+    connEl.classList.remove('connected', 'reconnecting', 'closed');
+    if (className) {
+        connEl.classList.add(className);
+    }
+}
+
+function createConnection(url = endpointUrl('echo')) {
     const id = ++connectionCounter;
-    const ws = new WebSocket(ECHO_SERVER);
+    const socket = new ReconnectingSocket(url, { maxAttempts: 5 });
+    const heartbeat = new Heartbeat(socket, getHeartbeatOptions());
 
     const connEl = document.createElement('div');
     connEl.className = 'connection-card';
@@ -608,68 +1475,167 @@ function createConnection() {
             <span class="conn-status">Connecting...</span>
         </div>
         <div class="conn-stats">
-            <p>Messages: <strong>0</strong></p>
-            <p>Latency: <strong>-</strong>ms</p>
+            <p>Messages (out / in): <strong class="conn-messages">0 / 0</strong></p>
+            <p>Bytes (out / in): <strong class="conn-bytes">0 B / 0 B</strong></p>
+            <p>RTT p50 / p99: <strong class="conn-rtt">- / -</strong>ms</p>
+            <p>Dead detected: <strong class="conn-timeouts">0</strong></p>
+            <p>Throttled: <strong class="conn-throttled">0</strong>ms</p>
         </div>
+        <svg class="conn-sparkline" viewBox="0 0 100 30" preserveAspectRatio="none"><polyline points=""></polyline></svg>
         <button class="btn-small btn-danger" onclick="closeConnection(${id})">Close</button>
     `;
     connectionsGrid.appendChild(connEl);
 
-    ws.onopen = () => {
-        connEl.querySelector('.conn-status').textContent = 'Open';
-        connEl.classList.add('connected');
-    };
+    const stats = new ConnectionStats();
+    stats.attach(socket);
+    connectionStats.set(id, stats);
 
-    ws.onmessage = (event) => {
-        const conn = connections.get(id);
-        conn.messageCount++;
-        conn.latency = Date.now() - conn.lastPing;
-        connEl.querySelector('.conn-stats strong:first-child').textContent = conn.messageCount;
-        connEl.querySelector('.conn-stats strong:last-child').textContent = conn.latency;
-        messageStats.count++;
+    const conn = {
+        socket: socket,
+        heartbeat: heartbeat,
+        stats: stats,
+        scheduler: new SendScheduler(socket),
+        timeouts: 0
     };
 
-    ws.onclose = () => {
-        connEl.querySelector('.conn-status').textContent = 'Closed';
-        connEl.classList.remove('connected');
-        connEl.classList.add('closed');
-        connections.delete(id);
+    conn.scheduler.addEventListener('pause', (e) => {
+        connEl.querySelector('.conn-throttled').textContent = Math.round(conn.scheduler.throttledTime);
+        if (document.getElementById('logPerformance').checked) {
+            console.log(`Connection #${id}: throttled at ${formatBytes(e.detail.bufferedAmount)} buffered`);
+        }
+    });
+
+    conn.scheduler.addEventListener('resume', () => {
+        connEl.querySelector('.conn-throttled').textContent = Math.round(conn.scheduler.throttledTime);
+    });
+
+    socket.addEventListener('open', () => {
+        setConnectionStatus(connEl, 'Open', 'connected');
         updatePerformanceMetrics();
-    };
+    });
+
+    socket.addEventListener('reconnecting', (e) => {
+        setConnectionStatus(connEl, `Reconnecting (${e.detail.attempt})...`, 'reconnecting');
+    });
+
+    socket.addEventListener('close', (e) => {
+        if (!e.detail.willReconnect) {
+            removeConnection(id, 'Closed');
+        }
+    });
+
+    socket.addEventListener('giveup', () => {
+        removeConnection(id, 'Gave up');
+    });
+
+    heartbeat.addEventListener('rtt', (e) => {
+        stats.recordLatency(e.detail.rtt);
+    });
 
-    connections.set(id, {
-        ws: ws,
-        messageCount: 0,
-        bytesSent: 0,
-        latency: 0,
-        lastPing: Date.now()
+    heartbeat.addEventListener('timeout', (e) => {
+        conn.timeouts++;
+        connEl.querySelector('.conn-timeouts').textContent = conn.timeouts;
+        if (document.getElementById('logPerformance').checked) {
+            console.warn(`Connection #${id}: no pong within ${e.detail.timeout}ms, reconnecting`);
+        }
     });
 
+    connections.set(id, conn);
+    socket.connect();
     updatePerformanceMetrics();
 }
 
-window.closeConnection = function(id) {
+function removeConnection(id, statusText) {
     const conn = connections.get(id);
-    if (conn && conn.ws) {
-        conn.ws.close();
+    if (!conn) return;
+
+    conn.heartbeat.destroy();
+    conn.scheduler.destroy();
+    conn.socket.destroy();
+    conn.stats.detach();
+    connections.delete(id);
+
+    const connEl = document.getElementById(`conn-${id}`);
+    if (connEl) {
+        setConnectionStatus(connEl, statusText, 'closed');
     }
+    updatePerformanceMetrics();
+}
+
+window.closeConnection = function(id) {
+    removeConnection(id, 'Closed');
 };
 
+function formatMs(value) {
+    return value === null ? '-' : value.toFixed(1);
+}
+
+function renderSparkline(svg, values) {
+    const max = Math.max(1, ...values);
+    const step = 100 / Math.max(1, values.length - 1);
+    const points = values.map((value, i) => `${(i * step).toFixed(1)},${(30 - (value / max) * 28).toFixed(1)}`);
+    svg.querySelector('polyline').setAttribute('points', points.join(' '));
+    svg.setAttribute('aria-label', `Peak ${formatBytes(max)}/s over the last ${values.length}s`);
+}
+
+function renderConnectionStats(id, stats, now) {
+    const connEl = document.getElementById(`conn-${id}`);
+    if (!connEl) return;
+
+    const { totals } = stats;
+    connEl.querySelector('.conn-messages').textContent = `${totals.messagesSent} / ${totals.messagesReceived}`;
+    connEl.querySelector('.conn-bytes').textContent = `${formatBytes(totals.bytesSent)} / ${formatBytes(totals.bytesReceived)}`;
+    connEl.querySelector('.conn-rtt').textContent = `${formatMs(stats.latency.percentile(50))} / ${formatMs(stats.latency.percentile(99))}`;
+    renderSparkline(connEl.querySelector('.conn-sparkline'), stats.trafficSeries(now));
+}
+
+function renderLatencyHistogram(histogram) {
+    const groups = histogram.distribution(LATENCY_EDGES);
+    const max = Math.max(1, ...groups);
+    const labels = [...LATENCY_EDGES.map(edge => `≤${edge}`), `>${LATENCY_EDGES[LATENCY_EDGES.length - 1]}`];
+    const container = document.getElementById('latencyHistogram');
+
+    container.innerHTML = '';
+    groups.forEach((count, i) => {
+        const bar = document.createElement('div');
+        bar.className = 'histogram-bar';
+        bar.title = `${labels[i]}ms: ${count} sample(s)`;
+
+        const fill = document.createElement('div');
+        fill.className = 'histogram-bar-fill';
+        fill.style.height = `${(count / max) * 75}%`;
+
+        const label = document.createElement('span');
+        label.textContent = labels[i];
+
+        bar.append(fill, label);
+        container.appendChild(bar);
+    });
+}
+
 function updatePerformanceMetrics() {
-    const activeConns = Array.from(connections.values()).filter(c => c.ws.readyState === WebSocket.OPEN).length;
+    const now = Date.now();
+    const activeConns = Array.from(connections.values()).filter(c => c.socket.readyState === WebSocket.OPEN).length;
     document.getElementById('activeConns').textContent = activeConns;
 
-    const now = Date.now();
-    const elapsed = (now - messageStats.lastTime) / 1000;
-    const msgPerSec = elapsed > 0 ? (messageStats.count / elapsed).toFixed(1) : 0;
-    document.getElementById('msgPerSec').textContent = msgPerSec;
+    connectionStats.forEach((stats, id) => renderConnectionStats(id, stats, now));
+    connections.forEach((conn, id) => {
+        document.querySelector(`#conn-${id} .conn-throttled`).textContent = Math.round(conn.scheduler.throttledTime);
+    });
 
-    const dataPerSec = (msgPerSec * 100 / 1024).toFixed(2); // Assuming ~100 bytes per message
-    document.getElementById('dataPerSec').textContent = dataPerSec;
+    const total = ConnectionStats.aggregate(Array.from(connectionStats.values()));
+    const { rates, totals } = total.snapshot(now);
+    document.getElementById('msgPerSec').textContent =
+        `${rates.messagesSentPerSec.toFixed(1)} / ${rates.messagesReceivedPerSec.toFixed(1)}`;
+    document.getElementById('dataPerSec').textContent =
+        `${formatBytes(Math.round(rates.bytesSentPerSec))} / ${formatBytes(Math.round(rates.bytesReceivedPerSec))}`;
+    document.getElementById('dataTotal').textContent =
+        `${formatBytes(totals.bytesSent)} / ${formatBytes(totals.bytesReceived)}`;
 
-    const latencies = Array.from(connections.values()).map(c => c.latency).filter(l => l > 0);
-    const avgLatency = latencies.length > 0 ? (latencies.reduce((a, b) => a + b, 0) / latencies.length).toFixed(1) : 0;
-    document.getElementById('avgLatency').textContent = avgLatency;
+    const { latency } = total;
+    document.getElementById('latencyPercentiles').textContent =
+        `${formatMs(latency.percentile(50))} / ${formatMs(latency.percentile(95))} / ${formatMs(latency.percentile(99))} ms`;
+    renderLatencyHistogram(latency);
 
     if (performance.memory) {
         const memUsage = (performance.memory.usedJSHeapSize / 1024 / 1024).toFixed(2);
@@ -687,49 +1653,943 @@ document.getElementById('create5Conn').addEventListener('click', () => {
     }
 });
 
+// The server stops answering after 5s but never closes the socket
+document.getElementById('createHalfOpen').addEventListener('click', () => {
+    createConnection(endpointUrl('halfopen', { after: 5000 }));
+});
+
+// The server reads one frame every 2ms, so a stress test fills the send buffer
+document.getElementById('createSlow').addEventListener('click', () => {
+    createConnection(endpointUrl('slow', { delay: 2 }));
+});
+
 document.getElementById('closeAllConn').addEventListener('click', () => {
-    connections.forEach((conn, id) => {
-        if (conn.ws) {
-            conn.ws.close();
-        }
-    });
+    Array.from(connections.keys()).forEach(id => removeConnection(id, 'Closed'));
 });
 
 document.getElementById('sendAllConn').addEventListener('click', () => {
     const message = `Ping from all connections at ${Date.now()}`;
     connections.forEach((conn) => {
-        if (conn.ws && conn.ws.readyState === WebSocket.OPEN) {
-            conn.lastPing = Date.now();
-            conn.ws.send(message);
+        if (conn.socket.readyState === WebSocket.OPEN) {
+            conn.socket.send(message);
         }
     });
 });
 
-document.getElementById('stressTest').addEventListener('click', () => {
-    const logPerf = document.getElementById('logPerformance').checked;
-    const startTime = Date.now();
-    let sent = 0;
+// Stress test: producers go through each connection's SendScheduler, and a message only
+// counts once its echo is back, so the result is delivered throughput
+// rather than how fast send() can copy into the browser's buffer.
+const STRESS_TIMEOUT = 30000;
+const stressResults = document.getElementById('stressResults');
+
+function renderStressResults(run) {
+    const now = performance.now();
+    const deliveryTime = ((run.lastDeliveredAt || now) - run.startedAt) / 1000;
+    const enqueueTime = ((run.sentAt || now) - run.startedAt) / 1000;
+    const throttled = run.connections.map(conn => conn.scheduler.throttledTime);
+    const episodes = run.connections.reduce((sum, conn) => sum + conn.scheduler.episodes, 0);
+    const deliveredRate = deliveryTime > 0 ? run.delivered / deliveryTime : 0;
+
+    const rows = [
+        ['Connections', run.connections.length],
+        ['Delivered', `${run.delivered} / ${run.expected} (sent ${run.sent})`],
+        ['Message size', formatBytes(run.size)],
+        ['All sent after', `${enqueueTime.toFixed(2)}s`],
+        ['Delivered msgs/sec', deliveredRate.toFixed(0)],
+        ['Delivered data/sec', `${formatBytes(Math.round(deliveredRate * run.size))}`],
+        ['Time throttled (max / total)', `${Math.round(Math.max(0, ...throttled))} / ${Math.round(throttled.reduce((a, b) => a + b, 0))}ms`],
+        ['Throttle episodes', episodes]
+    ];
+    if (run.timedOut) {
+        rows.push(['Result', `Timed out after ${STRESS_TIMEOUT / 1000}s`]);
+    }
 
-    connections.forEach((conn) => {
-        if (conn.ws && conn.ws.readyState === WebSocket.OPEN) {
-            for (let i = 0; i < 100; i++) {
-                conn.ws.send(`Stress test message ${i}`);
-                sent++;
-            }
+    stressResults.hidden = false;
+    stressResults.classList.toggle('running', !run.finished);
+    stressResults.innerHTML = '<h5>Stress Test</h5>';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('p');
+        row.append(`${label}: `);
+        const strong = document.createElement('strong');
+        strong.textContent = value;
+        row.appendChild(strong);
+        stressResults.appendChild(row);
+    });
+}
+
+async function runStressTest(openConnections, count, size) {
+    const run = {
+        id: Date.now().toString(36),
+        connections: openConnections,
+        expected: count * openConnections.length,
+        size,
+        sent: 0,
+        delivered: 0,
+        startedAt: performance.now(),
+        sentAt: null,
+        lastDeliveredAt: null,
+        finished: false,
+        timedOut: false
+    };
+
+    // Fixed-size ASCII payloads tagged with the run id, so only this run's echoes count
+    const prefix = `stress:${run.id}:`;
+    const filler = 'x'.repeat(Math.max(0, size - prefix.length - 8));
+    const payload = (i) => `${prefix}${String(i).padStart(7, '0')}:${filler}`;
+
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    const onMessage = (e) => {
+        if (typeof e.detail.data !== 'string' || !e.detail.data.startsWith(prefix)) return;
+        run.delivered++;
+        run.lastDeliveredAt = performance.now();
+        if (run.delivered === run.expected) finish();
+    };
+
+    openConnections.forEach(conn => {
+        conn.scheduler.resetStats();
+        conn.socket.addEventListener('message', onMessage);
+    });
+    const timeout = setTimeout(() => {
+        run.timedOut = true;
+        finish();
+    }, STRESS_TIMEOUT);
+    const ticker = setInterval(() => renderStressResults(run), 250);
+
+    Promise.allSettled(openConnections.map(async (conn) => {
+        for (let i = 0; i < count; i++) {
+            await conn.scheduler.send(payload(i));
+            run.sent++;
         }
+    })).then(() => {
+        run.sentAt = performance.now();
     });
 
-    const duration = Date.now() - startTime;
-    if (logPerf) {
-        console.log(`Stress test: Sent ${sent} messages in ${duration}ms (${(sent / duration * 1000).toFixed(0)} msg/s)`);
+    await done;
+    clearTimeout(timeout);
+    clearInterval(ticker);
+    openConnections.forEach(conn => conn.socket.removeEventListener('message', onMessage));
+    run.finished = true;
+    renderStressResults(run);
+    return run;
+}
+
+document.getElementById('stressTest').addEventListener('click', async () => {
+    const openConnections = Array.from(connections.values()).filter(conn => conn.socket.readyState === WebSocket.OPEN);
+    if (openConnections.length === 0) {
+        alert('Create at least one connection first');
+        return;
     }
+
+    const count = Math.max(1, parseInt(document.getElementById('stressCount').value));
+    const size = Math.max(16, parseInt(document.getElementById('stressSize').value));
+    const button = document.getElementById('stressTest');
+
+    button.disabled = true;
+    const run = await runStressTest(openConnections, count, size);
+    button.disabled = false;
+
+    if (document.getElementById('logPerformance').checked) {
+        const seconds = ((run.lastDeliveredAt || performance.now()) - run.startedAt) / 1000;
+        console.log(`Stress test: ${run.delivered}/${run.expected} messages delivered in ${seconds.toFixed(2)}s ` +
+            `(${(run.delivered / seconds).toFixed(0)} msg/s)${run.timedOut ? ', timed out' : ''}`);
+    }
+});
+
+function collectStatsReport() {
+    const now = Date.now();
+    const ids = Array.from(connectionStats.keys());
+    return {
+        exportedAt: new Date(now).toISOString(),
+        endpoint: getEndpoint(),
+        rateWindowMs: CONNECTION_STATS_DEFAULTS.rateWindow,
+        aggregate: ConnectionStats.aggregate(Array.from(connectionStats.values())).snapshot(now),
+        connections: ids.map(id => ({
+            id: String(id),
+            open: connections.has(id),
+            ...connectionStats.get(id).snapshot(now)
+        }))
+    };
+}
+
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+document.getElementById('resetStats').addEventListener('click', () => {
+    Array.from(connectionStats.keys()).forEach(id => {
+        if (connections.has(id)) {
+            connectionStats.get(id).reset();
+        } else {
+            connectionStats.delete(id);
+        }
+    });
+    updatePerformanceMetrics();
+});
+
+document.getElementById('exportStatsJson').addEventListener('click', () => {
+    const report = collectStatsReport();
+    downloadFile(`websocket-stats-${Date.now()}.json`, JSON.stringify(report, null, 2), 'application/json');
+});
+
+document.getElementById('exportStatsCsv').addEventListener('click', () => {
+    const report = collectStatsReport();
+    const rows = [...report.connections, { id: 'aggregate', ...report.aggregate }];
+    downloadFile(`websocket-stats-${Date.now()}.csv`, statsToCsv(rows), 'text/csv');
 });
 
-// Update Performance metrics periodically
+// Rates come from rolling windows, so refreshing never resets anything
 performanceInterval = setInterval(() => {
-    if (connections.size > 0) {
+    if (connectionStats.size > 0) {
         updatePerformanceMetrics();
-        messageStats.count = 0;
-        messageStats.lastTime = Date.now();
     }
 }, 1000);
+
+// ========================================
+// Demo 7: Request/Response (JSON-RPC)
+// ========================================
+let rpcSocket = null;
+let rpcClient = null;
+let rpcController = new AbortController();
+let rpcSubscription = null;
+let rpcNotificationCount = 0;
+
+const rpcStatus = document.getElementById('rpcStatus');
+const rpcLog = document.getElementById('rpcLog');
+
+function updateRpcStatus(status, text) {
+    rpcStatus.className = `connection-status ${status}`;
+    rpcStatus.querySelector('.status-text').textContent = text;
+}
+
+function logRpc(message, type = 'info') {
+    const logEl = document.createElement('div');
+    logEl.className = `log-entry ${type}`;
+    const time = new Date().toLocaleTimeString();
+    logEl.textContent = `[${time}] ${message}`;
+    rpcLog.appendChild(logEl);
+    rpcLog.scrollTop = rpcLog.scrollHeight;
+}
+
+function setRpcButtons(connected) {
+    document.getElementById('rpcConnect').disabled = connected;
+    document.getElementById('rpcDisconnect').disabled = !connected;
+    document.getElementById('rpcCall').disabled = !connected;
+    document.getElementById('rpcCancel').disabled = !connected;
+    document.getElementById('rpcBatch').disabled = !connected;
+    document.getElementById('rpcSubscribe').disabled = !connected;
+}
+
+function describeRpcError(error) {
+    if (error instanceof RpcError) {
+        const data = error.data !== undefined ? ` ${JSON.stringify(error.data)}` : '';
+        return `RpcError ${error.code}: ${error.message}${data}`;
+    }
+    return `${error.name}: ${error.message}`;
+}
+
+function resetRpcSubscription() {
+    rpcSubscription = null;
+    document.getElementById('rpcSubscribe').textContent = 'Subscribe to Ticker';
+}
+
+document.getElementById('rpcConnect').addEventListener('click', () => {
+    rpcSocket = new ReconnectingSocket(endpointUrl('rpc'), { maxAttempts: 3 });
+    rpcClient = new RpcClient(rpcSocket);
+
+    rpcSocket.addEventListener('open', () => {
+        updateRpcStatus('connected', 'Connected');
+        logRpc('✓ Connected to JSON-RPC server', 'success');
+        setRpcButtons(true);
+    });
+
+    rpcSocket.addEventListener('reconnecting', () => {
+        updateRpcStatus('connecting', 'Reconnecting...');
+    });
+
+    rpcSocket.addEventListener('close', (e) => {
+        // Subscriptions live on the server connection and die with it
+        resetRpcSubscription();
+        if (!e.detail.willReconnect) {
+            updateRpcStatus('disconnected', 'Disconnected');
+            logRpc('✗ Disconnected from server', 'warning');
+            setRpcButtons(false);
+        }
+    });
+
+    rpcSocket.addEventListener('giveup', (e) => {
+        resetRpcSubscription();
+        updateRpcStatus('disconnected', 'Disconnected');
+        logRpc(`✗ Gave up reconnecting after ${e.detail.attempts} attempts`, 'error');
+        setRpcButtons(false);
+    });
+
+    rpcClient.addEventListener('pending', (e) => {
+        document.getElementById('rpcPending').textContent = e.detail.count;
+    });
+
+    rpcClient.addEventListener('notification', (e) => {
+        const { method, params } = e.detail;
+        rpcNotificationCount++;
+        document.getElementById('rpcNotifications').textContent = rpcNotificationCount;
+        logRpc(`◄ notification ${method} ${JSON.stringify(params)}`, 'received');
+    });
+
+    updateRpcStatus('connecting', 'Connecting...');
+    rpcSocket.connect();
+});
+
+document.getElementById('rpcDisconnect').addEventListener('click', () => {
+    if (rpcClient) {
+        rpcClient.destroy();
+        rpcSocket.destroy();
+        rpcClient = null;
+        rpcSocket = null;
+    }
+    resetRpcSubscription();
+    updateRpcStatus('disconnected', 'Disconnected');
+    setRpcButtons(false);
+});
+
+document.getElementById('rpcCall').addEventListener('click', async () => {
+    const method = document.getElementById('rpcMethod').value;
+    const rawParams = document.getElementById('rpcParams').value.trim();
+    const timeout = parseInt(document.getElementById('rpcTimeout').value) || 0;
+
+    let params;
+    try {
+        params = rawParams ? JSON.parse(rawParams) : undefined;
+    } catch (e) {
+        alert('Params must be valid JSON, e.g. [2, 3] or {"reason": "test"}');
+        return;
+    }
+
+    const startTime = performance.now();
+    logRpc(`► ${method}(${rawParams})`, 'sent');
+    try {
+        const result = await rpcClient.call(method, params, { signal: rpcController.signal, timeout });
+        logRpc(`◄ ${method} → ${JSON.stringify(result)} (${(performance.now() - startTime).toFixed(1)}ms)`, 'received');
+    } catch (error) {
+        logRpc(`✗ ${method} → ${describeRpcError(error)}`, 'error');
+    }
+});
+
+// Every call shares one controller, so aborting it cancels all of them
+document.getElementById('rpcCancel').addEventListener('click', () => {
+    const pending = rpcClient.pendingCount;
+    rpcController.abort(new DOMException('Cancelled by user', 'AbortError'));
+    rpcController = new AbortController();
+    logRpc(`Cancelled ${pending} pending call(s)`, 'warning');
+});
+
+document.getElementById('rpcBatch').addEventListener('click', async () => {
+    const calls = [
+        { method: 'add', params: [1, 2] },
+        { method: 'time' },
+        { method: 'echo', params: { note: 'notifications get no response' }, notification: true },
+        { method: 'fail', params: { reason: 'part of a batch' } },
+        { method: 'doesNotExist' }
+    ];
+
+    logRpc(`► batch of ${calls.length} (${calls.map(c => c.method).join(', ')})`, 'sent');
+    const results = await rpcClient.batch(calls, { signal: rpcController.signal });
+
+    const answered = calls.filter(c => !c.notification);
+    results.forEach((outcome, index) => {
+        const method = answered[index].method;
+        if (outcome.status === 'fulfilled') {
+            logRpc(`◄ [${index}] ${method} → ${JSON.stringify(outcome.value)}`, 'received');
+        } else {
+            logRpc(`✗ [${index}] ${method} → ${describeRpcError(outcome.reason)}`, 'error');
+        }
+    });
+});
+
+document.getElementById('rpcSubscribe').addEventListener('click', async () => {
+    try {
+        if (rpcSubscription) {
+            await rpcClient.call('unsubscribe', { subscription: rpcSubscription });
+            logRpc(`Unsubscribed from ${rpcSubscription}`, 'info');
+            resetRpcSubscription();
+        } else {
+            const { subscription } = await rpcClient.call('subscribe', { interval: 1000 });
+            rpcSubscription = subscription;
+            document.getElementById('rpcSubscribe').textContent = 'Unsubscribe';
+            logRpc(`Subscribed to ${subscription}`, 'info');
+        }
+    } catch (error) {
+        logRpc(`✗ ${describeRpcError(error)}`, 'error');
+    }
+});
+
+document.getElementById('clearRpcLog').addEventListener('click', () => {
+    rpcLog.innerHTML = '';
+    rpcNotificationCount = 0;
+    document.getElementById('rpcNotifications').textContent = '0';
+});
+
+// ========================================
+// Demo 8: Record & Replay
+// ========================================
+const trafficRecorder = new TrafficRecorder();
+let trafficReplay = null;
+let recordedSession = null;
+
+const recorderStatus = document.getElementById('recorderStatus');
+const sessionLog = document.getElementById('sessionLog');
+
+function updateRecorderStatus(status, text) {
+    recorderStatus.className = `connection-status ${status}`;
+    recorderStatus.querySelector('.status-text').textContent = text;
+}
+
+function logSession(message, type = 'info') {
+    const logEl = document.createElement('div');
+    logEl.className = `log-entry ${type}`;
+    const time = new Date().toLocaleTimeString();
+    logEl.textContent = `[${time}] ${message}`;
+    sessionLog.appendChild(logEl);
+    sessionLog.scrollTop = sessionLog.scrollHeight;
+}
+
+function describeSessionEntry(entry) {
+    switch (entry.type) {
+        case 'open':
+            return `#${entry.conn} open${entry.protocol ? ` (${entry.protocol})` : ''}`;
+        case 'close':
+            return `#${entry.conn} close ${entry.code}${entry.reason ? ` "${entry.reason}"` : ''}`;
+        default:
+            return `#${entry.conn} ${entry.type}`;
+    }
+}
+
+function showSessionSummary(session) {
+    const last = session.events[session.events.length - 1];
+    document.getElementById('sessionConnections').textContent = session.connections.length;
+    document.getElementById('sessionEvents').textContent = session.events.length;
+    document.getElementById('sessionDuration').textContent = `${((last ? last.t : 0) / 1000).toFixed(1)}s`;
+}
+
+function setRecorderButtons() {
+    const recording = trafficRecorder.recording;
+    const replaying = trafficReplay !== null && trafficReplay.active;
+    document.getElementById('startRecording').disabled = recording || replaying;
+    document.getElementById('stopRecording').disabled = !recording;
+    document.getElementById('exportSession').disabled = recording || !recordedSession;
+    document.getElementById('startReplay').disabled = recording || replaying || !recordedSession;
+    document.getElementById('stopReplay').disabled = !replaying;
+    document.getElementById('sessionFile').disabled = recording || replaying;
+}
+
+trafficRecorder.addEventListener('record', (e) => {
+    const { entry, count } = e.detail;
+    document.getElementById('sessionEvents').textContent = count;
+    document.getElementById('sessionConnections').textContent = trafficRecorder.connectionCount;
+    document.getElementById('sessionDuration').textContent = `${(entry.t / 1000).toFixed(1)}s`;
+
+    // Frames are only counted; the log keeps to the connection lifecycle
+    if (entry.type !== 'message' && entry.type !== 'send') {
+        logSession(describeSessionEntry(entry), entry.type === 'error' ? 'error' : 'info');
+    }
+});
+
+document.getElementById('startRecording').addEventListener('click', () => {
+    trafficRecorder.start();
+    recordedSession = null;
+    sessionLog.innerHTML = '';
+    showSessionSummary({ connections: [], events: [] });
+    updateRecorderStatus('connected', 'Recording new connections');
+    logSession('Recording: connections opened from now on are captured');
+    setRecorderButtons();
+});
+
+document.getElementById('stopRecording').addEventListener('click', async () => {
+    trafficRecorder.stop();
+    updateRecorderStatus('disconnected', 'Idle');
+    document.getElementById('stopRecording').disabled = true;
+
+    recordedSession = await trafficRecorder.export();
+    showSessionSummary(recordedSession);
+    logSession(`Recorded ${recordedSession.events.length} events on ${recordedSession.connections.length} connections`);
+    setRecorderButtons();
+});
+
+document.getElementById('exportSession').addEventListener('click', () => {
+    const stamp = recordedSession.recordedAt.replace(/[:.]/g, '-');
+    downloadFile(`websocket-session-${stamp}.json`, JSON.stringify(recordedSession, null, 2), 'application/json');
+});
+
+document.getElementById('sessionFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        recordedSession = TrafficReplay.parse(await file.text());
+        showSessionSummary(recordedSession);
+        logSession(`Loaded ${file.name}: ${recordedSession.events.length} events recorded ${recordedSession.recordedAt}`);
+    } catch (error) {
+        logSession(`Cannot load ${file.name}: ${error.message}`, 'error');
+    }
+    e.target.value = '';
+    setRecorderButtons();
+});
+
+document.getElementById('startReplay').addEventListener('click', () => {
+    const speed = Number(document.getElementById('replaySpeed').value);
+    trafficReplay = new TrafficReplay(recordedSession, { speed });
+
+    trafficReplay.addEventListener('connection', (e) => {
+        const { url, recordedId } = e.detail;
+        if (recordedId === null) {
+            logSession(`No recorded connection left for ${url}`, 'error');
+        } else {
+            logSession(`Replaying #${recordedId} into ${url}`, 'received');
+        }
+    });
+
+    trafficReplay.addEventListener('event', (e) => {
+        const { entry } = e.detail;
+        if (entry.type !== 'message') {
+            logSession(describeSessionEntry(entry), 'received');
+        }
+    });
+
+    trafficReplay.addEventListener('done', () => {
+        logSession('Replay finished');
+        updateRecorderStatus('connecting', 'Replay finished (mock still installed)');
+    });
+
+    trafficReplay.install();
+    const label = speed > 0 ? `${speed}x` : 'instant';
+    updateRecorderStatus('connecting', `Replaying at ${label}`);
+    logSession(`Replay installed (${label}): connect a demo whose traffic was recorded`);
+    setRecorderButtons();
+});
+
+document.getElementById('stopReplay').addEventListener('click', () => {
+    trafficReplay.uninstall();
+    trafficReplay = null;
+    updateRecorderStatus('disconnected', 'Idle');
+    logSession('Replay stopped: real WebSocket restored');
+    setRecorderButtons();
+});
+
+// ========================================
+// Demo 9: Shared Connection Across Tabs
+// ========================================
+const SHARED_MODE_STORAGE_KEY = 'websocket-demo-shared-mode';
+const sharedTabName = `Tab ${Math.random().toString(36).slice(2, 6)}`;
+
+let sharedConnection = null;
+let sharedEcho = null;
+let sharedFeed = null;
+
+const sharedStatus = document.getElementById('sharedStatus');
+const sharedLog = document.getElementById('sharedLog');
+const sharedModeSelect = document.getElementById('sharedModeSelect');
+
+sharedModeSelect.value = localStorage.getItem(SHARED_MODE_STORAGE_KEY) || 'auto';
+document.getElementById('sharedTabName').textContent = sharedTabName;
+
+function updateSharedStatus(status, text) {
+    sharedStatus.className = `connection-status ${status}`;
+    sharedStatus.querySelector('.status-text').textContent = text;
+}
+
+function logShared(message, type = 'info') {
+    const logEl = document.createElement('div');
+    logEl.className = `log-entry ${type}`;
+    const time = new Date().toLocaleTimeString();
+    logEl.textContent = `[${time}] ${message}`;
+    sharedLog.appendChild(logEl);
+    sharedLog.scrollTop = sharedLog.scrollHeight;
+}
+
+function setSharedButtons(connected) {
+    document.getElementById('sharedConnect').disabled = connected;
+    document.getElementById('sharedDisconnect').disabled = !connected;
+    document.getElementById('sharedSend').disabled = !connected;
+    document.getElementById('sharedFeed').disabled = !connected;
+    sharedModeSelect.disabled = connected;
+}
+
+function renderSharedRole() {
+    if (!sharedConnection) {
+        document.getElementById('sharedMode').textContent = '-';
+    } else if (sharedConnection.mode === 'shared-worker') {
+        document.getElementById('sharedMode').textContent = 'SharedWorker';
+    } else {
+        const role = sharedConnection.isLeader ? 'leader, owns the sockets' : 'follower';
+        document.getElementById('sharedMode').textContent = `Leader election (${role})`;
+    }
+}
+
+function renderSharedStats(stats) {
+    document.getElementById('sharedTabs').textContent = stats ? stats.clients : 0;
+    document.getElementById('sharedSockets').textContent = stats && stats.endpoints.length > 0
+        ? stats.endpoints.map(({ url, state, subscribers }) => {
+            const mode = new URL(url).searchParams.get('mode');
+            return `${mode} (${state}, ${subscribers} subscriber${subscribers === 1 ? '' : 's'})`;
+        }).join(', ')
+        : 'none';
+}
+
+function createSharedEcho() {
+    const echo = sharedConnection.subscribe(endpointUrl('echo'));
+
+    echo.addEventListener('statechange', (e) => {
+        const { state } = e.detail;
+        if (state === ReconnectingSocket.STATES.OPEN) {
+            updateSharedStatus('connected', 'Shared echo socket open');
+        } else if (state === ReconnectingSocket.STATES.CLOSED) {
+            updateSharedStatus('disconnected', 'Shared echo socket closed');
+        } else {
+            updateSharedStatus('connecting', `Shared echo socket ${state}`);
+        }
+    });
+
+    echo.addEventListener('message', (e) => {
+        let message;
+        try {
+            message = JSON.parse(e.detail.data);
+        } catch (error) {
+            return; // not one of this demo's tab messages
+        }
+        if (message.type === 'tab-message') {
+            logShared(`${message.from}: ${message.text}`, message.from === sharedTabName ? 'sent' : 'received');
+        }
+    });
+
+    echo.addEventListener('close', (e) => {
+        if (e.detail.willReconnect) {
+            logShared(`Shared socket dropped (code: ${e.detail.code}), reconnecting`, 'error');
+        }
+    });
+
+    return echo;
+}
+
+function createSharedFeed() {
+    const feed = sharedConnection.subscribe(endpointUrl('notifications', { interval: 3000 }));
+
+    feed.addEventListener('message', (e) => {
+        try {
+            const message = JSON.parse(e.detail.data);
+            if (message.type === 'notification') {
+                logShared(`Feed: ${message.title} - ${message.message}`, 'received');
+            }
+        } catch (error) {
+            console.warn('Ignoring non-JSON feed frame:', e.detail.data);
+        }
+    });
+
+    return feed;
+}
+
+document.getElementById('sharedConnect').addEventListener('click', () => {
+    const mode = sharedModeSelect.value === 'auto' ? null : sharedModeSelect.value;
+    sharedConnection = new SharedConnection({ mode });
+
+    sharedConnection.addEventListener('role', (e) => {
+        renderSharedRole();
+        logShared(e.detail.leader ? 'Elected leader: this tab now owns the sockets' : 'Following the leader tab');
+    });
+    sharedConnection.addEventListener('stats', (e) => renderSharedStats(e.detail));
+
+    sharedEcho = createSharedEcho();
+    renderSharedRole();
+    setSharedButtons(true);
+    updateSharedStatus('connecting', 'Joining...');
+    logShared(`${sharedTabName} joined via ${sharedConnection.mode}`);
+});
+
+document.getElementById('sharedDisconnect').addEventListener('click', () => {
+    sharedConnection.destroy();
+    sharedConnection = null;
+    sharedEcho = null;
+    sharedFeed = null;
+
+    document.getElementById('sharedFeed').textContent = 'Subscribe to Feed';
+    renderSharedRole();
+    renderSharedStats(null);
+    setSharedButtons(false);
+    updateSharedStatus('disconnected', 'Not connected');
+    logShared(`${sharedTabName} left; the sockets close once no tab uses them`);
+});
+
+document.getElementById('sharedSend').addEventListener('click', () => {
+    const input = document.getElementById('sharedMessage');
+    const text = input.value.trim();
+    if (!text) return;
+
+    const message = JSON.stringify({ type: 'tab-message', from: sharedTabName, text });
+    if (sharedEcho.send(message)) {
+        input.value = '';
+    } else {
+        logShared('No leader right now (election in progress), try again', 'error');
+    }
+});
+
+document.getElementById('sharedMessage').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        document.getElementById('sharedSend').click();
+    }
+});
+
+document.getElementById('sharedFeed').addEventListener('click', () => {
+    const button = document.getElementById('sharedFeed');
+    if (sharedFeed) {
+        sharedFeed.close();
+        sharedFeed = null;
+        button.textContent = 'Subscribe to Feed';
+    } else {
+        sharedFeed = createSharedFeed();
+        button.textContent = 'Unsubscribe from Feed';
+    }
+});
+
+sharedModeSelect.addEventListener('change', () => {
+    localStorage.setItem(SHARED_MODE_STORAGE_KEY, sharedModeSelect.value);
+});
+
+document.getElementById('openSharedTab').addEventListener('click', () => {
+    window.open(location.href, '_blank');
+});
+
+// ========================================
+// Demo 10: Authenticated Connection
+// ========================================
+// Tokens and the authenticated handshake live in auth-socket.js; the server
+// side (token endpoint, expiry, replay) in server/auth.js.
+let authSocket = null;
+let authTokens = null;
+let authTicker = null;
+let authLastEventId = null;
+let authUser = null;
+let authTokenCount = 0;
+let authReplayed = 0;
+let authDuplicates = 0;
+
+const authStatus = document.getElementById('authStatus');
+const authLog = document.getElementById('authLog');
+const authMethodSelect = document.getElementById('authMethod');
+const authTtlInput = document.getElementById('authTtl');
+const authUserInput = document.getElementById('authUser');
+
+function updateAuthStatus(status, text) {
+    authStatus.className = `connection-status ${status}`;
+    authStatus.querySelector('.status-text').textContent = text;
+}
+
+function logAuth(message, type = 'info') {
+    const logEl = document.createElement('div');
+    logEl.className = `log-entry ${type}`;
+    const time = new Date().toLocaleTimeString();
+    logEl.textContent = `[${time}] ${message}`;
+    authLog.appendChild(logEl);
+    authLog.scrollTop = authLog.scrollHeight;
+}
+
+function setAuthButtons(connected) {
+    document.getElementById('authConnect').disabled = connected;
+    document.getElementById('authDisconnect').disabled = !connected;
+    document.getElementById('authSend').disabled = !connected;
+    document.getElementById('authDrop').disabled = !connected;
+    document.getElementById('authCorrupt').disabled = !connected;
+    authUserInput.disabled = connected;
+}
+
+function renderAuthStats() {
+    const current = authTokens && authTokens.current;
+    document.getElementById('authExpiry').textContent = current
+        ? `${(Math.max(0, current.expiresAt - Date.now()) / 1000).toFixed(1)}s`
+        : '-';
+    document.getElementById('authTokens').textContent = authTokenCount;
+    document.getElementById('authLastEvent').textContent = authLastEventId === null ? '-' : authLastEventId;
+    document.getElementById('authReplayed').textContent = authReplayed;
+    document.getElementById('authDuplicates').textContent = authDuplicates;
+}
+
+// The socket is kept until the next connect so its listeners can still report the close
+function stopAuth() {
+    clearInterval(authTicker);
+    authTicker = null;
+    document.getElementById('authUserName').textContent = '-';
+    setAuthButtons(false);
+    renderAuthStats();
+}
+
+function describeAuthEvent({ id, data }) {
+    return data.kind === 'message' ? `#${id} message: ${data.text}` : `#${id} tick: ${data.value}`;
+}
+
+function createAuthSocket() {
+    authTokens = new TokenProvider(tokenUrlFor(getEndpoint()), {
+        user: authUser,
+        ttl: parseInt(authTtlInput.value)
+    });
+
+    authTokens.addEventListener('token', (e) => {
+        authTokenCount++;
+        const seconds = Math.round((e.detail.expiresAt - Date.now()) / 1000);
+        logAuth(`New token for ${e.detail.user}, valid for ${seconds}s`, 'sent');
+        renderAuthStats();
+    });
+
+    const socket = new ReconnectingSocket(endpointUrl('auth', { interval: 1000 }), {
+        maxAttempts: 10,
+        baseDelay: 2000,
+        // Read on every attempt, so a new method applies from the next reconnect
+        createSocket: (url, protocols) => new AuthenticatedSocket(url, protocols, {
+            tokens: authTokens,
+            method: authMethodSelect.value,
+            lastEventId: () => authLastEventId
+        }),
+        // 4401 token expired reconnects with a new token, 4403 token refused does not
+        shouldReconnect: ({ code }) => classifyClose(code).reconnect
+    });
+
+    socket.addEventListener('statechange', (e) => {
+        const { state } = e.detail;
+        if (state === ReconnectingSocket.STATES.CONNECTING) {
+            updateAuthStatus('connecting', 'Fetching token and authenticating...');
+        } else if (state === ReconnectingSocket.STATES.RECONNECTING || state === ReconnectingSocket.STATES.WAITING) {
+            updateAuthStatus('connecting', 'Reconnecting...');
+        }
+    });
+
+    socket.addEventListener('open', () => {
+        const { user, replayed, gap } = socket.ws.session;
+        document.getElementById('authUserName').textContent = user;
+        updateAuthStatus('connected', `Authenticated as ${user} (${authMethodSelect.value})`);
+
+        authReplayed += replayed;
+        if (authLastEventId === null) {
+            logAuth(`Authenticated as ${user}, starting from live events`, 'received');
+        } else {
+            logAuth(`Resumed after #${authLastEventId}: ${replayed} missed event(s) replayed`, 'received');
+        }
+        if (gap) {
+            logAuth('Some events were older than the server keeps and are lost', 'error');
+        }
+        renderAuthStats();
+    });
+
+    socket.addEventListener('message', (e) => {
+        let event;
+        try {
+            event = JSON.parse(e.detail.data);
+        } catch (error) {
+            return;
+        }
+        if (event.type !== 'event') return;
+
+        // At-least-once: anything at or below the resume point was seen already
+        if (authLastEventId !== null && event.id <= authLastEventId) {
+            authDuplicates++;
+        } else {
+            authLastEventId = event.id;
+            logAuth(describeAuthEvent(event), event.data.kind === 'message' ? 'sent' : 'info');
+        }
+        renderAuthStats();
+    });
+
+    socket.addEventListener('close', (e) => {
+        const { code, reason, willReconnect } = e.detail;
+        if (code === AUTH_CLOSE_CODES.TOKEN_EXPIRED) {
+            logAuth('Server closed: token expired (4401), refreshing and resuming', 'error');
+        } else if (code === AUTH_CLOSE_CODES.TOKEN_INVALID) {
+            logAuth(`Server refused the token (4403${reason ? `, ${reason}` : ''}), not reconnecting`, 'error');
+        } else {
+            logAuth(`Closed (code: ${code}${reason ? `, ${reason}` : ''})`, willReconnect ? 'error' : 'info');
+        }
+        if (!willReconnect) {
+            stopAuth();
+            updateAuthStatus('disconnected', code === AUTH_CLOSE_CODES.TOKEN_INVALID ? 'Token refused' : 'Not connected');
+        }
+    });
+
+    socket.addEventListener('giveup', (e) => {
+        logAuth(`Gave up after ${e.detail.attempts} attempts`, 'error');
+        stopAuth();
+        updateAuthStatus('disconnected', 'Gave up');
+    });
+
+    return socket;
+}
+
+document.getElementById('authConnect').addEventListener('click', () => {
+    const user = authUserInput.value.trim() || 'demo-user';
+    // Event ids are per user: only resume the stream of the same user
+    if (user !== authUser) {
+        authUser = user;
+        authLastEventId = null;
+    }
+
+    if (authSocket) {
+        authSocket.destroy();
+    }
+    authSocket = createAuthSocket();
+    authSocket.connect();
+
+    clearInterval(authTicker);
+    authTicker = setInterval(renderAuthStats, 250);
+    setAuthButtons(true);
+});
+
+document.getElementById('authDisconnect').addEventListener('click', () => {
+    authSocket.destroy();
+    stopAuth();
+    logAuth('Disconnected; connecting again within a minute resumes the stream');
+});
+
+document.getElementById('authSend').addEventListener('click', () => {
+    const input = document.getElementById('authMessage');
+    const text = input.value.trim();
+    if (!text) return;
+
+    // Queued by ReconnectingSocket while reconnecting, sent once authenticated
+    authSocket.send(JSON.stringify({ type: 'message', text }));
+    input.value = '';
+});
+
+document.getElementById('authMessage').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        document.getElementById('authSend').click();
+    }
+});
+
+document.getElementById('authDrop').addEventListener('click', () => {
+    logAuth('Simulating a dropped connection', 'error');
+    authSocket.reconnect(4000, 'Simulated drop');
+});
+
+document.getElementById('authCorrupt').addEventListener('click', () => {
+    if (!authTokens.current) {
+        logAuth('No token cached right now (one is being fetched), try again', 'error');
+        return;
+    }
+
+    // A tampered signature the server refuses on the next handshake, with an
+    // expiry far enough away that the provider does not replace it first
+    authTokens.current = {
+        ...authTokens.current,
+        token: `${authTokens.current.token}x`,
+        expiresAt: Date.now() + 60000
+    };
+    logAuth('Corrupted the cached token and reconnecting with it', 'error');
+    authSocket.reconnect(4000, 'Reconnect with corrupted token');
+});
+
+authTtlInput.addEventListener('change', () => {
+    if (authTokens) {
+        authTokens.options.ttl = parseInt(authTtlInput.value);
+    }
+});
@@ -0,0 +1,140 @@
+// ========================================
+// SendScheduler
+// ========================================
+// Backpressure for a ReconnectingSocket. WebSocket.send() never blocks: it
+// copies the data into the browser's buffer and returns, so a tight send
+// loop measures how fast that buffer fills, not how fast data leaves.
+// Producers await scheduler.send() instead; when bufferedAmount reaches the
+// high watermark the scheduler stops handing data to the socket until it has
+// drained below the low watermark. Browsers have no "drain" event, so the
+// buffer is polled while throttled.
+//
+//   const scheduler = new SendScheduler(socket);
+//   for (const item of items) {
+//       await scheduler.send(item);     // waits while throttled
+//   }
+//
+// Events (CustomEvents, payload in event.detail):
+//   'pause'  { bufferedAmount, pending }   high watermark reached
+//   'resume' { bufferedAmount, throttledFor }
+
+const SEND_SCHEDULER_DEFAULTS = {
+    highWaterMark: 1024 * 1024,
+    lowWaterMark: 256 * 1024,
+    pollInterval: 10
+};
+
+class SendScheduler extends EventTarget {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.options = { ...SEND_SCHEDULER_DEFAULTS, ...options };
+
+        this.queue = [];
+        this.throttled = false;
+        this.throttleStartedAt = null;
+        this.throttledMs = 0;
+        this.episodes = 0;
+        this.pollTimer = null;
+
+        this.handleOpen = () => this.pump();
+        this.handleClose = () => this.endThrottle();
+        socket.addEventListener('open', this.handleOpen);
+        socket.addEventListener('close', this.handleClose);
+    }
+
+    /** Total time spent throttled, including the current episode. */
+    get throttledTime() {
+        const current = this.throttled ? performance.now() - this.throttleStartedAt : 0;
+        return this.throttledMs + current;
+    }
+
+    get pendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Resolves once the data has been handed to the socket. While the
+     * connection is down, data waits here rather than in the socket's queue.
+     */
+    send(data) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ data, resolve, reject });
+            if (this.queue.length === 1) {
+                this.pump();
+            }
+        });
+    }
+
+    /** Forget the throttling totals (not the queue). */
+    resetStats() {
+        this.throttledMs = 0;
+        this.episodes = 0;
+        if (this.throttled) {
+            this.throttleStartedAt = performance.now();
+        }
+    }
+
+    /** Reject everything still queued and detach from the socket. */
+    destroy() {
+        this.endThrottle();
+        const pending = this.queue;
+        this.queue = [];
+        pending.forEach(({ reject }) => reject(new DOMException('Send scheduler destroyed', 'AbortError')));
+        this.socket.removeEventListener('open', this.handleOpen);
+        this.socket.removeEventListener('close', this.handleClose);
+    }
+
+    pump() {
+        while (this.queue.length > 0 && !this.throttled) {
+            if (this.socket.readyState !== WebSocket.OPEN) return; // resumed by 'open'
+
+            if (this.socket.bufferedAmount >= this.options.highWaterMark) {
+                this.startThrottle();
+                return;
+            }
+
+            const { data, resolve } = this.queue.shift();
+            this.socket.send(data);
+            resolve();
+        }
+    }
+
+    startThrottle() {
+        this.throttled = true;
+        this.throttleStartedAt = performance.now();
+        this.episodes++;
+        this.dispatchEvent(new CustomEvent('pause', {
+            detail: { bufferedAmount: this.socket.bufferedAmount, pending: this.queue.length }
+        }));
+        this.poll();
+    }
+
+    // Hysteresis: resume only once the buffer is well below the high
+    // watermark, so producers do not flap on every frame.
+    poll() {
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            if (this.socket.bufferedAmount <= this.options.lowWaterMark) {
+                this.endThrottle();
+                this.pump();
+            } else {
+                this.poll();
+            }
+        }, this.options.pollInterval);
+    }
+
+    endThrottle() {
+        if (!this.throttled) return;
+
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        const throttledFor = performance.now() - this.throttleStartedAt;
+        this.throttledMs += throttledFor;
+        this.throttled = false;
+        this.throttleStartedAt = null;
+        this.dispatchEvent(new CustomEvent('resume', {
+            detail: { bufferedAmount: this.socket.bufferedAmount, throttledFor }
+        }));
+    }
+}
@@ -0,0 +1,249 @@
+// Short-lived tokens and an authenticated, resumable event stream.
+//
+//   POST /auth/token?ttl=<seconds>   body { user } -> { token, user, expiresAt }
+//   ?mode=auth&interval=<ms>         WebSocket mode that requires a token
+//
+// A token is `<claims>.<signature>`: base64url JSON { sub, exp } signed with
+// HMAC-SHA256 and a secret made up at startup, so restarting the server
+// invalidates every token. The client presents it either as the subprotocol
+// `token.<token>` next to `auth.v1`, or in its first frame. The server
+// enforces expiry: a connection whose token runs out is closed with 4401.
+//
+// Client -> server:
+//   { type: 'auth', token, lastEventId }   first frame; token may be left out if it was the subprotocol
+//   { type: 'message', text }              published to the user's stream
+//
+// Server -> client:
+//   { type: 'ready', user, expiresAt, lastEventId, replayed, gap }
+//   { type: 'event', id, at, data }        data: { kind: 'tick', value } or { kind: 'message', text }
+//
+// Each user has one stream with increasing event ids. It keeps the last 200
+// events and keeps ticking for a minute after the user's last connection
+// closes, so a client that reconnects with its last-seen id gets everything
+// it missed in between (`gap` is true when some of it was already dropped).
+//
+// Close codes: 4401 token expired, 4403 invalid token, 4408 no auth frame in time.
+
+const crypto = require('crypto');
+const { numberParam, answerPing, respondJson, readJson } = require('./helpers');
+
+const SECRET = crypto.randomBytes(32);
+const TOKEN_PROTOCOL_PREFIX = 'token.';
+const DEFAULT_TTL = 30;                 // seconds
+const MIN_TTL = 5;
+const MAX_TTL = 3600;
+const AUTH_TIMEOUT = 5000;
+const STREAM_HISTORY = 200;
+const STREAM_LINGER = 60 * 1000;
+
+const CLOSE_TOKEN_EXPIRED = 4401;
+const CLOSE_TOKEN_INVALID = 4403;
+const CLOSE_AUTH_TIMEOUT = 4408;
+
+const streams = new Map();
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+function issueToken(user, ttl) {
+    const expiresAt = Date.now() + ttl * 1000;
+    const payload = Buffer.from(JSON.stringify({ sub: user, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, user, expiresAt };
+}
+
+/** { claims } for a valid token, or { error: 'invalid' | 'expired' }. */
+function verifyToken(token) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!payload || !signature || rest.length > 0) return { error: 'invalid' };
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { error: 'invalid' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid' };
+    }
+    if (typeof claims.sub !== 'string' || !Number.isFinite(claims.exp)) return { error: 'invalid' };
+    if (claims.exp <= Date.now()) return { error: 'expired' };
+    return { claims };
+}
+
+/**
+ * Subprotocol to answer an upgrade with: never the token, which would
+ * otherwise be echoed back in the response headers.
+ */
+function selectProtocol(offered) {
+    return offered.find(protocol => !protocol.startsWith(TOKEN_PROTOCOL_PREFIX)) || '';
+}
+
+function offeredToken(conn) {
+    const header = conn.request.headers['sec-websocket-protocol'] || '';
+    const protocol = header.split(',')
+        .map(value => value.trim())
+        .find(value => value.startsWith(TOKEN_PROTOCOL_PREFIX));
+    return protocol ? protocol.slice(TOKEN_PROTOCOL_PREFIX.length) : null;
+}
+
+function getStream(user, interval) {
+    let stream = streams.get(user);
+    if (!stream) {
+        stream = { user, nextId: 1, events: [], connections: new Set(), timer: null, lingerTimer: null };
+        stream.timer = setInterval(() => {
+            publish(stream, { kind: 'tick', value: Math.round(Math.random() * 100) });
+        }, interval);
+        streams.set(user, stream);
+    }
+    clearTimeout(stream.lingerTimer);
+    return stream;
+}
+
+function leaveStream(stream, conn) {
+    stream.connections.delete(conn);
+    if (stream.connections.size > 0) return;
+
+    stream.lingerTimer = setTimeout(() => {
+        clearInterval(stream.timer);
+        streams.delete(stream.user);
+    }, STREAM_LINGER);
+}
+
+function publish(stream, data) {
+    const event = { type: 'event', id: stream.nextId++, at: Date.now(), data };
+    stream.events.push(event);
+    if (stream.events.length > STREAM_HISTORY) {
+        stream.events.shift();
+    }
+    const frame = JSON.stringify(event);
+    stream.connections.forEach(conn => conn.send(frame));
+}
+
+// Everything after `lastEventId`; null means a fresh start without history
+function replay(stream, lastEventId) {
+    if (!Number.isInteger(lastEventId)) {
+        return { events: [], gap: false };
+    }
+    const events = stream.events.filter(event => event.id > lastEventId);
+    const oldest = stream.events.length > 0 ? stream.events[0].id : stream.nextId;
+    return { events, gap: lastEventId < oldest - 1 };
+}
+
+function auth(conn, params) {
+    const interval = numberParam(params, 'interval', 2000);
+    const subprotocolToken = offeredToken(conn);
+    let stream = null;
+    let expiryTimer = null;
+    let rejected = false;
+
+    const authTimer = setTimeout(() => conn.close(CLOSE_AUTH_TIMEOUT, 'Authentication timeout'), AUTH_TIMEOUT);
+
+    // Closes instead of refusing the upgrade: a refused upgrade reaches the
+    // page as a bare 1006, and the client could not tell it to refresh
+    function reject({ error }) {
+        rejected = true;
+        if (error === 'expired') {
+            conn.close(CLOSE_TOKEN_EXPIRED, 'Token expired');
+        } else {
+            conn.close(CLOSE_TOKEN_INVALID, 'Invalid token');
+        }
+    }
+
+    // A token offered as subprotocol is checked right away
+    if (subprotocolToken !== null) {
+        const result = verifyToken(subprotocolToken);
+        if (result.error) {
+            clearTimeout(authTimer);
+            reject(result);
+            return;
+        }
+    }
+
+    function authenticate(message) {
+        const result = verifyToken(message.token !== undefined ? message.token : subprotocolToken);
+        if (result.error) {
+            reject(result);
+            return;
+        }
+
+        const { sub: user, exp: expiresAt } = result.claims;
+        expiryTimer = setTimeout(() => conn.close(CLOSE_TOKEN_EXPIRED, 'Token expired'), expiresAt - Date.now());
+
+        stream = getStream(user, interval);
+        const { events, gap } = replay(stream, message.lastEventId);
+        conn.send(JSON.stringify({
+            type: 'ready',
+            user,
+            expiresAt,
+            lastEventId: stream.nextId - 1,
+            replayed: events.length,
+            gap
+        }));
+        events.forEach(event => conn.send(JSON.stringify(event)));
+        stream.connections.add(conn);
+    }
+
+    conn.on('message', (data, isBinary) => {
+        if (rejected || answerPing(conn, data)) return;
+
+        let message;
+        try {
+            message = JSON.parse(isBinary ? data.toString('utf8') : data);
+        } catch (error) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+
+        if (!stream) {
+            clearTimeout(authTimer);
+            if (message.type === 'auth') {
+                authenticate(message);
+            } else {
+                rejected = true;
+                conn.close(CLOSE_TOKEN_INVALID, 'Authenticate first');
+            }
+            return;
+        }
+        if (message.type === 'message' && typeof message.text === 'string') {
+            publish(stream, { kind: 'message', text: message.text.slice(0, 500) });
+        }
+    });
+
+    conn.on('close', () => {
+        clearTimeout(authTimer);
+        clearTimeout(expiryTimer);
+        if (stream) {
+            leaveStream(stream, conn);
+        }
+    });
+}
+
+/** Route /auth/* requests; returns false when the request is not for them. */
+function handleAuth(request, response) {
+    const { pathname, searchParams: params } = new URL(request.url, 'http://localhost');
+    if (!pathname.startsWith('/auth/')) return false;
+
+    if (request.method !== 'POST' || pathname !== '/auth/token') {
+        respondJson(response, 404, { error: 'Not found' });
+        return true;
+    }
+
+    readJson(request)
+        .then((body) => {
+            const user = body && typeof body.user === 'string' && body.user.trim() ? body.user.trim().slice(0, 64) : 'demo-user';
+            const ttl = Math.min(MAX_TTL, Math.max(MIN_TTL, numberParam(params, 'ttl', DEFAULT_TTL)));
+            respondJson(response, 200, issueToken(user, ttl));
+        })
+        .catch((error) => respondJson(response, 400, { error: error.message }));
+    return true;
+}
+
+module.exports = {
+    auth,
+    handleAuth,
+    selectProtocol
+};
@@ -0,0 +1,181 @@
+// Multi-client chat protocol (?mode=chat) for the chat demo.
+//
+// Client -> server (JSON):
+//   { type: 'join', room, user, clientId }    clientId stays the same across reconnects
+//   { type: 'leave' }
+//   { type: 'message', tempId, text }
+//   { type: 'typing', typing }
+//   { type: 'presence', status }              'online' | 'away'
+//   { type: 'delivered', id } / { type: 'read', id }
+//
+// Server -> client:
+//   { type: 'joined', room, members, history }
+//   { type: 'members', room, members }
+//   { type: 'message', id, room, user, clientId, text, time }
+//   { type: 'ack', tempId, id, time }          the server stored the message
+//   { type: 'receipt', id, user, status }      sent to the author: 'delivered' | 'read'
+//   { type: 'typing', user, clientId, typing }
+//   { type: 'error', message }
+
+const { answerPing } = require('./helpers');
+
+const HISTORY_LIMIT = 50;
+
+const rooms = new Map();
+let messageCounter = 0;
+let anonymousCounter = 0;
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, { name, members: new Set(), history: [] });
+    }
+    return rooms.get(name);
+}
+
+function memberList(room) {
+    return Array.from(room.members, ({ clientId, user, status }) => ({ clientId, user, status }));
+}
+
+function sendJson(conn, message) {
+    conn.send(JSON.stringify(message));
+}
+
+function broadcast(room, message, except = null) {
+    const data = JSON.stringify(message);
+    room.members.forEach(member => {
+        if (member !== except) {
+            member.conn.send(data);
+        }
+    });
+}
+
+function announceMembers(room) {
+    broadcast(room, { type: 'members', room: room.name, members: memberList(room) });
+}
+
+function chat(conn) {
+    const member = {
+        conn,
+        clientId: `anonymous-${++anonymousCounter}`,
+        user: 'Anonymous',
+        status: 'online',
+        room: null
+    };
+
+    function leave() {
+        const room = member.room;
+        if (!room) return;
+
+        room.members.delete(member);
+        member.room = null;
+        broadcast(room, { type: 'typing', user: member.user, clientId: member.clientId, typing: false });
+        announceMembers(room);
+    }
+
+    // Receipts go to every connection of the author (several tabs can share a clientId)
+    function sendReceipt(id, status) {
+        const room = member.room;
+        const message = room && room.history.find(item => item.id === id);
+        if (!message || message.clientId === member.clientId) return;
+
+        room.members.forEach(other => {
+            if (other.clientId === message.clientId) {
+                sendJson(other.conn, { type: 'receipt', id, user: member.user, status });
+            }
+        });
+    }
+
+    const handlers = {
+        join({ room: name, user, clientId }) {
+            leave();
+            member.user = String(user || 'Anonymous').slice(0, 32);
+            member.clientId = String(clientId || member.clientId);
+            member.status = 'online';
+
+            const room = getRoom(String(name || 'general'));
+            room.members.add(member);
+            member.room = room;
+
+            sendJson(conn, {
+                type: 'joined',
+                room: room.name,
+                members: memberList(room),
+                history: room.history
+            });
+            announceMembers(room);
+        },
+
+        leave() {
+            leave();
+        },
+
+        message({ tempId, text }) {
+            const room = member.room;
+            if (!room || typeof text !== 'string' || !text.trim()) return;
+
+            const message = {
+                type: 'message',
+                id: `m${++messageCounter}`,
+                room: room.name,
+                user: member.user,
+                clientId: member.clientId,
+                text: text.slice(0, 2000),
+                time: Date.now()
+            };
+            room.history.push(message);
+            if (room.history.length > HISTORY_LIMIT) {
+                room.history.shift();
+            }
+
+            sendJson(conn, { type: 'ack', tempId, id: message.id, time: message.time });
+            broadcast(room, message, member);
+        },
+
+        typing({ typing }) {
+            if (!member.room) return;
+            broadcast(member.room, {
+                type: 'typing',
+                user: member.user,
+                clientId: member.clientId,
+                typing: Boolean(typing)
+            }, member);
+        },
+
+        presence({ status }) {
+            if (!member.room || !['online', 'away'].includes(status)) return;
+            member.status = status;
+            announceMembers(member.room);
+        },
+
+        delivered({ id }) {
+            sendReceipt(id, 'delivered');
+        },
+
+        read({ id }) {
+            sendReceipt(id, 'read');
+        }
+    };
+
+    conn.on('message', (data, isBinary) => {
+        if (isBinary || answerPing(conn, data)) return;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            sendJson(conn, { type: 'error', message: 'Expected a JSON message' });
+            return;
+        }
+
+        const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) && handlers[message.type];
+        if (!handler) {
+            sendJson(conn, { type: 'error', message: `Unknown message type: ${message && message.type}` });
+            return;
+        }
+        handler(message);
+    });
+
+    conn.on('close', leave);
+}
+
+module.exports = { chat };
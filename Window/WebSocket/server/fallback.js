@@ -0,0 +1,341 @@
+// HTTP fallback transports for networks that block WebSocket upgrades:
+// Server-Sent Events for downlink plus POST for uplink, and plain HTTP
+// long-polling. Each fallback session is an HttpConnection with the same
+// interface as WebSocketConnection (send, close, terminate, pause, resume,
+// 'message' and 'close' events), so every ?mode= works over all three
+// transports without changes.
+//
+//   GET  /fallback/sse?mode=...            event stream; the first event is 'session' { session }
+//   GET  /fallback/poll?mode=...           start a polling session: { session }
+//   GET  /fallback/poll?session=<id>       wait up to 20s for downlink frames: { frames: [...] }
+//   POST /fallback/send?session=<id>       uplink frames, a JSON array
+//   POST /fallback/close?session=<id>      { code, reason }
+//
+// A frame is { text } or { binary } (base64). Downlink ends with
+// { close: { code, reason } }. Over SSE every frame is one message event
+// with the frame JSON as its data.
+//
+// ?block=websocket|sse|polling makes the server refuse that transport the way
+// a restrictive proxy would, so the client's downgrade can be tried locally.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { OPEN, CLOSING, CLOSED } = require('./websocket');
+const { respondJson, readJson } = require('./helpers');
+
+const POLL_TIMEOUT = 20 * 1000;
+const POLL_IDLE_TIMEOUT = 30 * 1000;   // no poll for this long: the client is gone
+const SSE_KEEPALIVE = 15 * 1000;
+const CLOSE_TIMEOUT = 2000;
+
+const sessions = new Map();
+
+function frameSize(frame) {
+    if (frame.text !== undefined) return Buffer.byteLength(frame.text);
+    if (frame.binary !== undefined) return Math.floor(frame.binary.length * 3 / 4);
+    return 0;
+}
+
+/**
+ * One fallback session. Downlink frames wait in the outbox until the client
+ * has a stream or poll open to take them.
+ *
+ * Events (same as WebSocketConnection):
+ *   'message' (data, isBinary)
+ *   'close'   (code, reason)
+ */
+class HttpConnection extends EventEmitter {
+    constructor(request, transport) {
+        super();
+        this.id = crypto.randomUUID();
+        this.request = request;
+        this.transport = transport;
+        this.url = new URL(request.url, 'http://localhost');
+        this.protocol = '';
+        this.readyState = OPEN;
+        this.paused = false;
+
+        this.inbox = [];
+        this.outbox = [];
+        this.sink = null;
+        this.closeCode = 1006;
+        this.closeReason = '';
+        this.closeTimer = null;
+        this.idleTimer = null;
+    }
+
+    /** Bytes waiting for the client to fetch them. */
+    get bufferedAmount() {
+        return this.outbox.reduce((total, frame) => total + frameSize(frame), 0);
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) return false;
+
+        if (typeof data === 'string') {
+            this.outbox.push({ text: data });
+        } else {
+            this.outbox.push({ binary: Buffer.from(data).toString('base64') });
+        }
+        this.flush();
+        return true;
+    }
+
+    /** Queue a close frame; the session ends once the client has received it. */
+    close(code = 1000, reason = '') {
+        if (this.readyState !== OPEN) return;
+
+        this.readyState = CLOSING;
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.outbox.push({ close: { code, reason } });
+        this.flush();
+        if (this.readyState === CLOSING) {
+            this.closeTimer = setTimeout(() => this.finish(), CLOSE_TIMEOUT);
+        }
+    }
+
+    /** Drop the session without a close frame (the client sees code 1006). */
+    terminate() {
+        this.closeCode = 1006;
+        this.closeReason = '';
+        this.finish(true);
+    }
+
+    /** Stop handing uplink frames to the mode; they wait in the inbox. */
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.deliver();
+    }
+
+    receive(frames) {
+        frames.forEach(frame => {
+            if (!frame || typeof frame !== 'object') return;
+            if (frame.text !== undefined) {
+                this.inbox.push([String(frame.text), false]);
+            } else if (frame.binary !== undefined) {
+                this.inbox.push([Buffer.from(String(frame.binary), 'base64'), true]);
+            }
+        });
+        this.deliver();
+    }
+
+    deliver() {
+        while (!this.paused && this.readyState === OPEN && this.inbox.length > 0) {
+            this.emit('message', ...this.inbox.shift());
+        }
+    }
+
+    /** Take the downlink: an SSE response (kept open) or one poll (answered once). */
+    attach(kind, response) {
+        if (this.sink && this.sink.kind === 'poll') {
+            respondJson(this.sink.response, 200, { frames: [] });
+        }
+        clearTimeout(this.idleTimer);
+        this.sink = { kind, response, timer: null };
+
+        if (kind === 'poll') {
+            this.sink.timer = setTimeout(() => this.flush(true), POLL_TIMEOUT);
+        } else {
+            this.sink.timer = setInterval(() => response.write(': keepalive\n\n'), SSE_KEEPALIVE);
+        }
+        this.flush();
+    }
+
+    detach() {
+        const sink = this.sink;
+        if (!sink) return;
+
+        clearTimeout(sink.timer);
+        clearInterval(sink.timer);
+        this.sink = null;
+        if (sink.kind === 'poll' && this.readyState !== CLOSED) {
+            this.idleTimer = setTimeout(() => this.terminate(), POLL_IDLE_TIMEOUT);
+        }
+    }
+
+    // Hand the outbox to the sink. A poll is answered only when there is
+    // something to send, unless it has waited long enough (`force`).
+    flush(force = false) {
+        const sink = this.sink;
+        if (!sink || (this.outbox.length === 0 && !force)) return;
+
+        const frames = this.outbox;
+        this.outbox = [];
+        const closing = frames.some(frame => frame.close);
+
+        if (sink.kind === 'sse') {
+            frames.forEach(frame => sink.response.write(`data: ${JSON.stringify(frame)}\n\n`));
+        } else {
+            this.detach();
+            respondJson(sink.response, 200, { frames });
+        }
+
+        if (closing) {
+            this.finish();
+        }
+    }
+
+    // `abort` drops the open stream or poll instead of ending it cleanly
+    finish(abort = false) {
+        if (this.readyState === CLOSED) return;
+
+        this.readyState = CLOSED;
+        clearTimeout(this.closeTimer);
+        clearTimeout(this.idleTimer);
+        const sink = this.sink;
+        this.detach();
+        if (sink) {
+            if (abort) {
+                sink.response.destroy();
+            } else if (sink.kind === 'sse') {
+                sink.response.end();
+            } else {
+                respondJson(sink.response, 200, { frames: [] });
+            }
+        }
+
+        sessions.delete(this.id);
+        this.emit('close', this.closeCode, this.closeReason);
+    }
+}
+
+function isBlocked(params, transport) {
+    return params.getAll('block').includes(transport);
+}
+
+// New session: the mode runs right away, its first frames wait in the outbox
+function openSession(request, response, transport, startMode) {
+    const conn = new HttpConnection(request, transport);
+    if (!startMode(conn, conn.url.searchParams, transport)) {
+        respondJson(response, 404, { error: 'Unknown mode' });
+        return null;
+    }
+    sessions.set(conn.id, conn);
+    return conn;
+}
+
+function openEventStream(request, response, startMode) {
+    const conn = openSession(request, response, 'sse', startMode);
+    if (!conn) return;
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+    });
+    response.write(`event: session\ndata: ${JSON.stringify({ session: conn.id })}\n\n`);
+    request.on('close', () => {
+        if (conn.sink && conn.sink.response === response) {
+            conn.detach();
+            conn.finish();
+        }
+    });
+    conn.attach('sse', response);
+}
+
+function poll(request, response, params, startMode) {
+    if (!params.has('session')) {
+        const conn = openSession(request, response, 'polling', startMode);
+        if (!conn) return;
+        conn.idleTimer = setTimeout(() => conn.terminate(), POLL_IDLE_TIMEOUT);
+        respondJson(response, 200, { session: conn.id });
+        return;
+    }
+
+    const conn = sessions.get(params.get('session'));
+    if (!conn || conn.transport !== 'polling') {
+        respondJson(response, 404, { error: 'Unknown session' });
+        return;
+    }
+    request.on('close', () => {
+        if (conn.sink && conn.sink.response === response) {
+            conn.detach();
+        }
+    });
+    conn.attach('poll', response);
+}
+
+async function uplink(request, response, params, action) {
+    const conn = sessions.get(params.get('session'));
+    if (!conn) {
+        respondJson(response, 404, { error: 'Unknown session' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJson(request);
+    } catch (error) {
+        respondJson(response, 400, { error: error.message });
+        return;
+    }
+
+    if (action === 'send') {
+        if (!Array.isArray(body)) {
+            respondJson(response, 400, { error: 'Expected an array of frames' });
+            return;
+        }
+        conn.receive(body);
+    } else if (conn.readyState !== CLOSED) {
+        // Client-initiated close: nothing left to deliver downstream
+        conn.closeCode = body && Number.isInteger(body.code) ? body.code : 1005;
+        conn.closeReason = body && typeof body.reason === 'string' ? body.reason : '';
+        conn.outbox = [];
+        conn.finish();
+    }
+    response.writeHead(204, { 'Cache-Control': 'no-store' });
+    response.end();
+}
+
+// A mode that throws on the frames it was handed fails the request, not the server
+function rejectUplink(response, error) {
+    console.error('Fallback uplink failed:', error);
+    if (response.headersSent) {
+        response.destroy();
+    } else {
+        respondJson(response, 400, { error: error.message });
+    }
+}
+
+/**
+ * Route /fallback/* requests. `startMode(conn, params, transport)` runs the
+ * requested mode on a new session and returns false for an unknown mode.
+ * Returns false when the request is not for the fallback transports.
+ */
+function handleFallback(request, response, startMode) {
+    const { pathname, searchParams: params } = new URL(request.url, 'http://localhost');
+    if (!pathname.startsWith('/fallback/')) return false;
+
+    const route = `${request.method} ${pathname}`;
+    if (route === 'GET /fallback/sse') {
+        if (isBlocked(params, 'sse')) {
+            respondJson(response, 403, { error: 'Blocked' });
+        } else {
+            openEventStream(request, response, startMode);
+        }
+    } else if (route === 'GET /fallback/poll') {
+        if (isBlocked(params, 'polling')) {
+            respondJson(response, 403, { error: 'Blocked' });
+        } else {
+            poll(request, response, params, startMode);
+        }
+    } else if (route === 'POST /fallback/send') {
+        uplink(request, response, params, 'send').catch(error => rejectUplink(response, error));
+    } else if (route === 'POST /fallback/close') {
+        uplink(request, response, params, 'close').catch(error => rejectUplink(response, error));
+    } else {
+        respondJson(response, 404, { error: 'Not found' });
+    }
+    return true;
+}
+
+module.exports = {
+    HttpConnection,
+    handleFallback,
+    isBlocked
+};
@@ -0,0 +1,62 @@
+// Small utilities shared by the server modes and HTTP routes.
+
+const MAX_BODY = 64 * 1024 * 1024;   // fallback uplink batches can carry file chunks
+
+function numberParam(params, name, fallback) {
+    const value = Number(params.get(name));
+    return params.has(name) && Number.isFinite(value) ? value : fallback;
+}
+
+// Answer the client's application-level heartbeat (heartbeat.js) in every
+// mode. Returns true when the frame was a ping and has been handled.
+function answerPing(conn, data) {
+    if (typeof data !== 'string' || !data.startsWith('{"type":"ping"')) return false;
+
+    try {
+        const { id } = JSON.parse(data);
+        conn.send(JSON.stringify({ type: 'pong', id }));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function respondJson(response, status, body) {
+    if (response.writableEnded || response.destroyed) return;
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+module.exports = {
+    numberParam,
+    answerPing,
+    respondJson,
+    readJson
+};
@@ -0,0 +1,123 @@
+// Local stand-in server for the WebSocket demos.
+//
+//   node server/index.js            (listens on port 8080)
+//   PORT=9000 node server/index.js
+//
+// Serves this folder over HTTP (open http://localhost:8080/) and accepts
+// WebSocket upgrades on any path. The same modes are also reachable over
+// the HTTP fallback transports under /fallback/ (Server-Sent Events and
+// long-polling, see fallback.js). The behaviour is picked per connection
+// with query parameters:
+//
+//   ?mode=echo                            echo every frame back (default)
+//   ?mode=broadcast&room=<name>           relay frames to the other clients in the room
+//   ?mode=notifications&interval=<ms>     scripted notification and live data feed
+//   ?mode=disconnect&after=<ms>&code=<n>  drop the connection after a delay
+//                                         (without code: abnormal close, 1006)
+//   ?mode=slow&delay=<ms>                 read one frame per delay (slow consumer)
+//   ?mode=halfopen&after=<ms>             go silent after a delay without closing
+//   ?mode=rpc                             JSON-RPC 2.0 methods (see rpc.js)
+//   ?mode=chat                            rooms, presence, typing and receipts (see chat.js)
+//   ?mode=transfer                        chunked, resumable file upload (see transfer.js)
+//   ?mode=auth&interval=<ms>              token-authenticated, resumable event stream (see auth.js);
+//                                         tokens come from POST /auth/token?ttl=<seconds>
+//
+// Every mode answers heartbeat pings ({"type":"ping","id":n}) with a pong.
+// Adding &block=websocket (or sse, polling) refuses that transport, like a
+// proxy that strips upgrades would.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { acceptUpgrade, rejectUpgrade } = require('./websocket');
+const basicModes = require('./modes');
+const { rpc } = require('./rpc');
+const { chat } = require('./chat');
+const { transfer } = require('./transfer');
+const { handleFallback, isBlocked } = require('./fallback');
+const { auth, handleAuth, selectProtocol } = require('./auth');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = path.resolve(__dirname, '..');
+
+const modes = { ...basicModes, rpc, chat, transfer, auth };
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+function serveStatic(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let filePath;
+    try {
+        filePath = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    } catch (error) {
+        filePath = null;
+    }
+
+    if (!filePath || !filePath.startsWith(ROOT + path.sep)) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        response.end(content);
+    });
+}
+
+// Run the requested mode on an accepted connection, whatever its transport.
+// Returns false for an unknown mode.
+function startMode(conn, params, transport) {
+    const modeName = params.get('mode') || 'echo';
+    const mode = modes[modeName];
+    if (!mode) return false;
+
+    console.log(`[${transport}] ${modeName} connection opened (${conn.request.url})`);
+    conn.on('close', (code) => {
+        console.log(`[${transport}] ${modeName} connection closed (code: ${code})`);
+    });
+    mode(conn, params);
+    return true;
+}
+
+const server = http.createServer((request, response) => {
+    if (handleFallback(request, response, startMode)) return;
+    if (handleAuth(request, response)) return;
+    serveStatic(request, response);
+});
+
+server.on('upgrade', (request, socket, head) => {
+    const params = new URL(request.url, 'http://localhost').searchParams;
+
+    if (isBlocked(params, 'websocket')) {
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+    }
+    if (!modes[params.get('mode') || 'echo']) {
+        rejectUpgrade(socket, 404, 'Unknown Mode');
+        return;
+    }
+
+    const conn = acceptUpgrade(request, socket, head, { selectProtocol });
+    if (!conn) return;
+    startMode(conn, params, 'ws');
+});
+
+server.listen(PORT, () => {
+    console.log(`WebSocket stand-in server on http://localhost:${PORT}/ (ws://localhost:${PORT}/?mode=echo)`);
+});
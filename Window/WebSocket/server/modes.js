@@ -0,0 +1,136 @@
+// Connection behaviours of the stand-in server, picked with ?mode=<name>.
+// Each mode receives the accepted connection and the query parameters.
+
+const { numberParam, answerPing } = require('./helpers');
+
+const rooms = new Map();
+
+const NOTIFICATION_SCRIPT = [
+    { level: 'info', title: 'New Message', message: 'Alice sent you a message' },
+    { level: 'success', title: 'Deploy Finished', message: 'Build #42 is live' },
+    { level: 'warning', title: 'System Alert', message: 'Disk usage above 80%' },
+    { level: 'info', title: 'New Comment', message: 'Bob commented on your post' },
+    { level: 'success', title: 'Payment Received', message: 'Invoice #1007 was paid' },
+    { level: 'warning', title: 'Action Required', message: 'Your session expires soon' }
+];
+
+// Send every frame straight back to the client
+function echo(conn) {
+    conn.on('message', (data) => {
+        if (answerPing(conn, data)) return;
+        conn.send(data);
+    });
+}
+
+// Relay every frame to the other clients in the same room
+function broadcast(conn, params) {
+    const name = params.get('room') || 'lobby';
+    if (!rooms.has(name)) {
+        rooms.set(name, new Set());
+    }
+    const room = rooms.get(name);
+    room.add(conn);
+
+    conn.on('message', (data) => {
+        if (answerPing(conn, data)) return;
+        room.forEach(member => {
+            if (member !== conn) {
+                member.send(data);
+            }
+        });
+    });
+
+    conn.on('close', () => {
+        room.delete(conn);
+        if (room.size === 0) {
+            rooms.delete(name);
+        }
+    });
+}
+
+// Push live sensor data every tick and a scripted notification every third tick
+function notifications(conn, params) {
+    const interval = numberParam(params, 'interval', 2000);
+    let tick = 0;
+
+    const timer = setInterval(() => {
+        conn.send(JSON.stringify({
+            type: 'data_update',
+            values: {
+                temperature: 20 + Math.random() * 10,
+                pressure: 1000 + Math.random() * 50,
+                humidity: 40 + Math.random() * 40
+            }
+        }));
+
+        if (tick % 3 === 0) {
+            const item = NOTIFICATION_SCRIPT[(tick / 3) % NOTIFICATION_SCRIPT.length];
+            conn.send(JSON.stringify({ type: 'notification', ...item, time: Date.now() }));
+        }
+        tick++;
+    }, interval);
+
+    conn.on('message', (data) => answerPing(conn, data));
+    conn.on('close', () => clearInterval(timer));
+}
+
+// Echo, then drop the connection after `after` ms. Without `code` the TCP
+// socket is simply destroyed so the client sees an abnormal 1006 close.
+function disconnect(conn, params) {
+    const after = numberParam(params, 'after', 5000);
+    const code = numberParam(params, 'code', null);
+
+    echo(conn);
+    const timer = setTimeout(() => {
+        if (code === null) {
+            conn.terminate();
+        } else {
+            conn.close(code, 'Scripted disconnect');
+        }
+    }, after);
+
+    conn.on('close', () => clearTimeout(timer));
+}
+
+// Echo, but read only one frame every `delay` ms so the client's
+// bufferedAmount grows when it sends faster than that
+function slow(conn, params) {
+    const delay = numberParam(params, 'delay', 500);
+    let timer = null;
+
+    conn.on('message', (data) => {
+        if (!answerPing(conn, data)) {
+            conn.send(data);
+        }
+        conn.pause();
+        timer = setTimeout(() => conn.resume(), delay);
+    });
+
+    conn.on('close', () => clearTimeout(timer));
+}
+
+// Echo for `after` ms, then stop reading and answering while keeping the TCP
+// connection open: a half-open socket that only a heartbeat can detect.
+// Dropped for real after `linger` ms so the server does not collect them.
+function halfopen(conn, params) {
+    const after = numberParam(params, 'after', 5000);
+    const linger = numberParam(params, 'linger', 60000);
+
+    echo(conn);
+    const muteTimer = setTimeout(() => conn.pause(), after);
+    const dropTimer = setTimeout(() => conn.terminate(), after + linger);
+
+    conn.on('close', () => {
+        clearTimeout(muteTimer);
+        clearTimeout(dropTimer);
+    });
+}
+
+module.exports = {
+    echo,
+    broadcast,
+    notifications,
+    disconnect,
+    slow,
+    halfopen
+};
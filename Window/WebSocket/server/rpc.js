@@ -0,0 +1,194 @@
+// JSON-RPC 2.0 over WebSocket (?mode=rpc) for the request/response demo.
+// Supports single and batch requests, notifications in both directions and
+// cancellation through the "$/cancelRequest" notification.
+
+const { answerPing } = require('./helpers');
+
+const MIN_TICK_INTERVAL = 100;   // ms, the shortest interval subscribe() accepts
+
+const ERRORS = {
+    PARSE_ERROR: { code: -32700, message: 'Parse error' },
+    INVALID_REQUEST: { code: -32600, message: 'Invalid Request' },
+    METHOD_NOT_FOUND: { code: -32601, message: 'Method not found' },
+    INVALID_PARAMS: { code: -32602, message: 'Invalid params' },
+    INTERNAL_ERROR: { code: -32603, message: 'Internal error' },
+    REQUEST_CANCELLED: { code: -32800, message: 'Request cancelled' }
+};
+
+let subscriptionCounter = 0;
+
+class RpcMethodError extends Error {
+    constructor({ code, message }, data) {
+        super(message);
+        this.code = code;
+        this.data = data;
+    }
+}
+
+function toNumbers(params, count) {
+    const values = Array.isArray(params) ? params : Object.values(params || {});
+    if (values.length < count || values.some(value => typeof value !== 'number')) {
+        throw new RpcMethodError(ERRORS.INVALID_PARAMS, `Expected ${count} numbers`);
+    }
+    return values;
+}
+
+// Methods receive (params, context); context.signal aborts on $/cancelRequest
+const METHODS = {
+    add(params) {
+        return toNumbers(params, 2).reduce((sum, value) => sum + value, 0);
+    },
+
+    echo(params) {
+        return params;
+    },
+
+    time() {
+        return { iso: new Date().toISOString(), epoch: Date.now() };
+    },
+
+    // Resolve after `ms` milliseconds; used to try out timeouts and cancellation
+    sleep(params, { signal }) {
+        const [ms] = toNumbers(params, 1);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve({ slept: ms }), ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new RpcMethodError(ERRORS.REQUEST_CANCELLED));
+            });
+        });
+    },
+
+    // Always fails with an application-defined error object
+    fail(params) {
+        throw new RpcMethodError(
+            { code: 1001, message: 'Something went wrong' },
+            { reason: (params && params.reason) || 'Requested failure' }
+        );
+    },
+
+    // Server-initiated notifications: "tick" every `interval` ms until
+    // unsubscribed, no more often than every MIN_TICK_INTERVAL ms
+    subscribe(params, { conn, subscriptions }) {
+        const requested = params && params.interval;
+        const interval = Number.isFinite(requested) ? Math.max(MIN_TICK_INTERVAL, requested) : 1000;
+        const id = `ticker-${++subscriptionCounter}`;
+        let count = 0;
+
+        subscriptions.set(id, setInterval(() => {
+            count++;
+            conn.send(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'tick',
+                params: { subscription: id, count, time: Date.now() }
+            }));
+        }, interval));
+        return { subscription: id };
+    },
+
+    unsubscribe(params, { subscriptions }) {
+        const id = params && params.subscription;
+        if (!subscriptions.has(id)) {
+            throw new RpcMethodError(ERRORS.INVALID_PARAMS, `Unknown subscription ${id}`);
+        }
+        clearInterval(subscriptions.get(id));
+        subscriptions.delete(id);
+        return true;
+    }
+};
+
+function errorResponse(id, error, data) {
+    const body = { code: error.code, message: error.message };
+    if (data !== undefined) {
+        body.data = data;
+    }
+    return { jsonrpc: '2.0', id, error: body };
+}
+
+function isValidRequest(message) {
+    return message !== null
+        && typeof message === 'object'
+        && message.jsonrpc === '2.0'
+        && typeof message.method === 'string'
+        && (message.id === undefined || ['string', 'number'].includes(typeof message.id));
+}
+
+function rpc(conn) {
+    const subscriptions = new Map();
+    const inFlight = new Map();
+
+    // Returns the response object, or undefined for notifications
+    async function handleRequest(message) {
+        if (!isValidRequest(message)) {
+            return errorResponse(null, ERRORS.INVALID_REQUEST);
+        }
+
+        const { id, method, params } = message;
+
+        if (method === '$/cancelRequest') {
+            const controller = params && inFlight.get(params.id);
+            if (controller) controller.abort();
+            return undefined;
+        }
+
+        const handler = Object.prototype.hasOwnProperty.call(METHODS, method) && METHODS[method];
+        if (!handler) {
+            return id === undefined ? undefined : errorResponse(id, ERRORS.METHOD_NOT_FOUND, { method });
+        }
+
+        const controller = new AbortController();
+        if (id !== undefined) {
+            inFlight.set(id, controller);
+        }
+
+        try {
+            const result = await handler(params, { conn, subscriptions, signal: controller.signal });
+            return id === undefined ? undefined : { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+        } catch (error) {
+            if (id === undefined) return undefined;
+            if (error instanceof RpcMethodError) {
+                return errorResponse(id, error, error.data);
+            }
+            return errorResponse(id, ERRORS.INTERNAL_ERROR, error.message);
+        } finally {
+            inFlight.delete(id);
+        }
+    }
+
+    conn.on('message', async (data, isBinary) => {
+        if (isBinary || answerPing(conn, data)) return;
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            conn.send(JSON.stringify(errorResponse(null, ERRORS.PARSE_ERROR)));
+            return;
+        }
+
+        if (Array.isArray(message)) {
+            if (message.length === 0) {
+                conn.send(JSON.stringify(errorResponse(null, ERRORS.INVALID_REQUEST)));
+                return;
+            }
+            const responses = (await Promise.all(message.map(handleRequest))).filter(Boolean);
+            // A batch of notifications only gets no response at all
+            if (responses.length > 0) {
+                conn.send(JSON.stringify(responses));
+            }
+            return;
+        }
+
+        const response = await handleRequest(message);
+        if (response) {
+            conn.send(JSON.stringify(response));
+        }
+    });
+
+    conn.on('close', () => {
+        subscriptions.forEach(timer => clearInterval(timer));
+        inFlight.forEach(controller => controller.abort());
+    });
+}
+
+module.exports = { rpc };
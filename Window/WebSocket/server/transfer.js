@@ -0,0 +1,184 @@
+// Chunked, resumable file transfer (?mode=transfer) for the binary demo.
+// The frame layout and message types are documented in file-transfer.js.
+//
+// Uploads are kept by transfer id, not by connection, so a client that
+// reconnects and sends transfer-start again gets a transfer-status listing
+// the chunks already stored and only sends the rest. Frames that are not
+// part of the protocol are echoed, like ?mode=echo.
+
+const crypto = require('crypto');
+const { answerPing } = require('./helpers');
+
+const CHUNK_HEADER_SIZE = 27;
+const CHUNK_KIND = { UPLOAD: 1, DOWNLOAD: 2 };
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const IDLE_TIMEOUT = 10 * 60 * 1000;
+
+const transfers = new Map();
+
+// Forget uploads nobody has touched for a while
+setInterval(() => {
+    const cutoff = Date.now() - IDLE_TIMEOUT;
+    transfers.forEach((transfer, id) => {
+        if (transfer.touchedAt < cutoff) {
+            transfers.delete(id);
+        }
+    });
+}, 60 * 1000).unref();
+
+function uuidFromBytes(bytes) {
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function decodeChunkFrame(buffer) {
+    if (buffer.length < CHUNK_HEADER_SIZE || buffer[0] !== 0x46 || buffer[1] !== 0x54) return null;
+    return {
+        kind: buffer[2],
+        id: uuidFromBytes(buffer.subarray(3, 19)),
+        seq: buffer.readUInt32BE(19),
+        total: buffer.readUInt32BE(23),
+        payload: buffer.subarray(CHUNK_HEADER_SIZE)
+    };
+}
+
+function encodeChunkFrame(kind, id, seq, total, payload) {
+    const header = Buffer.alloc(CHUNK_HEADER_SIZE);
+    header.write('FT', 0, 'latin1');
+    header[2] = kind;
+    Buffer.from(id.replace(/-/g, ''), 'hex').copy(header, 3);
+    header.writeUInt32BE(seq, 19);
+    header.writeUInt32BE(total, 23);
+    return Buffer.concat([header, payload]);
+}
+
+// [[first, last], ...] for the stored chunks, so the status stays small
+function receivedRanges(transfer) {
+    const ranges = [];
+    for (let seq = 0; seq < transfer.totalChunks; seq++) {
+        if (!transfer.chunks[seq]) continue;
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === seq - 1) {
+            last[1] = seq;
+        } else {
+            ranges.push([seq, seq]);
+        }
+    }
+    return ranges;
+}
+
+function isValidStart({ id, size, chunkSize, totalChunks }) {
+    return typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id)
+        && Number.isInteger(size) && size >= 0 && size <= MAX_FILE_SIZE
+        && Number.isInteger(chunkSize) && chunkSize > 0
+        && totalChunks === Math.max(1, Math.ceil(size / chunkSize));
+}
+
+function sendJson(conn, message) {
+    conn.send(JSON.stringify(message));
+}
+
+function transfer(conn) {
+    const handlers = {
+        'transfer-start'(message) {
+            if (!isValidStart(message)) {
+                sendJson(conn, { type: 'transfer-error', id: message.id, message: 'Invalid transfer-start' });
+                return;
+            }
+
+            let upload = transfers.get(message.id);
+            if (!upload) {
+                upload = {
+                    id: message.id,
+                    name: String(message.name || 'file').slice(0, 255),
+                    mimeType: String(message.mimeType || ''),
+                    size: message.size,
+                    totalChunks: message.totalChunks,
+                    chunks: new Array(message.totalChunks),
+                    stored: 0,
+                    sha256: null
+                };
+                transfers.set(message.id, upload);
+            }
+            upload.touchedAt = Date.now();
+
+            sendJson(conn, { type: 'transfer-status', id: upload.id, received: receivedRanges(upload) });
+            if (upload.sha256) {
+                sendJson(conn, { type: 'transfer-complete', id: upload.id, sha256: upload.sha256 });
+            }
+        },
+
+        'transfer-download'({ id }) {
+            const upload = transfers.get(id);
+            if (!upload || !upload.sha256) {
+                sendJson(conn, { type: 'transfer-error', id, message: 'Unknown or incomplete transfer' });
+                return;
+            }
+            upload.touchedAt = Date.now();
+
+            const { name, size, mimeType, totalChunks } = upload;
+            sendJson(conn, { type: 'download-start', id, name, size, mimeType, totalChunks });
+            upload.chunks.forEach((chunk, seq) => {
+                conn.send(encodeChunkFrame(CHUNK_KIND.DOWNLOAD, id, seq, totalChunks, chunk));
+            });
+            sendJson(conn, { type: 'download-end', id });
+        }
+    };
+
+    function storeChunk(frame) {
+        const upload = transfers.get(frame.id);
+        if (!upload || frame.seq >= upload.totalChunks) {
+            sendJson(conn, { type: 'transfer-error', id: frame.id, message: `Unexpected chunk ${frame.seq}` });
+            return;
+        }
+        upload.touchedAt = Date.now();
+
+        // Duplicates happen after a reconnect; they are acked again but stored once
+        if (!upload.chunks[frame.seq]) {
+            upload.chunks[frame.seq] = Buffer.from(frame.payload);
+            upload.stored++;
+        }
+        sendJson(conn, { type: 'chunk-ack', id: upload.id, seq: frame.seq });
+
+        if (upload.stored === upload.totalChunks && !upload.sha256) {
+            const file = Buffer.concat(upload.chunks);
+            if (file.length !== upload.size) {
+                transfers.delete(upload.id);
+                sendJson(conn, { type: 'transfer-error', id: upload.id, message: `Expected ${upload.size} bytes, got ${file.length}` });
+                return;
+            }
+            upload.sha256 = crypto.createHash('sha256').update(file).digest('hex');
+            sendJson(conn, { type: 'transfer-complete', id: upload.id, sha256: upload.sha256 });
+        }
+    }
+
+    conn.on('message', (data, isBinary) => {
+        if (answerPing(conn, data)) return;
+
+        if (isBinary) {
+            const frame = decodeChunkFrame(data);
+            if (frame && frame.kind === CHUNK_KIND.UPLOAD) {
+                storeChunk(frame);
+            } else {
+                conn.send(data);
+            }
+            return;
+        }
+
+        let message = null;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            // Plain text: echoed below
+        }
+
+        const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) && handlers[message.type];
+        if (handler) {
+            handler(message);
+        } else {
+            conn.send(data);
+        }
+    });
+}
+
+module.exports = { transfer };
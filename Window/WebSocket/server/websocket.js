@@ -0,0 +1,321 @@
+// Minimal server side of RFC 6455 for the local stand-in server.
+// Handshake, framing and the close handshake are done by hand so the
+// demos run with nothing but Node installed (no npm packages).
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024 * 1024;
+const CLOSE_TIMEOUT = 2000;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// Same numbering as the browser's WebSocket.readyState
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * One accepted WebSocket connection.
+ *
+ * Events:
+ *   'message' (data, isBinary) - data is a string for text frames, a Buffer for binary
+ *   'pong'    (payload)
+ *   'close'   (code, reason)
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, request, protocol = '') {
+        super();
+        this.socket = socket;
+        this.request = request;
+        this.protocol = protocol;
+        this.url = new URL(request.url, 'http://localhost');
+        this.readyState = OPEN;
+        this.paused = false;
+
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closeCode = 1006;
+        this.closeReason = '';
+        this.closeTimer = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => {
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+            this.parseFrames();
+        });
+        socket.on('close', () => this.onSocketClose());
+        // 'close' always follows 'error', which is where cleanup happens
+        socket.on('error', () => {});
+    }
+
+    /** Bytes queued in the TCP socket that the client has not read yet. */
+    get bufferedAmount() {
+        return this.socket.writableLength;
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) return false;
+
+        if (typeof data === 'string') {
+            return this.sendFrame(OPCODES.TEXT, Buffer.from(data, 'utf8'));
+        }
+        return this.sendFrame(OPCODES.BINARY, toBuffer(data));
+    }
+
+    ping(payload = Buffer.alloc(0)) {
+        if (this.readyState !== OPEN) return false;
+        return this.sendFrame(OPCODES.PING, toBuffer(payload));
+    }
+
+    /** Start the close handshake; the socket is dropped if the client never answers. */
+    close(code = 1000, reason = '') {
+        if (this.readyState !== OPEN) return;
+
+        this.readyState = CLOSING;
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.sendFrame(OPCODES.CLOSE, encodeClosePayload(code, reason));
+        this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    }
+
+    /** Drop the TCP connection without a close frame (the client sees code 1006). */
+    terminate() {
+        this.closeCode = 1006;
+        this.closeReason = '';
+        this.socket.destroy();
+    }
+
+    /** Stop reading frames, so unread data backs up into the client's bufferedAmount. */
+    pause() {
+        this.paused = true;
+        this.socket.pause();
+    }
+
+    resume() {
+        this.paused = false;
+        this.socket.resume();
+        this.parseFrames();
+    }
+
+    sendFrame(opcode, payload) {
+        const length = payload.length;
+        let header;
+
+        if (length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = length;
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+            header.writeUInt32BE(length >>> 0, 6);
+        }
+        header[0] = 0x80 | opcode;
+
+        return this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    parseFrames() {
+        while (!this.paused && this.readyState !== CLOSED && this.buffer.length >= 2) {
+            const buffer = this.buffer;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+                offset = 10;
+            }
+
+            if (!masked) {
+                this.fail(1002, 'Client frames must be masked');
+                return;
+            }
+            if (length > MAX_PAYLOAD) {
+                this.fail(1009, 'Message too big');
+                return;
+            }
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i & 3];
+            }
+
+            this.buffer = buffer.subarray(offset + 4 + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+                if (this.fragmentOpcode !== null) {
+                    this.fail(1002, 'Expected continuation frame');
+                    return;
+                }
+                if (fin) {
+                    this.emitMessage(opcode, payload);
+                } else {
+                    this.fragmentOpcode = opcode;
+                    this.fragments = [payload];
+                }
+                break;
+
+            case OPCODES.CONTINUATION:
+                if (this.fragmentOpcode === null) {
+                    this.fail(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    const messageOpcode = this.fragmentOpcode;
+                    this.fragments = [];
+                    this.fragmentOpcode = null;
+                    this.emitMessage(messageOpcode, message);
+                }
+                break;
+
+            case OPCODES.PING:
+                if (this.readyState === OPEN) {
+                    this.sendFrame(OPCODES.PONG, payload);
+                }
+                break;
+
+            case OPCODES.PONG:
+                this.emit('pong', payload);
+                break;
+
+            case OPCODES.CLOSE:
+                if (this.readyState === OPEN) {
+                    // Client started the handshake: echo its code back, then hang up
+                    this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                    this.closeReason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                    this.readyState = CLOSING;
+                    this.sendFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+                }
+                this.socket.end();
+                break;
+
+            default:
+                this.fail(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    emitMessage(opcode, payload) {
+        if (opcode === OPCODES.TEXT) {
+            this.emit('message', payload.toString('utf8'), false);
+        } else {
+            this.emit('message', payload, true);
+        }
+    }
+
+    fail(code, reason) {
+        if (this.readyState === OPEN) {
+            this.close(code, reason);
+        } else {
+            this.socket.destroy();
+        }
+    }
+
+    onSocketClose() {
+        if (this.readyState === CLOSED) return;
+
+        clearTimeout(this.closeTimer);
+        this.readyState = CLOSED;
+        this.emit('close', this.closeCode, this.closeReason);
+    }
+}
+
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    return Buffer.from(String(data), 'utf8');
+}
+
+function encodeClosePayload(code, reason) {
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    return payload;
+}
+
+/**
+ * Complete the opening handshake for an HTTP 'upgrade' request.
+ * `selectProtocol(offered, request)` picks the subprotocol to answer with;
+ * by default the first one the client offered is accepted.
+ * Returns the connection, or null when the request was rejected.
+ */
+function acceptUpgrade(request, socket, head, { selectProtocol } = {}) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+    if (upgrade !== 'websocket' || !key) {
+        rejectUpgrade(socket, 400, 'Bad Request');
+        return null;
+    }
+
+    const offered = (request.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map(protocol => protocol.trim())
+        .filter(Boolean);
+    const protocol = selectProtocol ? selectProtocol(offered, request) : (offered[0] || '');
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    const headers = [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`
+    ];
+    if (protocol) {
+        headers.push(`Sec-WebSocket-Protocol: ${protocol}`);
+    }
+    socket.write(headers.join('\r\n') + '\r\n\r\n');
+
+    if (head && head.length) {
+        socket.unshift(head);
+    }
+    return new WebSocketConnection(socket, request, protocol);
+}
+
+/** Refuse an upgrade with a plain HTTP response (the browser reports it as error + 1006). */
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+module.exports = {
+    OPCODES,
+    OPEN,
+    CLOSING,
+    CLOSED,
+    WebSocketConnection,
+    acceptUpgrade,
+    rejectUpgrade
+};
@@ -0,0 +1,25 @@
+// ========================================
+// Shared connection worker
+// ========================================
+// SharedWorker entry point: one ConnectionManager for every tab of this
+// origin. Each tab talks to it over its own MessagePort using the protocol
+// documented in connection-manager.js.
+
+importScripts('reconnecting-socket.js', 'connection-manager.js');
+
+const manager = new ConnectionManager();
+let portCounter = 0;
+
+self.addEventListener('connect', (event) => {
+    const port = event.ports[0];
+    const clientId = `port-${++portCounter}`;
+    const post = (message) => port.postMessage(message);
+
+    manager.addClient(clientId, post);
+    port.addEventListener('message', (e) => {
+        // A tab restored from the back/forward cache comes back after 'leave'
+        manager.addClient(clientId, post);
+        manager.handle(clientId, e.data);
+    });
+    port.start();
+});
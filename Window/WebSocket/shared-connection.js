@@ -0,0 +1,384 @@
+// ========================================
+// SharedConnection
+// ========================================
+// One WebSocket per endpoint for all tabs of this origin instead of one per
+// tab. The sockets live in a ConnectionManager (connection-manager.js); tabs
+// subscribe to endpoints and get every frame the shared socket receives.
+//
+//   const shared = new SharedConnection();
+//   const feed = shared.subscribe(endpointUrl('notifications'));
+//   feed.addEventListener('message', (e) => render(e.detail.data));
+//   feed.send('hello');     // goes out on the shared socket
+//   feed.close();           // the socket closes once no tab is subscribed
+//
+// Where the manager runs:
+//   'shared-worker'     in shared-connection-worker.js, one per origin
+//   'leader-election'   without SharedWorker: the tabs elect a leader over
+//                       BroadcastChannel and it runs the manager. When the
+//                       leader leaves another tab takes over, and every tab
+//                       subscribes again on the new leader.
+//
+// SharedConnection events (CustomEvents, payload in event.detail):
+//   'stats' { clients, endpoints }   tabs and sockets, whenever they change
+//   'role'  { mode, leader }         leader: this tab runs the manager
+//
+// SharedSubscription events mirror ReconnectingSocket:
+//   'statechange' { state }, 'open' {}, 'message' { data },
+//   'close' { code, reason, willReconnect }
+
+const SHARED_CONNECTION_DEFAULTS = {
+    mode: null,                     // null picks 'shared-worker' where available
+    workerUrl: 'shared-connection-worker.js',
+    channelName: 'websocket-shared-connection',
+    aliveInterval: 5000,            // well below ConnectionManager's clientTimeout
+    heartbeatInterval: 500,
+    electionTimeout: 1500,          // no leader heartbeat for this long: hold an election
+    claimWindow: 300                // a claim stands if nobody older objects within this time
+};
+
+let sharedSubscriptionCounter = 0;
+
+/** One tab's subscription to a shared endpoint. */
+class SharedSubscription extends EventTarget {
+    constructor(connection, url) {
+        super();
+        this.connection = connection;
+        this.id = `sub-${++sharedSubscriptionCounter}`;
+        this.url = url;
+        this.state = ReconnectingSocket.STATES.CLOSED;
+        this.closed = false;
+    }
+
+    /** Send on the shared socket; every subscriber of the endpoint sees the echo, if any. */
+    send(data) {
+        if (this.closed) return false;
+        return this.connection.post({ type: 'send', id: this.id, data });
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.connection.unsubscribe(this);
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'statechange':
+                this.state = message.state;
+                this.emit('statechange', { state: message.state });
+                break;
+            case 'open':
+                this.emit('open', {});
+                break;
+            case 'message':
+                this.emit('message', { data: message.data });
+                break;
+            case 'close':
+                this.emit('close', { code: message.code, reason: message.reason, willReconnect: message.willReconnect });
+                break;
+        }
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+/**
+ * Bully-style election over BroadcastChannel: the oldest tab that claims
+ * leadership wins. The leader sends heartbeats; followers hold an election
+ * when they stop, or at once when the leader resigns.
+ *
+ * Channel messages: { kind: 'heartbeat' | 'claim' | 'resign', id }
+ * Events: 'change' { leaderId, leader }
+ */
+class LeaderElection extends EventTarget {
+    constructor(channel, options) {
+        super();
+        this.channel = channel;
+        this.options = options;
+        // Sorts by creation time, so "smaller" means "older"
+        this.id = `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 10)}`;
+        this.state = 'follower';
+        this.leaderId = null;
+        this.electionTimer = null;
+        this.claimTimer = null;
+        this.heartbeatTimer = null;
+
+        this.handleMessage = (event) => this.onMessage(event.data);
+    }
+
+    get isLeader() {
+        return this.state === 'leader';
+    }
+
+    start() {
+        this.channel.addEventListener('message', this.handleMessage);
+        this.resetElectionTimer();
+    }
+
+    /** Leave the election; a leader tells the others so they need not wait for the timeout. */
+    stop() {
+        if (this.isLeader) {
+            this.post('resign');
+        }
+        this.channel.removeEventListener('message', this.handleMessage);
+        this.clearTimers();
+        this.state = 'follower';
+        this.setLeader(null);
+    }
+
+    onMessage(message) {
+        if (!message || message.id === this.id) return;
+
+        switch (message.kind) {
+            case 'heartbeat':
+                if (this.isLeader) {
+                    // Two leaders after a partition: the younger one steps down
+                    if (message.id < this.id) this.follow(message.id);
+                } else {
+                    this.follow(message.id);
+                }
+                break;
+            case 'claim':
+                if (this.isLeader) {
+                    this.post('heartbeat');
+                } else if (this.state === 'candidate' && message.id < this.id) {
+                    this.follow(null);
+                }
+                break;
+            case 'resign':
+                if (message.id === this.leaderId) {
+                    this.setLeader(null);
+                    this.claim();
+                }
+                break;
+        }
+    }
+
+    follow(leaderId) {
+        this.clearTimers();
+        this.state = 'follower';
+        this.setLeader(leaderId);
+        this.resetElectionTimer();
+    }
+
+    resetElectionTimer() {
+        clearTimeout(this.electionTimer);
+        this.electionTimer = setTimeout(() => this.claim(), this.options.electionTimeout);
+    }
+
+    claim() {
+        this.clearTimers();
+        this.state = 'candidate';
+        this.post('claim');
+        this.claimTimer = setTimeout(() => this.lead(), this.options.claimWindow);
+    }
+
+    lead() {
+        this.clearTimers();
+        this.state = 'leader';
+        this.setLeader(this.id);
+        this.post('heartbeat');
+        this.heartbeatTimer = setInterval(() => this.post('heartbeat'), this.options.heartbeatInterval);
+    }
+
+    setLeader(leaderId) {
+        if (leaderId === this.leaderId) return;
+        this.leaderId = leaderId;
+        this.dispatchEvent(new CustomEvent('change', { detail: { leaderId, leader: this.isLeader } }));
+    }
+
+    clearTimers() {
+        clearTimeout(this.electionTimer);
+        clearTimeout(this.claimTimer);
+        clearInterval(this.heartbeatTimer);
+        this.electionTimer = this.claimTimer = this.heartbeatTimer = null;
+    }
+
+    post(kind) {
+        this.channel.postMessage({ kind, id: this.id });
+    }
+}
+
+class SharedConnection extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.options = { ...SHARED_CONNECTION_DEFAULTS, ...options };
+        this.subscriptions = new Map();
+        this.stats = null;
+        this.port = null;
+        this.channel = null;
+        this.election = null;
+        this.manager = null;
+        this.aliveTimer = null;
+        this.left = false;
+
+        this.mode = this.options.mode || (typeof SharedWorker === 'function' ? 'shared-worker' : 'leader-election');
+        if (this.mode === 'shared-worker') {
+            try {
+                this.startWorker();
+            } catch (error) {
+                // e.g. pages opened from file://, where SharedWorker is refused
+                console.warn('SharedWorker unavailable, falling back to leader election:', error);
+                this.mode = 'leader-election';
+            }
+        }
+        if (this.mode === 'leader-election') {
+            this.startElection();
+        }
+        this.startAlive();
+
+        this.handlePageHide = () => this.leave();
+        this.handlePageShow = (event) => {
+            if (event.persisted) this.rejoin();
+        };
+        window.addEventListener('pagehide', this.handlePageHide);
+        window.addEventListener('pageshow', this.handlePageShow);
+    }
+
+    get isLeader() {
+        return this.election !== null && this.election.isLeader;
+    }
+
+    subscribe(url) {
+        const subscription = new SharedSubscription(this, url);
+        this.subscriptions.set(subscription.id, subscription);
+        this.post({ type: 'subscribe', id: subscription.id, url });
+        return subscription;
+    }
+
+    unsubscribe(subscription) {
+        this.subscriptions.delete(subscription.id);
+        this.post({ type: 'unsubscribe', id: subscription.id });
+    }
+
+    /** Close every subscription of this tab and stop taking part. */
+    destroy() {
+        this.subscriptions.forEach(subscription => subscription.close());
+        this.leave();
+        window.removeEventListener('pagehide', this.handlePageHide);
+        window.removeEventListener('pageshow', this.handlePageShow);
+        if (this.port) {
+            this.port.close();
+        }
+        if (this.channel) {
+            this.channel.close();
+        }
+    }
+
+    /**
+     * Hand a message to the manager. Returns false when it cannot be
+     * delivered: during an election there is briefly no leader.
+     */
+    post(message) {
+        if (this.port) {
+            this.port.postMessage(message);
+            return true;
+        }
+        if (this.manager) {
+            this.manager.handle(this.election.id, message);
+            return true;
+        }
+        if (this.election && this.election.leaderId) {
+            this.channel.postMessage({ kind: 'to-leader', from: this.election.id, message });
+            return true;
+        }
+        return false;
+    }
+
+    receive(message) {
+        if (this.left) return;
+
+        if (message.type === 'stats') {
+            this.stats = message;
+            this.emit('stats', { clients: message.clients, endpoints: message.endpoints });
+            return;
+        }
+        if (message.type === 'resubscribe') {
+            this.resubscribe();
+            return;
+        }
+        const subscription = this.subscriptions.get(message.id);
+        if (subscription) {
+            subscription.receive(message);
+        }
+    }
+
+    startWorker() {
+        const worker = new SharedWorker(this.options.workerUrl, { name: 'websocket-connections' });
+        this.port = worker.port;
+        this.port.addEventListener('message', (event) => this.receive(event.data));
+        this.port.start();
+    }
+
+    startElection() {
+        this.channel = new BroadcastChannel(this.options.channelName);
+        this.election = new LeaderElection(this.channel, this.options);
+
+        this.channel.addEventListener('message', (event) => {
+            const message = event.data;
+            if (message.kind === 'to-leader' && this.manager) {
+                const from = message.from;
+                this.manager.addClient(from, (reply) => {
+                    this.channel.postMessage({ kind: 'to-client', to: from, message: reply });
+                });
+                this.manager.handle(from, message.message);
+            } else if (message.kind === 'to-client' && message.to === this.election.id) {
+                this.receive(message.message);
+            }
+        });
+
+        this.election.addEventListener('change', (event) => {
+            const { leaderId, leader } = event.detail;
+            if (leader && !this.manager) {
+                this.manager = new ConnectionManager();
+                // Asynchronous like a port, so subscribe() returns before the first event
+                this.manager.addClient(this.election.id, (reply) => queueMicrotask(() => this.receive(reply)));
+            } else if (!leader && this.manager) {
+                this.manager.destroy();
+                this.manager = null;
+            }
+            // No leader means an election is under way; the next change reports the winner
+            if (leaderId) {
+                this.emit('role', { mode: this.mode, leader });
+                // A new leader knows nothing about this tab's subscriptions
+                this.resubscribe();
+            }
+        });
+        this.election.start();
+    }
+
+    resubscribe() {
+        this.subscriptions.forEach(({ id, url }) => this.post({ type: 'subscribe', id, url }));
+    }
+
+    startAlive() {
+        clearInterval(this.aliveTimer);
+        this.aliveTimer = setInterval(() => this.post({ type: 'alive' }), this.options.aliveInterval);
+    }
+
+    leave() {
+        this.post({ type: 'leave' });
+        this.left = true;
+        clearInterval(this.aliveTimer);
+        if (this.election) {
+            this.election.stop();
+        }
+    }
+
+    // Back from the back/forward cache: the manager dropped this tab on 'leave'
+    rejoin() {
+        this.left = false;
+        this.startAlive();
+        if (this.election) {
+            this.election.start();
+        } else {
+            this.resubscribe();
+        }
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
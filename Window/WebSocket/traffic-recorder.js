@@ -0,0 +1,405 @@
+// ========================================
+// Traffic Recorder & Replay
+// ========================================
+// TrafficRecorder swaps window.WebSocket for a subclass that logs every
+// connection's open, message (text and binary), send, error and close with
+// timestamps. Everything that calls `new WebSocket()` is covered, including
+// the sockets ReconnectingSocket creates on reconnect.
+//
+// TrafficReplay swaps in MockWebSocket instead: each socket the page creates
+// is matched to the next unused recorded connection with the same query
+// string (?mode=...), and that connection's events are played back with the
+// original timing divided by `speed` (0 plays everything as fast as possible,
+// still in order). Sends are accepted and ignored. A socket with no recording
+// left fails like an unreachable server (error, then close 1006).
+//
+// Session file (JSON):
+//   { format: 'websocket-session', version: 1, recordedAt,
+//     connections: [{ id, url, protocols, t }],
+//     events: [{ t, conn, type, data?, binary?, protocol?, code?, reason?, wasClean?, byClient? }] }
+// `t` is milliseconds since recording started; binary data is base64.
+// Closes the page asked for (byClient) are not replayed: the mock closes when
+// the page calls close() again, so replay follows the user, not the recording.
+
+const SESSION_FORMAT = 'websocket-session';
+const SESSION_VERSION = 1;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Query string without the endpoint, so sessions replay against any endpoint
+function connectionKey(url) {
+    try {
+        return new URL(url, location.href).search;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Events (CustomEvents, payload in event.detail):
+ *   'record' { entry, count }   an event was captured
+ */
+class TrafficRecorder extends EventTarget {
+    constructor() {
+        super();
+        this.NativeWebSocket = null;
+        this.recording = false;
+        this.sessionId = 0;
+        this.reset();
+    }
+
+    get eventCount() {
+        return this.events.length;
+    }
+
+    get connectionCount() {
+        return this.connections.length;
+    }
+
+    reset() {
+        this.startedAt = null;
+        this.recordedAt = null;
+        this.connections = [];
+        this.events = [];
+        this.pendingReads = [];
+    }
+
+    /** Start capturing sockets created from now on; clears the previous session. */
+    start() {
+        if (this.recording) return;
+
+        this.reset();
+        this.sessionId++;
+        this.recording = true;
+        this.startedAt = performance.now();
+        this.recordedAt = new Date().toISOString();
+
+        const recorder = this;
+        const NativeWebSocket = window.WebSocket;
+        this.NativeWebSocket = NativeWebSocket;
+
+        window.WebSocket = class RecordingWebSocket extends NativeWebSocket {
+            constructor(url, protocols) {
+                super(url, protocols);
+                recorder.track(this, url, protocols);
+            }
+
+            send(data) {
+                super.send(data);
+                recorder.capture(this, { type: 'send' }, data);
+            }
+
+            close(code, reason) {
+                if (this.readyState < NativeWebSocket.CLOSING) {
+                    this.closedByClient = true;
+                }
+                super.close(code, reason);
+            }
+        };
+    }
+
+    /** Stop capturing; sockets created while recording stay usable. */
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        window.WebSocket = this.NativeWebSocket;
+    }
+
+    /** The recorded session, once every binary frame has been read. */
+    async export() {
+        await Promise.all(this.pendingReads);
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            recordedAt: this.recordedAt,
+            connections: this.connections.map(conn => ({ ...conn })),
+            events: this.events.map(entry => ({ ...entry }))
+        };
+    }
+
+    track(ws, url, protocols) {
+        const conn = {
+            id: this.connections.length + 1,
+            url: String(url),
+            protocols: protocols === undefined ? [] : [].concat(protocols),
+            t: this.now()
+        };
+        this.connections.push(conn);
+        ws.recordingId = conn.id;
+        ws.recordingSession = this.sessionId;
+
+        ws.addEventListener('open', () => this.capture(ws, { type: 'open', protocol: ws.protocol }));
+        ws.addEventListener('message', (event) => this.capture(ws, { type: 'message' }, event.data));
+        ws.addEventListener('error', () => this.capture(ws, { type: 'error' }));
+        ws.addEventListener('close', (event) => this.capture(ws, {
+            type: 'close',
+            code: event.code,
+            reason: event.reason,
+            wasClean: event.wasClean,
+            byClient: ws.closedByClient === true
+        }));
+    }
+
+    // Entries are appended synchronously so their order is exact even when
+    // a Blob's bytes arrive later. Sockets from an earlier session are ignored.
+    capture(ws, fields, data) {
+        if (!this.recording || ws.recordingSession !== this.sessionId) return;
+
+        const entry = { t: this.now(), conn: ws.recordingId, ...fields };
+        if (data !== undefined) {
+            if (typeof data === 'string') {
+                entry.data = data;
+            } else {
+                entry.binary = true;
+                entry.data = null;
+                this.pendingReads.push(this.readBinary(data).then(bytes => {
+                    entry.data = bytesToBase64(bytes);
+                }));
+            }
+        }
+
+        this.events.push(entry);
+        this.dispatchEvent(new CustomEvent('record', { detail: { entry, count: this.events.length } }));
+    }
+
+    async readBinary(data) {
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        return new Uint8Array(data.slice(0));
+    }
+
+    now() {
+        return Math.round((performance.now() - this.startedAt) * 10) / 10;
+    }
+}
+
+/**
+ * Minimal stand-in for the browser WebSocket: same constants, properties,
+ * on* handlers and events, driven by a TrafficReplay instead of a server.
+ */
+class MockWebSocket extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url, protocols = []) {
+        super();
+        this.url = String(url);
+        this.protocols = [].concat(protocols);
+        this.protocol = '';
+        this.extensions = '';
+        this.binaryType = 'blob';
+        this.bufferedAmount = 0;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        this.timers = [];
+    }
+
+    get CONNECTING() { return MockWebSocket.CONNECTING; }
+    get OPEN() { return MockWebSocket.OPEN; }
+    get CLOSING() { return MockWebSocket.CLOSING; }
+    get CLOSED() { return MockWebSocket.CLOSED; }
+
+    send(data) {
+        if (this.readyState === MockWebSocket.CONNECTING) {
+            throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+        }
+        // Nothing answers sends: the recorded responses are replayed regardless
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= MockWebSocket.CLOSING) return;
+
+        this.cancel();
+        this.readyState = MockWebSocket.CLOSING;
+        setTimeout(() => this.fireClose(code, reason, true), 0);
+    }
+
+    /** Drop any events still scheduled for this socket. */
+    cancel() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    schedule(delay, callback) {
+        this.timers.push(setTimeout(callback, delay));
+    }
+
+    fireOpen(protocol = '') {
+        if (this.readyState !== MockWebSocket.CONNECTING) return;
+        this.protocol = protocol;
+        this.readyState = MockWebSocket.OPEN;
+        this.fire(new Event('open'));
+    }
+
+    fireMessage(data) {
+        if (this.readyState !== MockWebSocket.OPEN) return;
+        this.fire(new MessageEvent('message', { data }));
+    }
+
+    fireError() {
+        this.fire(new Event('error'));
+    }
+
+    fireClose(code, reason, wasClean) {
+        if (this.readyState === MockWebSocket.CLOSED) return;
+        this.cancel();
+        this.readyState = MockWebSocket.CLOSED;
+        this.fire(new CloseEvent('close', { code, reason, wasClean }));
+    }
+
+    fire(event) {
+        const handler = this[`on${event.type}`];
+        if (typeof handler === 'function') {
+            handler.call(this, event);
+        }
+        this.dispatchEvent(event);
+    }
+}
+
+/**
+ * Events (CustomEvents, payload in event.detail):
+ *   'connection' { url, recordedId }   a socket was created; recordedId is null when nothing matched
+ *   'event'      { entry }             a recorded event was played
+ *   'done'       {}                    every recorded connection has been played to the end
+ */
+class TrafficReplay extends EventTarget {
+    /** Parse and check a session file's text. */
+    static parse(text) {
+        const session = JSON.parse(text);
+        if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.connections) || !Array.isArray(session.events)) {
+            throw new TypeError('Not a WebSocket session file');
+        }
+        if (session.version > SESSION_VERSION) {
+            throw new TypeError(`Unsupported session version ${session.version}`);
+        }
+        return session;
+    }
+
+    constructor(session, { speed = 1 } = {}) {
+        super();
+        this.session = session;
+        this.speed = speed;
+        this.previousWebSocket = null;
+        this.used = new Set();
+        this.finished = new Set();
+        this.mocks = new Set();
+
+        // Incoming events per recorded connection; sends and client closes are only for reading the file
+        this.eventsByConnection = new Map();
+        session.connections.forEach(conn => this.eventsByConnection.set(conn.id, []));
+        session.events.forEach(entry => {
+            if (entry.type === 'send' || (entry.type === 'close' && entry.byClient)) return;
+            if (this.eventsByConnection.has(entry.conn)) {
+                this.eventsByConnection.get(entry.conn).push(entry);
+            }
+        });
+    }
+
+    get active() {
+        return this.previousWebSocket !== null;
+    }
+
+    install() {
+        if (this.active) return;
+
+        const replay = this;
+        this.previousWebSocket = window.WebSocket;
+        window.WebSocket = class ReplayWebSocket extends MockWebSocket {
+            constructor(url, protocols) {
+                super(url, protocols);
+                replay.attach(this);
+            }
+        };
+    }
+
+    /** Restore the real WebSocket and close every mock still open. */
+    uninstall() {
+        if (!this.active) return;
+
+        window.WebSocket = this.previousWebSocket;
+        this.previousWebSocket = null;
+        this.mocks.forEach(mock => mock.fireClose(1001, 'Replay stopped', true));
+        this.mocks.clear();
+    }
+
+    attach(mock) {
+        this.mocks.add(mock);
+        const key = connectionKey(mock.url);
+        const recorded = this.session.connections.find(conn => !this.used.has(conn.id) && connectionKey(conn.url) === key);
+        this.dispatchEvent(new CustomEvent('connection', {
+            detail: { url: mock.url, recordedId: recorded ? recorded.id : null }
+        }));
+
+        if (!recorded) {
+            mock.schedule(0, () => {
+                mock.fireError();
+                mock.fireClose(1006, '', false);
+            });
+            return;
+        }
+
+        this.used.add(recorded.id);
+        const events = this.eventsByConnection.get(recorded.id);
+        events.forEach((entry, index) => {
+            const delay = this.speed > 0 ? (entry.t - recorded.t) / this.speed : 0;
+            mock.schedule(Math.max(0, delay), () => {
+                this.play(mock, entry);
+                if (index === events.length - 1) this.markFinished(recorded.id);
+            });
+        });
+        if (events.length === 0) {
+            this.markFinished(recorded.id);
+        }
+    }
+
+    play(mock, entry) {
+        switch (entry.type) {
+            case 'open':
+                mock.fireOpen(entry.protocol);
+                break;
+            case 'message':
+                mock.fireMessage(entry.binary ? this.toBinary(mock, entry.data) : entry.data);
+                break;
+            case 'error':
+                mock.fireError();
+                break;
+            case 'close':
+                mock.fireClose(entry.code, entry.reason, entry.wasClean);
+                this.mocks.delete(mock);
+                break;
+        }
+        this.dispatchEvent(new CustomEvent('event', { detail: { entry } }));
+    }
+
+    toBinary(mock, base64) {
+        const bytes = base64ToBytes(base64 || '');
+        return mock.binaryType === 'arraybuffer' ? bytes.buffer : new Blob([bytes]);
+    }
+
+    markFinished(id) {
+        this.finished.add(id);
+        if (this.finished.size === this.session.connections.length) {
+            this.dispatchEvent(new CustomEvent('done', { detail: {} }));
+        }
+    }
+}
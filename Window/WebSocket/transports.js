@@ -0,0 +1,484 @@
+// ========================================
+// Transports
+// ========================================
+// One socket interface over three transports, for networks where WebSocket
+// upgrades are blocked:
+//
+//   'websocket'  native WebSocket
+//   'sse'        EventSource for downlink, POST for uplink
+//   'polling'    HTTP long-polling for downlink, POST for uplink
+//
+// All of them look like a WebSocket to the code using them: readyState,
+// send(), close(), binaryType, bufferedAmount and open/message/error/close
+// events, as addEventListener or on* handlers. The HTTP transports talk to
+// the /fallback/ routes of the stand-in server (server/fallback.js).
+//
+// FallbackSocket tries the transports in order and downgrades when one
+// cannot connect. It remembers per server which transport it had to fall
+// back to, so the next connection starts there. While downgraded it probes for WebSocket
+// every `probeInterval` ms; once a probe gets through it closes with 4001
+// and the caller's reconnect logic comes back over WebSocket.
+//
+//   const socket = new ReconnectingSocket(url, {
+//       createSocket: (url, protocols) => new FallbackSocket(url, protocols)
+//   });
+//
+// Extra FallbackSocket events (CustomEvents, payload in event.detail):
+//   'transport' { transport, failed }   connected; failed lists the transports that did not
+//   'probe'     { ok }                  a WebSocket probe finished while downgraded
+
+const TRANSPORTS = ['websocket', 'sse', 'polling'];
+
+const FALLBACK_SOCKET_DEFAULTS = {
+    transports: TRANSPORTS,
+    connectTimeout: 5000,
+    probeInterval: 30000,
+    probeUrl: (url) => {
+        const target = new URL(url);
+        target.searchParams.set('mode', 'echo'); // a probe should not join rooms or start feeds
+        return target.href;
+    }
+};
+
+// Server (host + path) -> transport the last downgrade ended on
+const transportHints = new Map();
+
+function transportHintKey(url) {
+    const target = new URL(url, location.href);
+    return target.host + target.pathname;
+}
+
+/** HTTP URL of a fallback route on the server behind a ws:// or wss:// URL, keeping its query. */
+function fallbackUrl(url, route, params = {}) {
+    const target = new URL(url, location.href);
+    target.protocol = target.protocol === 'wss:' ? 'https:' : 'http:';
+    target.pathname = `/fallback/${route}`;
+    Object.entries(params).forEach(([name, value]) => target.searchParams.set(name, value));
+    return target.href;
+}
+
+const transportEncoder = new TextEncoder();
+
+function payloadByteLength(data) {
+    if (typeof data === 'string') return transportEncoder.encode(data).length;
+    if (data instanceof Blob) return data.size;
+    return data.byteLength;
+}
+
+function bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/** WebSocket constants, on* handlers and event dispatch shared by the transports. */
+class WebSocketLike extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url, protocols = []) {
+        super();
+        this.url = String(url);
+        this.protocols = [].concat(protocols);
+        this.protocol = '';
+        this.extensions = '';
+        this.readyState = WebSocketLike.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+    }
+
+    get CONNECTING() { return WebSocketLike.CONNECTING; }
+    get OPEN() { return WebSocketLike.OPEN; }
+    get CLOSING() { return WebSocketLike.CLOSING; }
+    get CLOSED() { return WebSocketLike.CLOSED; }
+
+    fire(event) {
+        const handler = this[`on${event.type}`];
+        if (typeof handler === 'function') {
+            handler.call(this, event);
+        }
+        this.dispatchEvent(event);
+    }
+}
+
+/**
+ * Uplink and close handshake for the HTTP transports. Sends are batched into
+ * one POST at a time so frames reach the server in order; bufferedAmount
+ * counts the bytes not yet acknowledged by a POST response. Subclasses open
+ * the downlink and call opened(), receive() and closed().
+ */
+class HttpTransport extends WebSocketLike {
+    constructor(url, protocols) {
+        super(url, protocols);
+        this.binaryType = 'blob';
+        this.session = null;
+        this.outbox = [];
+        this.pendingBytes = 0;
+        this.uplink = null;   // promise of the POST in flight
+    }
+
+    get bufferedAmount() {
+        return this.pendingBytes;
+    }
+
+    send(data) {
+        if (this.readyState === WebSocketLike.CONNECTING) {
+            throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+        }
+        if (this.readyState !== WebSocketLike.OPEN) return;
+
+        this.outbox.push(data);
+        this.pendingBytes += payloadByteLength(data);
+        if (!this.uplink) {
+            this.uplink = this.flush();
+        }
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= WebSocketLike.CLOSING) return;
+
+        if (this.readyState === WebSocketLike.CONNECTING) {
+            this.closed(1006, '', false);
+            return;
+        }
+        this.readyState = WebSocketLike.CLOSING;
+        this.sendClose(code, reason);
+    }
+
+    // Frames already handed to send() go out before the close
+    async sendClose(code, reason) {
+        await this.uplink;
+        try {
+            await this.post('close', { code, reason });
+            this.closed(code, reason, true);
+        } catch (error) {
+            this.closed(1006, '', false);
+        }
+    }
+
+    async flush() {
+        while (this.outbox.length > 0 && this.readyState <= WebSocketLike.CLOSING) {
+            const batch = this.outbox;
+            this.outbox = [];
+            const bytes = batch.reduce((total, data) => total + payloadByteLength(data), 0);
+
+            try {
+                const frames = await Promise.all(batch.map(data => this.encodeFrame(data)));
+                await this.post('send', frames);
+            } catch (error) {
+                this.closed(1006, '', false);
+            }
+            this.pendingBytes -= bytes;
+        }
+        this.uplink = null;
+    }
+
+    async encodeFrame(data) {
+        if (typeof data === 'string') return { text: data };
+        if (data instanceof Blob) return { binary: bufferToBase64(await data.arrayBuffer()) };
+        if (ArrayBuffer.isView(data)) {
+            return { binary: bufferToBase64(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)) };
+        }
+        return { binary: bufferToBase64(data) };
+    }
+
+    async post(route, body) {
+        const response = await fetch(fallbackUrl(this.url, route, { session: this.session }), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`${route} failed with HTTP ${response.status}`);
+        }
+    }
+
+    opened(session) {
+        if (this.readyState !== WebSocketLike.CONNECTING) return;
+        this.session = session;
+        this.readyState = WebSocketLike.OPEN;
+        this.fire(new Event('open'));
+    }
+
+    receive(frame) {
+        if (frame.close) {
+            this.closed(frame.close.code, frame.close.reason, true);
+        } else if (this.readyState === WebSocketLike.OPEN) {
+            const data = frame.binary !== undefined ? this.toBinary(frame.binary) : frame.text;
+            this.fire(new MessageEvent('message', { data }));
+        }
+    }
+
+    // The downlink broke. While our own close is in flight the server ends
+    // the downlink on purpose, and sendClose() reports the outcome.
+    lost() {
+        if (this.readyState !== WebSocketLike.CLOSING) {
+            this.closed(1006, '', false);
+        }
+    }
+
+    toBinary(base64) {
+        const buffer = base64ToBuffer(base64);
+        return this.binaryType === 'arraybuffer' ? buffer : new Blob([buffer]);
+    }
+
+    closed(code, reason, wasClean) {
+        if (this.readyState === WebSocketLike.CLOSED) return;
+
+        this.readyState = WebSocketLike.CLOSED;
+        this.stopDownlink();
+        if (!wasClean) {
+            this.fire(new Event('error'));
+        }
+        this.fire(new CloseEvent('close', { code, reason, wasClean }));
+    }
+
+    stopDownlink() {}
+}
+
+/** Downlink over EventSource; the browser's own reconnect is turned off by closing it on error. */
+class SseTransport extends HttpTransport {
+    constructor(url, protocols) {
+        super(url, protocols);
+        this.source = new EventSource(fallbackUrl(url, 'sse'));
+        this.source.addEventListener('session', (event) => this.opened(JSON.parse(event.data).session));
+        this.source.onmessage = (event) => this.receive(JSON.parse(event.data));
+        this.source.onerror = () => this.lost();
+    }
+
+    stopDownlink() {
+        this.source.close();
+    }
+}
+
+/** Downlink over HTTP long-polling: one GET at a time, answered when frames are waiting. */
+class PollingTransport extends HttpTransport {
+    constructor(url, protocols) {
+        super(url, protocols);
+        this.controller = new AbortController();
+        this.poll();
+    }
+
+    async poll() {
+        const { signal } = this.controller;
+        try {
+            const { session } = await this.fetchJson(fallbackUrl(this.url, 'poll'), signal);
+            this.opened(session);
+
+            while (this.readyState === WebSocketLike.OPEN) {
+                const { frames } = await this.fetchJson(fallbackUrl(this.url, 'poll', { session }), signal);
+                frames.forEach(frame => this.receive(frame));
+            }
+        } catch (error) {
+            if (!signal.aborted) {
+                this.lost();
+            }
+        }
+    }
+
+    async fetchJson(url, signal) {
+        const response = await fetch(url, { signal, cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`poll failed with HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    stopDownlink() {
+        this.controller.abort();
+    }
+}
+
+/**
+ * A WebSocket-compatible socket that picks the best transport that gets
+ * through. One instance is one connection: once open it stays on its
+ * transport until it closes.
+ */
+class FallbackSocket extends WebSocketLike {
+    constructor(url, protocols = [], options = {}) {
+        super(url, protocols);
+        this.options = { ...FALLBACK_SOCKET_DEFAULTS, ...options };
+        this.inner = null;
+        this.transport = null;
+        this.failed = [];
+        this.closeRequested = false;
+        this.connectTimer = null;
+        this.probeTimer = null;
+        this.innerBinaryType = 'blob';
+
+        // Start from the transport that worked last time for this server
+        const hint = transportHints.get(transportHintKey(this.url));
+        const start = Math.max(0, this.options.transports.indexOf(hint));
+        this.candidates = this.options.transports.slice(start);
+        this.tryNext();
+    }
+
+    get binaryType() {
+        return this.innerBinaryType;
+    }
+
+    set binaryType(value) {
+        this.innerBinaryType = value;
+        if (this.inner) {
+            this.inner.binaryType = value;
+        }
+    }
+
+    get bufferedAmount() {
+        return this.inner ? this.inner.bufferedAmount : 0;
+    }
+
+    send(data) {
+        if (this.readyState === WebSocketLike.CONNECTING) {
+            throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+        }
+        this.inner.send(data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState >= WebSocketLike.CLOSING) return;
+
+        this.closeRequested = true;
+        this.stopProbing();
+        this.readyState = WebSocketLike.CLOSING;
+        this.inner.close(code, reason);
+    }
+
+    createTransport(name) {
+        switch (name) {
+            case 'websocket': return new WebSocket(this.url, this.protocols);
+            case 'sse': return new SseTransport(this.url, this.protocols);
+            case 'polling': return new PollingTransport(this.url, this.protocols);
+            default: throw new TypeError(`Unknown transport ${name}`);
+        }
+    }
+
+    tryNext() {
+        const name = this.candidates.shift();
+        if (!name) {
+            // Nothing got through: forget the hint so the next attempt starts from the top
+            transportHints.delete(transportHintKey(this.url));
+            this.readyState = WebSocketLike.CLOSED;
+            this.fire(new Event('error'));
+            this.fire(new CloseEvent('close', { code: 1006, reason: '', wasClean: false }));
+            return;
+        }
+
+        const inner = this.createTransport(name);
+        inner.binaryType = this.innerBinaryType;
+        this.inner = inner;
+
+        // Some proxies accept the connection and then never answer
+        this.connectTimer = setTimeout(() => this.connectFailed(name), this.options.connectTimeout);
+
+        inner.onopen = () => {
+            clearTimeout(this.connectTimer);
+            this.transport = name;
+            this.protocol = inner.protocol;
+            this.extensions = inner.extensions;
+            this.readyState = WebSocketLike.OPEN;
+            this.rememberTransport(name);
+            this.fire(new Event('open'));
+            this.emit('transport', { transport: name, failed: this.failed.slice() });
+            this.scheduleProbe();
+        };
+
+        inner.onmessage = (event) => {
+            this.fire(new MessageEvent('message', { data: event.data }));
+        };
+
+        // An error while connecting only means "try the next transport"
+        inner.onerror = () => {
+            if (this.transport) {
+                this.fire(new Event('error'));
+            } else if (!this.closeRequested) {
+                this.connectFailed(name);
+            }
+        };
+
+        inner.onclose = (event) => {
+            clearTimeout(this.connectTimer);
+            if (!this.transport && !this.closeRequested) {
+                this.connectFailed(name);
+                return;
+            }
+            this.stopProbing();
+            this.readyState = WebSocketLike.CLOSED;
+            this.fire(new CloseEvent('close', { code: event.code, reason: event.reason, wasClean: event.wasClean }));
+        };
+    }
+
+    // Only a downgrade says something about the network; a socket limited to
+    // one transport by its options does not
+    rememberTransport(name) {
+        const key = transportHintKey(this.url);
+        if (name === 'websocket') {
+            transportHints.delete(key);
+        } else if (this.failed.length > 0) {
+            transportHints.set(key, name);
+        }
+    }
+
+    // Give up on the transport being tried, without waiting for its close event
+    connectFailed(name) {
+        clearTimeout(this.connectTimer);
+        const inner = this.inner;
+        inner.onopen = inner.onmessage = inner.onerror = inner.onclose = null;
+        inner.close();
+
+        this.failed.push(name);
+        this.tryNext();
+    }
+
+    scheduleProbe() {
+        if (this.transport === 'websocket' || !this.options.transports.includes('websocket')) return;
+        this.probeTimer = setTimeout(() => this.probe(), this.options.probeInterval);
+    }
+
+    stopProbing() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+    }
+
+    probe() {
+        const ws = new WebSocket(this.options.probeUrl(this.url));
+        const done = (ok) => {
+            clearTimeout(timer);
+            ws.onopen = ws.onerror = ws.onclose = null;
+            ws.close(1000, 'Probe');
+            this.emit('probe', { ok });
+
+            if (this.readyState !== WebSocketLike.OPEN) return;
+            if (ok) {
+                transportHints.delete(transportHintKey(this.url));
+                this.close(4001, 'Transport upgrade');
+            } else {
+                this.scheduleProbe();
+            }
+        };
+        const timer = setTimeout(() => done(false), this.options.connectTimeout);
+
+        ws.onopen = () => done(true);
+        ws.onerror = ws.onclose = () => done(false);
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}